@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+/**
+ * Batch runner for parameter sweeps (Node, no DOM).
+ *
+ * Usage:
+ *   node cli.js --shear 0,25,50,100 --length 50 --count 100 \
+ *               --warmup 300 --steps 1000 --seed 12345 --out sweep.csv
+ *
+ * List options take comma-separated values or a range "start:end:step".
+ * Every combination of shear rate, chain length and chain count runs in a
+ * fresh Simulation with the same seed; the averages over the sampled steps
+ * are written as CSV, or as JSON when --out ends in ".json". Without --out,
+ * CSV goes to stdout.
+ *
+ * --geometry selects the flow: turbulent (default), couette, poiseuille or
+ * extension; --shear is then the shear, wall shear or extension rate.
+ *
+ * --architecture selects the chains: linear (default), ring, star, comb or
+ * block; --distribution spreads their lengths (monodisperse, schulzZimm or
+ * logNormal) with dispersity --pdi around --length as the number average;
+ * --stiffness sets the bending stiffness (0-1). The pdi column is the
+ * measured Mw/Mn of the generated chains.
+ */
+
+const fs = require('fs');
+const { Simulation, FLOW_GEOMETRIES, ARCHITECTURES, LENGTH_DISTRIBUTIONS, randomSeed } = require('./simulation.js');
+
+const DEFAULTS = {
+    shear: '0,25,50,75,100',
+    length: '50',
+    count: '100',
+    width: 1000,
+    height: 600,
+    warmup: 300, // Steps discarded before sampling
+    steps: 1000, // Sampled steps per run
+    dt: 0.1,
+    geometry: 'turbulent',
+    architecture: 'linear',
+    distribution: 'monodisperse',
+    pdi: 1.5,
+    stiffness: 0,
+    seed: null, // Same seed for every case; random (and reported) when omitted
+    out: null
+};
+
+const COLUMNS = [
+    'seed', 'geometry', 'architecture', 'distribution', 'stiffness',
+    'shearRate', 'segmentCount', 'polymerCount', 'pdi', 'samples',
+    'tauXY', 'tauXYError', 'normalStress1',
+    'rg', 'ree', 'extension', 'order', 'angle', 'entanglement', 'crossings'
+];
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) throw new Error(`Unexpected argument: ${arg}`);
+
+        const key = arg.slice(2);
+        if (!(key in DEFAULTS)) throw new Error(`Unknown option: ${arg}`);
+
+        const value = argv[++i];
+        if (value === undefined) throw new Error(`Missing value for ${arg}`);
+        options[key] = typeof DEFAULTS[key] === 'number' || key === 'seed' ? parseFloat(value) : value;
+    }
+    return options;
+}
+
+// "0,10,20" or "0:100:25" -> [0, 25, 50, 75, 100]
+function parseList(text) {
+    if (text.includes(':')) {
+        const [start, end, step] = text.split(':').map(parseFloat);
+        if (!(step > 0)) throw new Error(`Invalid range step in "${text}"`);
+        const values = [];
+        for (let v = start; v <= end + 1e-9; v += step) values.push(v);
+        return values;
+    }
+    return text.split(',').map(v => {
+        const n = parseFloat(v);
+        if (Number.isNaN(n)) throw new Error(`Invalid number "${v}"`);
+        return n;
+    });
+}
+
+function runCase(options, shearRate, segmentCount, polymerCount) {
+    const sim = new Simulation({
+        width: options.width,
+        height: options.height,
+        config: {
+            segmentCount,
+            polymerCount,
+            flowGeometry: options.geometry,
+            architecture: options.architecture,
+            lengthDistribution: options.distribution,
+            pdi: options.pdi,
+            bendingStiffness: options.stiffness
+        },
+        seed: options.seed
+    });
+    sim.setShearRate(shearRate);
+
+    for (let i = 0; i < options.warmup; i++) sim.step(options.dt);
+
+    const metricKeys = ['rg', 'ree', 'extension', 'order', 'angle', 'entanglement', 'crossings'];
+    const sums = { tauXY: 0, tauXYSq: 0, normalStress1: 0 };
+    for (const key of metricKeys) sums[key] = 0;
+    for (let i = 0; i < options.steps; i++) {
+        sim.step(options.dt);
+
+        const { stress, conformation } = sim;
+        sums.tauXY += stress.xy;
+        sums.tauXYSq += stress.xy * stress.xy;
+        sums.normalStress1 += stress.xx - stress.yy;
+        for (const key of metricKeys) sums[key] += conformation[key];
+    }
+
+    const n = options.steps;
+    const mean = sums.tauXY / n;
+    const variance = Math.max(sums.tauXYSq / n - mean * mean, 0);
+
+    const row = {
+        seed: options.seed,
+        geometry: options.geometry,
+        architecture: options.architecture,
+        distribution: options.distribution,
+        stiffness: options.stiffness,
+        shearRate,
+        segmentCount,
+        polymerCount,
+        pdi: sim.measureDispersity().pdi,
+        samples: n,
+        tauXY: mean,
+        tauXYError: Math.sqrt(variance / n),
+        normalStress1: sums.normalStress1 / n
+    };
+    for (const key of metricKeys) row[key] = sums[key] / n;
+    return row;
+}
+
+function toCsv(rows) {
+    const lines = [COLUMNS.join(',')];
+    for (const row of rows) lines.push(COLUMNS.map(c => row[c]).join(','));
+    return lines.join('\n') + '\n';
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        process.stdout.write(fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1].replace(/^ \* ?/gm, ''));
+        return;
+    }
+
+    if (options.seed === null) options.seed = randomSeed();
+    if (!Number.isInteger(options.seed) || options.seed < 0) throw new Error(`Invalid seed: ${options.seed}`);
+    if (!FLOW_GEOMETRIES[options.geometry]) throw new Error(`Unknown geometry: ${options.geometry}`);
+    if (!ARCHITECTURES[options.architecture]) throw new Error(`Unknown architecture: ${options.architecture}`);
+    if (!LENGTH_DISTRIBUTIONS[options.distribution]) throw new Error(`Unknown distribution: ${options.distribution}`);
+    if (!(options.pdi >= 1)) throw new Error(`Invalid pdi: ${options.pdi}`);
+
+    const shearRates = parseList(options.shear);
+    const lengths = parseList(options.length);
+    const counts = parseList(options.count);
+    const total = shearRates.length * lengths.length * counts.length;
+
+    const rows = [];
+    for (const segmentCount of lengths) {
+        for (const polymerCount of counts) {
+            for (const shearRate of shearRates) {
+                process.stderr.write(`[${rows.length + 1}/${total}] shear=${shearRate} length=${segmentCount} count=${polymerCount}\n`);
+                rows.push(runCase(options, shearRate, segmentCount, polymerCount));
+            }
+        }
+    }
+
+    if (!options.out) {
+        process.stdout.write(toCsv(rows));
+        return;
+    }
+
+    const text = options.out.endsWith('.json')
+        ? JSON.stringify({ options, results: rows }, null, 2) + '\n'
+        : toCsv(rows);
+    fs.writeFileSync(options.out, text);
+    process.stderr.write(`Wrote ${rows.length} rows to ${options.out}\n`);
+}
+
+try {
+    main();
+} catch (err) {
+    process.stderr.write(`Error: ${err.message}\n`);
+    process.exit(1);
+}
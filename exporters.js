@@ -0,0 +1,361 @@
+/**
+ * Data Export Formats
+ *
+ * Time series as CSV, and chain snapshots / trajectories as extended XYZ or
+ * LAMMPS dump text for OVITO, VMD or custom scripts. Coordinates are in
+ * simulation units (canvas pixels, y pointing down, z = 0); the sheared
+ * Lees–Edwards box is written as a triclinic cell whose second vector is
+ * (tilt, H), where tilt is the image offset of the row above. Directions
+ * bounded by walls or open to in- and outflow are written as non-periodic.
+ *
+ * Also the containers of the offline renderer: store-only ZIP archives (PNG
+ * image sequences) and a WebM muxer for encoded VP8 / VP9 frames.
+ *
+ * Loaded by the browser UI (as `SimExport`) and usable from Node via require.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) module.exports = api;
+    else root.SimExport = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // --- Time series ---
+
+    const TIME_SERIES_COLUMNS = [
+        'time', 'step', 'shearRate', 'strain',
+        'modelStress', 'viscosity', 'tauXY', 'normalStress1',
+        'rg', 'ree', 'extension', 'order', 'angle', 'entanglement', 'crossings'
+    ];
+
+    // Non-finite values (e.g. the infinite viscosity of a power law at rest)
+    // are written as empty fields, which CSV readers take as missing
+    function timeSeriesToCsv(rows, columns = TIME_SERIES_COLUMNS) {
+        const cell = (v) => (typeof v === 'number' && !Number.isFinite(v) ? '' : v);
+        const lines = [columns.join(',')];
+        for (const row of rows) lines.push(columns.map(c => cell(row[c])).join(','));
+        return lines.join('\n') + '\n';
+    }
+
+    // --- Chain snapshots ---
+
+    // Compact copy of the chain coordinates of a Simulation.getState(): per
+    // chain a Float32Array of x, y, vx, vy per node, and its free ends (the
+    // nodes with a single bond; a ring has none)
+    function captureFrame(state) {
+        return {
+            step: state.stepCount,
+            time: state.time,
+            shearRate: state.shearRate,
+            strain: state.strain,
+            boxOffset: state.boxOffset,
+            width: state.width,
+            height: state.height,
+            segmentLength: state.config.segmentLength,
+            geometry: state.config.flowGeometry,
+            periodic: { ...state.periodic },
+            chains: state.polymers.map(p => {
+                const data = new Float32Array(p.nodes.length * 4);
+                p.nodes.forEach((n, i) => data.set([n.x, n.y, n.vx, n.vy], i * 4));
+                const degree = new Uint8Array(p.nodes.length);
+                for (const node of p.bonds) degree[node]++;
+                const ends = [];
+                degree.forEach((d, i) => { if (d === 1) ends.push(i); });
+                return { color: p.color, data, ends };
+            })
+        };
+    }
+
+    function atomCount(frame) {
+        return frame.chains.reduce((sum, c) => sum + c.data.length / 4, 0);
+    }
+
+    // Image offset of the row above, folded into [-W/2, W/2]
+    function boxTilt(frame) {
+        return frame.boxOffset > frame.width / 2 ? frame.boxOffset - frame.width : frame.boxOffset;
+    }
+
+    const fmt = (v) => +v.toFixed(4);
+
+    // Periodicity of x and y as XYZ T / F or LAMMPS pp / ff
+    function boundaryFlags(frame, periodic, open) {
+        return [frame.periodic.x, frame.periodic.y].map(p => (p ? periodic : open));
+    }
+
+    // One extended XYZ frame; concatenated frames form a trajectory
+    function xyzFrame(frame) {
+        const lines = [
+            String(atomCount(frame)),
+            `Lattice="${frame.width} 0 0 ${fmt(boxTilt(frame))} ${frame.height} 0 0 0 1" `
+            + 'Properties=species:S:1:pos:R:3:velo:R:3:molecule:I:1:bead:I:1 '
+            + `Time=${fmt(frame.time)} Step=${frame.step} ShearRate=${frame.shearRate} `
+            + `Strain=${fmt(frame.strain)} SegmentLength=${frame.segmentLength} Geometry=${frame.geometry} `
+            + `pbc="${boundaryFlags(frame, 'T', 'F').join(' ')} F"`
+        ];
+        frame.chains.forEach((chain, mol) => {
+            const d = chain.data;
+            for (let i = 0; i < d.length; i += 4) {
+                lines.push(`C ${fmt(d[i])} ${fmt(d[i + 1])} 0 ${fmt(d[i + 2])} ${fmt(d[i + 3])} 0 ${mol + 1} ${i / 4 + 1}`);
+            }
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // One LAMMPS dump frame (triclinic box, atom style "id mol type x y z vx vy vz");
+    // type is 1 for free chain ends and 2 for the other beads. The 2D box is
+    // one unit thick and periodic in z, like a LAMMPS 2D run.
+    function lammpsDumpFrame(frame) {
+        const tilt = boxTilt(frame);
+        const [bx, by] = boundaryFlags(frame, 'pp', 'ff');
+        const lines = [
+            'ITEM: TIMESTEP',
+            String(frame.step),
+            'ITEM: NUMBER OF ATOMS',
+            String(atomCount(frame)),
+            `ITEM: BOX BOUNDS xy xz yz ${bx} ${by} pp`,
+            `${Math.min(0, tilt)} ${frame.width + Math.max(0, tilt)} ${fmt(tilt)}`,
+            `0 ${frame.height} 0`,
+            '-0.5 0.5 0',
+            'ITEM: ATOMS id mol type x y z vx vy vz'
+        ];
+        let id = 0;
+        frame.chains.forEach((chain, mol) => {
+            const d = chain.data;
+            for (let i = 0; i < d.length; i += 4) {
+                const type = chain.ends.includes(i / 4) ? 1 : 2;
+                lines.push(`${++id} ${mol + 1} ${type} ${fmt(d[i])} ${fmt(d[i + 1])} 0 ${fmt(d[i + 2])} ${fmt(d[i + 3])} 0`);
+            }
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    const SNAPSHOT_FORMATS = {
+        xyz: { extension: 'xyz', write: xyzFrame },
+        lammps: { extension: 'lammpstrj', write: lammpsDumpFrame }
+    };
+
+    // --- ZIP archives ---
+    // Entries are stored uncompressed (PNG data does not compress further);
+    // no ZIP64, so archives stay below 4 GB. finish() returns the archive as
+    // a list of byte chunks for a Blob, so large entries are never copied.
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // MS-DOS time and date fields of a Date
+    function dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    function createZipWriter(modified = new Date()) {
+        const stamp = dosDateTime(modified);
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const entries = [];
+        let offset = 0;
+
+        // Fields shared by the local and the central header, from "version needed" on
+        function commonFields(view, at, entry) {
+            view.setUint16(at, 20, true);          // Version needed (2.0)
+            view.setUint16(at + 2, 0x0800, true);  // UTF-8 names
+            view.setUint16(at + 4, 0, true);       // Stored
+            view.setUint16(at + 6, stamp.time, true);
+            view.setUint16(at + 8, stamp.date, true);
+            view.setUint32(at + 10, entry.crc, true);
+            view.setUint32(at + 14, entry.size, true);
+            view.setUint32(at + 18, entry.size, true);
+            view.setUint16(at + 22, entry.name.length, true);
+            view.setUint16(at + 24, 0, true);      // Extra field length
+        }
+
+        return {
+            add(name, data) {
+                const entry = { name: encoder.encode(name), crc: crc32(data), size: data.length, offset };
+                const header = new Uint8Array(30 + entry.name.length);
+                const view = new DataView(header.buffer);
+                view.setUint32(0, 0x04034B50, true);
+                commonFields(view, 4, entry);
+                header.set(entry.name, 30);
+                chunks.push(header, data);
+                offset += header.length + data.length;
+                entries.push(entry);
+            },
+            finish() {
+                const start = offset;
+                for (const entry of entries) {
+                    const header = new Uint8Array(46 + entry.name.length);
+                    const view = new DataView(header.buffer);
+                    view.setUint32(0, 0x02014B50, true);
+                    view.setUint16(4, 20, true);   // Version made by
+                    commonFields(view, 6, entry);
+                    // Comment length, disk, attributes: 0
+                    view.setUint32(42, entry.offset, true);
+                    header.set(entry.name, 46);
+                    chunks.push(header);
+                    offset += header.length;
+                }
+                const end = new Uint8Array(22);
+                const view = new DataView(end.buffer);
+                view.setUint32(0, 0x06054B50, true);
+                view.setUint16(8, entries.length, true);
+                view.setUint16(10, entries.length, true);
+                view.setUint32(12, offset - start, true);
+                view.setUint32(16, start, true);
+                chunks.push(end);
+                return chunks;
+            }
+        };
+    }
+
+    // --- WebM ---
+    // Muxes encoded video frames (e.g. WebCodecs VideoEncoder output) into a
+    // single-track WebM file with millisecond timestamps. A cluster starts at
+    // every key frame (and before relative timestamps would overflow), so
+    // players can seek to key frames without a cue index.
+
+    const WEBM_CODECS = { vp8: 'V_VP8', vp9: 'V_VP9' };
+
+    // EBML elements as { parts, length }: lists of byte chunks, so frame
+    // data is never copied before the final Blob
+    function ebmlBytes(bytes) {
+        return { parts: [bytes], length: bytes.length };
+    }
+
+    function ebmlId(id) {
+        const bytes = [];
+        for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+        return bytes;
+    }
+
+    // Variable-length size with its length marker
+    function ebmlSize(size) {
+        let length = 1;
+        while (size >= Math.pow(2, 7 * length) - 1) length++;
+        const bytes = [];
+        let v = size;
+        for (let k = 0; k < length; k++) {
+            bytes.unshift(v % 256);
+            v = Math.floor(v / 256);
+        }
+        bytes[0] |= 0x80 >> (length - 1);
+        return bytes;
+    }
+
+    function ebmlElement(id, children) {
+        const parts = [];
+        let size = 0;
+        for (const child of children) {
+            for (const part of child.parts) parts.push(part);
+            size += child.length;
+        }
+        const head = Uint8Array.from([...ebmlId(id), ...ebmlSize(size)]);
+        return { parts: [head, ...parts], length: head.length + size };
+    }
+
+    function ebmlUint(id, value) {
+        const bytes = [];
+        for (let v = value; v > 0 || bytes.length === 0; v = Math.floor(v / 256)) bytes.unshift(v % 256);
+        return ebmlElement(id, [ebmlBytes(Uint8Array.from(bytes))]);
+    }
+
+    function ebmlFloat(id, value) {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return ebmlElement(id, [ebmlBytes(bytes)]);
+    }
+
+    function ebmlString(id, text) {
+        return ebmlElement(id, [ebmlBytes(new TextEncoder().encode(text))]);
+    }
+
+    // codec: 'vp8' or 'vp9'; frames are added in presentation order
+    function createWebmMuxer({ width, height, frameRate, codec }) {
+        if (!WEBM_CODECS[codec]) throw new Error(`Unsupported WebM codec: ${codec}`);
+        const clusters = [];
+        let cluster = null; // { time, blocks }
+        let lastTime = 0;
+
+        function closeCluster() {
+            if (!cluster) return;
+            clusters.push(ebmlElement(0x1F43B675, [ebmlUint(0xE7, cluster.time), ...cluster.blocks]));
+            cluster = null;
+        }
+
+        return {
+            // data: encoded frame bytes; time in ms
+            addFrame(data, time, keyFrame) {
+                const ms = Math.round(time);
+                if (!cluster || keyFrame || ms - cluster.time > 30000) {
+                    closeCluster();
+                    cluster = { time: ms, blocks: [] };
+                }
+                const relative = ms - cluster.time;
+                // Track 1, 16-bit relative timestamp, key-frame flag
+                const head = Uint8Array.from([0x81, (relative >> 8) & 0xFF, relative & 0xFF, keyFrame ? 0x80 : 0]);
+                cluster.blocks.push(ebmlElement(0xA3, [ebmlBytes(head), ebmlBytes(data)]));
+                lastTime = ms;
+            },
+            // The file as a list of byte chunks (for a Blob)
+            finish() {
+                closeCluster();
+                const header = ebmlElement(0x1A45DFA3, [
+                    ebmlUint(0x4286, 1),       // EBMLVersion
+                    ebmlUint(0x42F7, 1),       // EBMLReadVersion
+                    ebmlUint(0x42F2, 4),       // EBMLMaxIDLength
+                    ebmlUint(0x42F3, 8),       // EBMLMaxSizeLength
+                    ebmlString(0x4282, 'webm'), // DocType
+                    ebmlUint(0x4287, 2),       // DocTypeVersion
+                    ebmlUint(0x4285, 2)        // DocTypeReadVersion
+                ]);
+                const info = ebmlElement(0x1549A966, [
+                    ebmlUint(0x2AD7B1, 1000000), // TimecodeScale: 1 ms
+                    ebmlString(0x4D80, 'pseudoplastic-fluid-sim'),
+                    ebmlString(0x5741, 'pseudoplastic-fluid-sim'),
+                    ebmlFloat(0x4489, lastTime + 1000 / frameRate) // Duration
+                ]);
+                const tracks = ebmlElement(0x1654AE6B, [
+                    ebmlElement(0xAE, [
+                        ebmlUint(0xD7, 1),            // TrackNumber
+                        ebmlUint(0x73C5, 1),          // TrackUID
+                        ebmlUint(0x9C, 0),            // FlagLacing
+                        ebmlString(0x86, WEBM_CODECS[codec]),
+                        ebmlUint(0x83, 1),            // TrackType: video
+                        ebmlUint(0x23E383, Math.round(1e9 / frameRate)), // DefaultDuration (ns)
+                        ebmlElement(0xE0, [ebmlUint(0xB0, width), ebmlUint(0xBA, height)])
+                    ])
+                ]);
+                const segment = ebmlElement(0x18538067, [info, tracks, ...clusters]);
+                return [...header.parts, ...segment.parts];
+            }
+        };
+    }
+
+    return {
+        TIME_SERIES_COLUMNS,
+        timeSeriesToCsv,
+        captureFrame,
+        atomCount,
+        xyzFrame,
+        lammpsDumpFrame,
+        SNAPSHOT_FORMATS,
+        crc32,
+        createZipWriter,
+        createWebmMuxer
+    };
+});
@@ -0,0 +1,700 @@
+/**
+ * UI Strings
+ *
+ * Japanese and English text of the browser UI: the sidebar labels, status
+ * messages, button texts and the text drawn on the canvases. Keys are flat
+ * dotted names; `{name}` placeholders are filled from the params object.
+ * Descriptor tables (flow geometries, architectures, models, protocol
+ * segments, …) are looked up by id, e.g. `geometry.couette`.
+ *
+ * Loaded by the browser UI (as `I18n`) and usable from Node via require.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) module.exports = api;
+    else root.I18n = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Language code -> name shown in the switcher (in its own language)
+    const LANGUAGES = {
+        ja: '日本語',
+        en: 'English'
+    };
+
+    // Missing keys fall back to this table, then to the key itself
+    const DEFAULT_LANGUAGE = 'ja';
+
+    const STRINGS = {
+        ja: {
+            // Page
+            'app.title': '擬塑性流体 分子運動シミュレーション',
+            'app.heading1': '擬塑性流体',
+            'app.heading2': 'シミュレーター',
+            'app.description1': '高分子（鎖長100）の挙動を可視化します。',
+            'app.description2': '剪断速度を変化させ、分子の「絡み合い」と「配向」の変化を観察してください。',
+            'overlay.title': '擬塑性流体',
+            'overlay.viscosity': '見かけ粘度:',
+            'info.title': '解説',
+            'info.lowShear.title': '低剪断速度:',
+            'info.lowShear.text': '分子鎖が不規則に折れ曲がり、互いに絡み合うことで高粘度を示します。',
+            'info.highShear.title': '高剪断速度:',
+            'info.highShear.text': '流れに沿って分子が伸長・配向（ほぐれる）し、抵抗が減ることで低粘度になります。',
+
+            // Sidebar controls
+            'shear.label': '剪断速度',
+            'shear.current': '現在値:',
+            'geometry.label': '流れの形状',
+            'speed.label': 'シミュレーション速度',
+            'speed.note': '× (時間刻み Δt = 0.1 固定)',
+            'count.label': '分子数',
+            'length.label': '分子鎖長 (数平均節数, 各5px固定)',
+            'unit.chains': '本',
+            'unit.nodes': '節',
+            'architecture.label': '分子構造',
+            'distribution.label': '鎖長分布',
+            'stiffness.label': '曲げ剛性',
+            'stiffness.note': '(0 = 屈曲性, 1 = 半屈曲性)',
+            'excludedVolume.label': '鎖間の排除体積',
+            'excludedVolume.note': 'オフにすると鎖同士がすり抜けます',
+            'temperature.label': '温度',
+            'temperature.note': '(ブラウン運動 kT ∝ 絶対温度)',
+            'temperature.shiftLaw': '移動因子 a_T (K の温度依存)',
+            'temperature.overlay': '複数の温度の流動曲線を重ねる',
+            'temperature.overlayPlaceholder': '温度 (°C) をカンマ区切りで',
+            'compare.label': '比較モード (同じせん断速度・シード)',
+            'compare.pair': 'ニュートン的 vs 擬塑性',
+            'compare.trio': 'ニュートン的 vs 擬塑性 vs 密な剛直棒',
+            'compare.note': '鎖の本数・長さ・剛性は各系で固定、その他の設定は共通です',
+            'compareSetup.newtonian': '短い鎖 (ニュートン的)',
+            'compareSetup.pseudoplastic': '長い鎖 (擬塑性)',
+            'compareSetup.rigidRods': '密な剛直棒',
+            'model.label': '構成方程式モデル',
+            'model.auto': '鎖長・分子数から n, K を決定',
+            'chartMode.label': 'グラフ表示',
+            'chartMode.flow': '流動曲線 τ–γ̇',
+            'chartMode.viscosity': '粘度曲線 η–γ̇ (両対数)',
+            'chartMode.lissajous': 'リサージュ τ–γ (振動せん断)',
+            'chartMode.profile': '速度分布 v–y',
+            'colorMode.label': '鎖の色分け',
+            'director.label': '配向場を表示',
+            'fit.label': '実験データ・フィッティング',
+            'fit.kindTitle': 'CSVの2列目',
+            'fit.kind.auto': '2列目: 自動判定',
+            'fit.kind.stress': '2列目: せん断応力 τ (Pa)',
+            'fit.kind.viscosity': '2列目: 粘度 η (Pa·s)',
+            'fit.import': 'CSV読込',
+            'fit.clear': 'データ消去',
+            'fit.source.imported': '実験データ',
+            'fit.source.simulation': 'シミュレーション実測',
+            'fit.run': 'フィット',
+            'fit.imported': '{name}: {count} 点 ({columns})',
+            'fit.failed': 'フィット失敗: {message}',
+            'export.label': 'データ出力',
+            'export.seriesCsv': '時系列 CSV',
+            'export.seriesJson': '時系列 JSON',
+            'export.format.xyz': '拡張XYZ (.xyz)',
+            'export.format.lammps': 'LAMMPS dump (.lammpstrj)',
+            'export.snapshot': 'スナップショット',
+            'export.trajectoryStart': '軌跡記録開始',
+            'export.trajectoryStop': '軌跡記録停止・保存',
+            'export.recording': '軌跡記録中: {frames} フレーム',
+            'export.saved': '軌跡を保存しました: {frames} フレーム',
+            'seed.label': '乱数シード',
+            'seed.random': 'ランダム',
+            'seed.randomTitle': '新しいシードで再生成',
+            'replay.save': 'リプレイ保存',
+            'replay.load': 'リプレイ読込',
+            'replay.playing': 'リプレイ中 – seed {seed}',
+            'state.label': '状態の保存・復元',
+            'state.save': '状態保存',
+            'state.load': '状態読込',
+            'state.box': ' (領域 {width}×{height})',
+            'state.loaded': '{label}: ステップ {step}',
+            'autosave.toggle': 'ブラウザに自動保存 (10秒ごと)',
+            'autosave.name': '自動保存',
+            'autosave.restore': '自動保存から復元',
+            'autosave.restoreAt': '自動保存から復元 ({time})',
+            'autosave.failed': '自動保存失敗: {message}',
+            'error.load': '読込失敗: {message}',
+            'error.restore': '復元失敗: {message}',
+            'error.step': 'シミュレーションエラー: {message}',
+            'protocol.label': 'せん断プロトコル',
+            'protocol.choosePreset': 'プリセットを選択…',
+            'protocol.add': '追加',
+            'protocol.remove': '削除',
+            'protocol.run': 'プロトコル実行',
+            'protocol.stop': 'プロトコル停止',
+            'protocol.stopped': '停止しました',
+            'protocol.done': '完了しました',
+            'protocol.cannotStart': '開始できません: {message}',
+            'autoPlay.start': '自動デモ開始',
+            'autoPlay.stop': 'ストップ',
+            'autoPlay.done': '自動デモ完了 → リセット',
+            'record.start': '録画開始',
+            'record.stop': '録画停止・保存',
+            'record.failed': '録画を開始できません: {message}',
+            'captions.toggle': 'パラメータ・時刻を焼き込む',
+            'render.label': 'オフライン書き出し',
+            'render.resolution': '解像度',
+            'render.viewSize': '表示サイズ',
+            'render.fps': 'フレームレート',
+            'render.duration': '長さ (秒)',
+            'render.steps': 'ステップ / フレーム',
+            'render.format': '形式',
+            'render.webm': 'WebM 動画',
+            'render.png': 'PNG 連番 (ZIP)',
+            'render.charts': 'グラフを含める',
+            'render.start': '書き出し開始',
+            'render.cancel': '中止',
+            'render.fallback': 'WebCodecs 非対応: リアルタイムで記録します',
+            'render.progress': '書き出し中 {frame} / {frames} フレーム',
+            'render.cancelled': '書き出しを中止しました',
+            'render.done': '{frames} フレームを書き出しました (.{extension})',
+            'render.failed': '書き出しに失敗しました: {message}',
+            'reset': 'リセット / 再生成',
+
+            // Settings, presets and permalinks
+            'settings.label': '設定の共有・プリセット',
+            'settings.choosePreset': 'プリセットを選択…',
+            'settings.builtIn': '組み込み',
+            'settings.userDefined': 'ユーザー定義',
+            'settings.apply': '適用',
+            'settings.namePlaceholder': 'プリセット名',
+            'settings.save': '保存',
+            'settings.delete': '削除',
+            'settings.copyLink': 'リンクをコピー',
+            'settings.linkCopied': 'リンクをコピーしました',
+            'settings.linkReady': 'アドレスバーのリンクを共有してください',
+            'settings.fromLink': 'リンクの設定を適用しました',
+            'settings.applied': '「{name}」を適用しました',
+            'settings.saved': '「{name}」を保存しました',
+            'settings.deleted': '「{name}」を削除しました',
+            'settings.nameRequired': 'プリセット名を入力してください',
+            'settingsPreset.dilute': '希薄溶液',
+            'settingsPreset.melt': '濃厚融体',
+            'settingsPreset.oligomers': '短いオリゴマー',
+            'advanced.label': '詳細設定 (CONFIG)',
+            'advanced.reset': '既定値に戻す',
+            'constraintSolver.label': '拘束ソルバー',
+            'constraintSolver.fixed': '固定回数 (拘束の反復回数)',
+            'constraintSolver.tolerance': '許容誤差まで反復 (上限あり)',
+            'diagnostics.toggle': '拘束の診断を表示 (結合長・結合角)',
+            'diagnostics.bonds': '結合長の誤差 最大 {max}% · RMS {rms}%',
+            'diagnostics.angles': '{minAngle}° 未満の結合角 {count} / {total} (最小 {sharpest}°)',
+            'diagnostics.passes': '反復 平均 {mean} · 最大 {max} / 上限 {cap}',
+            'diagnostics.converged': 'すべての鎖が許容誤差内に収束',
+            'diagnostics.unconverged': '未収束 (上限に到達) {count} / {total} 本',
+            'physics.k_stiffness': '結合拘束の強さ',
+            'physics.drag': '摩擦率 γ',
+            'physics.temperature': '温度 kT',
+            'physics.driftSpeed': '一様流の速さ',
+            'physics.angularConstraintIterations': '拘束の反復回数',
+            'physics.minAngleDeg': '最小結合角 (°)',
+            'physics.constraintTolerance': '結合長の許容誤差 (相対)',
+            'physics.maxConstraintIterations': '反復回数の上限',
+            'physics.excludedRadius': '排除半径 (px)',
+            'physics.excludedStiffness': '排除の強さ',
+            'physics.contactDistance': '接触距離 (px)',
+            'physics.excludedVolumeBudget': '排除体積の判定数 / ステップ',
+
+            // Chain inspector
+            'inspector.close': '閉じる',
+            'inspector.length': '鎖長',
+            'inspector.ree': '末端間距離',
+            'inspector.rg': '回転半径',
+            'inspector.angle': '配向角 θ',
+            'inspector.drag': '節をドラッグして引っ張れます',
+            'inspector.title': '分子 #{index} · {architecture}',
+            'inspector.nodes': '{count} 節 (L = {length} px)',
+
+            // Status (STATUS_LEVELS)
+            'status.initial': '状態: 静止・絡み合い',
+            'status.aligned': '完全配向・低抵抗 (ずり流動化)',
+            'status.aligning': '配向進行中・粘度低下',
+            'status.loosening': '徐々にほぐれ始める',
+            'status.entangled': '静止・絡み合い',
+
+            // Flow geometries, chain architectures and length distributions (simulation.js)
+            'geometry.turbulent': '乱流せん断',
+            'geometry.turbulent.description': '周期境界 (Lees–Edwards) の単純せん断 + 乱流場',
+            'geometry.couette': '平面クエット流',
+            'geometry.couette.description': '上下の壁が ±γ̇H/2 で逆向きに移動、直線速度分布',
+            'geometry.poiseuille': 'ポアズイユ流',
+            'geometry.poiseuille.description': '静止壁の間の圧力流、放物線分布 (γ̇ は壁面せん断速度)',
+            'geometry.extension': '平面伸長流',
+            'geometry.extension.description': '中央のよどみ点へ上下から流入し左右へ流出 (伸長速度 ε̇ = γ̇ / 4)',
+            'architecture.linear': '直鎖',
+            'architecture.ring': '環状',
+            'architecture.star': '星型',
+            'architecture.comb': '櫛型',
+            'architecture.block': 'ブロック共重合体 (A-B)',
+            'distribution.monodisperse': '単分散',
+            'distribution.schulzZimm': 'Schulz–Zimm',
+            'distribution.logNormal': '対数正規',
+            'topology.armCount': '腕の数',
+            'topology.branchCount': '側鎖の数',
+            'topology.blockFraction': 'A ブロック比',
+            'topology.pdi': 'PDI (Mw/Mn)',
+            'dispersity': 'Mn = {mn} 節, Mw/Mn = {pdi}',
+
+            // Rheology models (rheology.js)
+            'model.powerLaw': 'べき乗則',
+            'model.newtonian': 'ニュートン',
+            'model.carreau': 'Carreau',
+            'model.carreauYasuda': 'Carreau–Yasuda',
+            'model.cross': 'Cross',
+            'model.herschelBulkley': 'Herschel–Bulkley',
+            'model.bingham': 'ビンガム',
+            'model.shearThickening': 'ダイラタント',
+
+            // Temperature shift laws (rheology.js)
+            'shiftLaw.arrhenius': 'アレニウス',
+            'shiftLaw.wlf': 'WLF',
+            'shiftLaw.arrhenius.Ea': '活性化エネルギー Eₐ (kJ/mol)',
+            'shiftLaw.arrhenius.Tref': '基準温度 T_ref (°C)',
+            'shiftLaw.wlf.C1': 'C₁',
+            'shiftLaw.wlf.C2': 'C₂ (K)',
+            'shiftLaw.wlf.Tref': '基準温度 T_ref (°C)',
+
+            // Protocol segments and presets (protocol.js)
+            'segment.hold': '保持',
+            'segment.ramp': 'ランプ',
+            'segment.loop': '往復ループ',
+            'segment.step': 'ステップ開始',
+            'segment.cessation': '停止',
+            'segment.oscillation': '振動',
+            'segment.hold.rate': 'γ̇',
+            'segment.hold.duration': '時間',
+            'segment.ramp.from': 'γ̇ 開始',
+            'segment.ramp.to': 'γ̇ 終了',
+            'segment.ramp.duration': '時間',
+            'segment.ramp.scale': '目盛',
+            'segment.loop.from': 'γ̇ 下限',
+            'segment.loop.to': 'γ̇ 上限',
+            'segment.loop.duration': '時間 (往復)',
+            'segment.loop.scale': '目盛',
+            'segment.step.rate': 'γ̇',
+            'segment.step.duration': '時間',
+            'segment.cessation.duration': '時間',
+            'segment.oscillation.amplitude': 'γ̇ 振幅',
+            'segment.oscillation.frequency': '周波数',
+            'segment.oscillation.cycles': '周期数',
+            'preset.hysteresis': 'ヒステリシスループ',
+            'preset.startup': 'スタートアップ → 停止',
+            'preset.logSweep': '対数ランプ 1 → 100',
+            'preset.oscillation': '振動せん断',
+
+            // Chain colouring
+            'colorMode.architecture': '構造',
+            'colorMode.orientation': '結合の配向角',
+            'colorMode.orientation.legend': 'θ (0° = 流れ方向)',
+            'colorMode.tension': '結合の張力',
+            'colorMode.tension.legend': '張力 / 節長 (symlog)',
+            'colorMode.extension': '鎖の伸長率',
+            'colorMode.extension.legend': 'Ree / L',
+            'colorMode.chainId': '鎖 ID',
+            'colorMode.chainId.legend': '鎖番号',
+            'colorMode.order.legend': '秩序変数 S',
+
+            // Charts
+            'chart.shearRate': 'せん断速度 (1/s)',
+            'chart.shearRateLog': 'せん断速度 (1/s, log)',
+            'chart.shearStress': 'せん断応力 τ',
+            'chart.simulatedStress': 'τ_xy 実測 (a.u.)',
+            'chart.viscosityLog': '粘度 η (mPa·s, log)',
+            'chart.noZeroShear': 'γ̇ → 0 で η → ∞ (ゼロせん断粘度なし)',
+            'chart.residuals': '残差',
+            'chart.autoParams': '[鎖から自動]',
+            'chart.atBound': '(限界)',
+            'chart.fit': 'フィット ({source})',
+            'chart.source.simulation': 'シミュレーション',
+            'chart.source.imported': '実験データ',
+            'chart.legend.model': '― モデル',
+            'chart.legend.simulated': '● シミュレーション実測',
+            'chart.legend.imported': '■ 実験データ ({name})',
+            'chart.legend.up': '― 上昇',
+            'chart.legend.down': '― 下降',
+            'chart.strain': 'ひずみ γ − γ̄',
+            'chart.oscillationHint': '振動プロトコルを実行すると表示されます',
+            'chart.oscillation': '振動せん断: γ̇₀ = {amplitude}, f = {frequency} (1/時間)',
+            'chart.cycles': '{cycles} 周期',
+            'chart.moduliPending': 'G′, G″: 2周期目以降に算出',
+            'chart.velocity': '速度 {component}',
+            'chart.gap': '位置 y',
+            'chart.measuring': '計測中…',
+            'chart.profileMean': '● 節の平均速度 ± 標準誤差 ({frames} フレーム)',
+            'chart.imposed': '— 付与した流れ',
+            'chart.effectiveRate': '実効せん断速度 γ̇_eff = {rate} ± {error} 1/s  (設定 {setting})',
+            'chart.effectiveRateNone': '実効せん断速度: —',
+            'chart.simulatedStressLog': 'τ_xy 実測 (a.u., log)',
+            'chart.compareHint': 'せん断速度を変えると各系の τ_xy が記録されます',
+            'chart.slopeOne': '--- 傾き 1 (ニュートン)',
+
+            // Conformation panel
+            'metrics.rg': '回転半径 Rg',
+            'metrics.ree': '末端間距離 Ree',
+            'metrics.order': '配向秩序 S',
+            'metrics.angle': '鎖の角度 θ',
+            'metrics.entanglement': '絡み合い E',
+            'metrics.perChain': '本/鎖',
+            'metrics.crossings': '交差 {count}',
+            'metrics.tauXY': 'せん断応力 τ_xy',
+
+            // Captions burned into recordings
+            'caption.title': '擬塑性流体 · seed {seed}',
+            'caption.viscosity': '見かけ粘度 {viscosity}',
+            'caption.chains': '{count} 本 × Mn {mn} 節'
+        },
+
+        en: {
+            // Page
+            'app.title': 'Pseudoplastic Fluid Molecular Simulation',
+            'app.heading1': 'Pseudoplastic Fluid',
+            'app.heading2': 'Simulator',
+            'app.description1': 'Visualises the motion of polymer chains in a sheared fluid.',
+            'app.description2': 'Change the shear rate and watch the chains disentangle and align with the flow.',
+            'overlay.title': 'Pseudoplastic Fluid',
+            'overlay.viscosity': 'Apparent viscosity:',
+            'info.title': 'Notes',
+            'info.lowShear.title': 'Low shear rate:',
+            'info.lowShear.text': 'The chains coil randomly and entangle with each other, so the viscosity is high.',
+            'info.highShear.title': 'High shear rate:',
+            'info.highShear.text': 'The chains stretch and align with the flow (they disentangle); the resistance drops and so does the viscosity.',
+
+            // Sidebar controls
+            'shear.label': 'Shear Rate',
+            'shear.current': 'Current:',
+            'geometry.label': 'Flow Geometry',
+            'speed.label': 'Simulation Speed',
+            'speed.note': '× (time step Δt = 0.1, fixed)',
+            'count.label': 'Number of Chains',
+            'length.label': 'Chain Length (number-average nodes, 5 px each)',
+            'unit.chains': 'chains',
+            'unit.nodes': 'nodes',
+            'architecture.label': 'Chain Architecture',
+            'distribution.label': 'Length Distribution',
+            'stiffness.label': 'Bending Stiffness',
+            'stiffness.note': '(0 = flexible, 1 = semiflexible)',
+            'excludedVolume.label': 'Excluded Volume Between Chains',
+            'excludedVolume.note': 'When off, chains pass through each other',
+            'temperature.label': 'Temperature',
+            'temperature.note': '(Brownian noise kT ∝ absolute temperature)',
+            'temperature.shiftLaw': 'Shift factor a_T (temperature dependence of K)',
+            'temperature.overlay': 'Overlay flow curves at several temperatures',
+            'temperature.overlayPlaceholder': 'Temperatures (°C), comma-separated',
+            'compare.label': 'Comparison mode (same shear rate and seed)',
+            'compare.pair': 'Newtonian vs pseudoplastic',
+            'compare.trio': 'Newtonian vs pseudoplastic vs dense rigid rods',
+            'compare.note': 'Chain count, length and stiffness are fixed per setup; the other settings are shared',
+            'compareSetup.newtonian': 'Short chains (near-Newtonian)',
+            'compareSetup.pseudoplastic': 'Long chains (pseudoplastic)',
+            'compareSetup.rigidRods': 'Dense rigid rods',
+            'model.label': 'Rheology Model',
+            'model.auto': 'Set n and K from chain length and count',
+            'chartMode.label': 'Chart',
+            'chartMode.flow': 'Flow curve τ–γ̇',
+            'chartMode.viscosity': 'Viscosity curve η–γ̇ (log-log)',
+            'chartMode.lissajous': 'Lissajous τ–γ (oscillatory shear)',
+            'chartMode.profile': 'Velocity profile v–y',
+            'colorMode.label': 'Colour Chains By',
+            'director.label': 'Show director field',
+            'fit.label': 'Experimental Data & Fitting',
+            'fit.kindTitle': 'Second CSV column',
+            'fit.kind.auto': '2nd column: auto-detect',
+            'fit.kind.stress': '2nd column: shear stress τ (Pa)',
+            'fit.kind.viscosity': '2nd column: viscosity η (Pa·s)',
+            'fit.import': 'Import CSV',
+            'fit.clear': 'Clear Data',
+            'fit.source.imported': 'Experimental data',
+            'fit.source.simulation': 'Simulated',
+            'fit.run': 'Fit',
+            'fit.imported': '{name}: {count} points ({columns})',
+            'fit.failed': 'Fit failed: {message}',
+            'export.label': 'Data Export',
+            'export.seriesCsv': 'Time Series CSV',
+            'export.seriesJson': 'Time Series JSON',
+            'export.format.xyz': 'Extended XYZ (.xyz)',
+            'export.format.lammps': 'LAMMPS dump (.lammpstrj)',
+            'export.snapshot': 'Snapshot',
+            'export.trajectoryStart': 'Record Trajectory',
+            'export.trajectoryStop': 'Stop & Save Trajectory',
+            'export.recording': 'Recording trajectory: {frames} frames',
+            'export.saved': 'Trajectory saved: {frames} frames',
+            'seed.label': 'Random Seed',
+            'seed.random': 'Random',
+            'seed.randomTitle': 'Regenerate with a new seed',
+            'replay.save': 'Save Replay',
+            'replay.load': 'Load Replay',
+            'replay.playing': 'Replaying – seed {seed}',
+            'state.label': 'Save & Restore State',
+            'state.save': 'Save State',
+            'state.load': 'Load State',
+            'state.box': ' (box {width}×{height})',
+            'state.loaded': '{label}: step {step}',
+            'autosave.toggle': 'Autosave in the browser (every 10 s)',
+            'autosave.name': 'Autosave',
+            'autosave.restore': 'Restore Autosave',
+            'autosave.restoreAt': 'Restore Autosave ({time})',
+            'autosave.failed': 'Autosave failed: {message}',
+            'error.load': 'Load failed: {message}',
+            'error.restore': 'Restore failed: {message}',
+            'error.step': 'Simulation error: {message}',
+            'protocol.label': 'Shear Protocol',
+            'protocol.choosePreset': 'Choose a preset…',
+            'protocol.add': 'Add',
+            'protocol.remove': 'Remove',
+            'protocol.run': 'Run Protocol',
+            'protocol.stop': 'Stop Protocol',
+            'protocol.stopped': 'Stopped',
+            'protocol.done': 'Done',
+            'protocol.cannotStart': 'Cannot start: {message}',
+            'autoPlay.start': 'Start Auto Demo',
+            'autoPlay.stop': 'Stop',
+            'autoPlay.done': 'Auto demo done → reset',
+            'record.start': 'Record',
+            'record.stop': 'Stop & Save Recording',
+            'record.failed': 'Cannot start recording: {message}',
+            'captions.toggle': 'Burn in parameters and time',
+            'render.label': 'Offline Render',
+            'render.resolution': 'Resolution',
+            'render.viewSize': 'View size',
+            'render.fps': 'Frame rate',
+            'render.duration': 'Length (s)',
+            'render.steps': 'Steps / frame',
+            'render.format': 'Format',
+            'render.webm': 'WebM video',
+            'render.png': 'PNG sequence (ZIP)',
+            'render.charts': 'Include charts',
+            'render.start': 'Render',
+            'render.cancel': 'Cancel',
+            'render.fallback': 'No WebCodecs: recording in real time',
+            'render.progress': 'Rendering {frame} / {frames} frames',
+            'render.cancelled': 'Render cancelled',
+            'render.done': 'Rendered {frames} frames (.{extension})',
+            'render.failed': 'Render failed: {message}',
+            'reset': 'Reset / Regenerate',
+
+            // Settings, presets and permalinks
+            'settings.label': 'Share Settings & Presets',
+            'settings.choosePreset': 'Choose a preset…',
+            'settings.builtIn': 'Built-in',
+            'settings.userDefined': 'Your presets',
+            'settings.apply': 'Apply',
+            'settings.namePlaceholder': 'Preset name',
+            'settings.save': 'Save',
+            'settings.delete': 'Delete',
+            'settings.copyLink': 'Copy Link',
+            'settings.linkCopied': 'Link copied',
+            'settings.linkReady': 'Share the link in the address bar',
+            'settings.fromLink': 'Applied the settings from the link',
+            'settings.applied': 'Applied "{name}"',
+            'settings.saved': 'Saved "{name}"',
+            'settings.deleted': 'Deleted "{name}"',
+            'settings.nameRequired': 'Enter a preset name',
+            'settingsPreset.dilute': 'Dilute solution',
+            'settingsPreset.melt': 'Concentrated melt',
+            'settingsPreset.oligomers': 'Short oligomers',
+            'advanced.label': 'Advanced (CONFIG)',
+            'advanced.reset': 'Restore Defaults',
+            'constraintSolver.label': 'Constraint solver',
+            'constraintSolver.fixed': 'Fixed (constraint iterations)',
+            'constraintSolver.tolerance': 'Until tolerance (capped)',
+            'diagnostics.toggle': 'Show constraint diagnostics (bond lengths, angles)',
+            'diagnostics.bonds': 'Bond length error max {max}% · RMS {rms}%',
+            'diagnostics.angles': 'Bond angles under {minAngle}°: {count} / {total} (sharpest {sharpest}°)',
+            'diagnostics.passes': 'Iterations mean {mean} · max {max} of {cap}',
+            'diagnostics.converged': 'All chains converged within tolerance',
+            'diagnostics.unconverged': 'Not converged (cap reached): {count} / {total} chains',
+            'physics.k_stiffness': 'Bond constraint stiffness',
+            'physics.drag': 'Friction rate γ',
+            'physics.temperature': 'Temperature kT',
+            'physics.driftSpeed': 'Uniform drift speed',
+            'physics.angularConstraintIterations': 'Constraint iterations',
+            'physics.minAngleDeg': 'Minimum bond angle (°)',
+            'physics.constraintTolerance': 'Bond length tolerance (relative)',
+            'physics.maxConstraintIterations': 'Maximum iterations',
+            'physics.excludedRadius': 'Excluded radius (px)',
+            'physics.excludedStiffness': 'Excluded-volume stiffness',
+            'physics.contactDistance': 'Contact distance (px)',
+            'physics.excludedVolumeBudget': 'Pair tests per step',
+
+            // Chain inspector
+            'inspector.close': 'Close',
+            'inspector.length': 'Length',
+            'inspector.ree': 'End-to-end',
+            'inspector.rg': 'Radius of gyration',
+            'inspector.angle': 'Orientation θ',
+            'inspector.drag': 'Drag a node to pull',
+            'inspector.title': 'Chain #{index} · {architecture}',
+            'inspector.nodes': '{count} nodes (L = {length} px)',
+
+            // Status (STATUS_LEVELS)
+            'status.initial': 'State: at rest, entangled',
+            'status.aligned': 'Fully aligned, low resistance (shear thinning)',
+            'status.aligning': 'Aligning, viscosity dropping',
+            'status.loosening': 'Starting to disentangle',
+            'status.entangled': 'At rest, entangled',
+
+            // Flow geometries, chain architectures and length distributions (simulation.js)
+            'geometry.turbulent': 'Turbulent shear',
+            'geometry.turbulent.description': 'Simple shear in a periodic (Lees–Edwards) box plus a turbulent field',
+            'geometry.couette': 'Plane Couette',
+            'geometry.couette.description': 'Top and bottom walls move in opposite directions at ±γ̇H/2; linear profile',
+            'geometry.poiseuille': 'Poiseuille',
+            'geometry.poiseuille.description': 'Pressure-driven flow between fixed walls; parabolic profile (γ̇ is the wall shear rate)',
+            'geometry.extension': 'Planar extension',
+            'geometry.extension.description': 'Inflow from top and bottom to a central stagnation point, outflow to the sides (extension rate ε̇ = γ̇ / 4)',
+            'architecture.linear': 'Linear',
+            'architecture.ring': 'Ring',
+            'architecture.star': 'Star',
+            'architecture.comb': 'Comb',
+            'architecture.block': 'Block copolymer (A-B)',
+            'distribution.monodisperse': 'Monodisperse',
+            'distribution.schulzZimm': 'Schulz–Zimm',
+            'distribution.logNormal': 'Log-normal',
+            'topology.armCount': 'Arms',
+            'topology.branchCount': 'Branches',
+            'topology.blockFraction': 'A-block fraction',
+            'topology.pdi': 'PDI (Mw/Mn)',
+            'dispersity': 'Mn = {mn} nodes, Mw/Mn = {pdi}',
+
+            // Rheology models (rheology.js)
+            'model.powerLaw': 'Power law',
+            'model.newtonian': 'Newtonian',
+            'model.carreau': 'Carreau',
+            'model.carreauYasuda': 'Carreau–Yasuda',
+            'model.cross': 'Cross',
+            'model.herschelBulkley': 'Herschel–Bulkley',
+            'model.bingham': 'Bingham',
+            'model.shearThickening': 'Shear thickening',
+
+            // Temperature shift laws (rheology.js)
+            'shiftLaw.arrhenius': 'Arrhenius',
+            'shiftLaw.wlf': 'WLF',
+            'shiftLaw.arrhenius.Ea': 'Activation energy Eₐ (kJ/mol)',
+            'shiftLaw.arrhenius.Tref': 'Reference temperature T_ref (°C)',
+            'shiftLaw.wlf.C1': 'C₁',
+            'shiftLaw.wlf.C2': 'C₂ (K)',
+            'shiftLaw.wlf.Tref': 'Reference temperature T_ref (°C)',
+
+            // Protocol segments and presets (protocol.js)
+            'segment.hold': 'Hold',
+            'segment.ramp': 'Ramp',
+            'segment.loop': 'Up–down loop',
+            'segment.step': 'Start-up',
+            'segment.cessation': 'Cessation',
+            'segment.oscillation': 'Oscillatory',
+            'segment.hold.rate': 'γ̇',
+            'segment.hold.duration': 'Duration',
+            'segment.ramp.from': 'γ̇ from',
+            'segment.ramp.to': 'γ̇ to',
+            'segment.ramp.duration': 'Duration',
+            'segment.ramp.scale': 'Scale',
+            'segment.loop.from': 'γ̇ low',
+            'segment.loop.to': 'γ̇ high',
+            'segment.loop.duration': 'Duration (round trip)',
+            'segment.loop.scale': 'Scale',
+            'segment.step.rate': 'γ̇',
+            'segment.step.duration': 'Duration',
+            'segment.cessation.duration': 'Duration',
+            'segment.oscillation.amplitude': 'γ̇ amplitude',
+            'segment.oscillation.frequency': 'Frequency',
+            'segment.oscillation.cycles': 'Cycles',
+            'preset.hysteresis': 'Hysteresis loop',
+            'preset.startup': 'Start-up → cessation',
+            'preset.logSweep': 'Log ramp 1 → 100',
+            'preset.oscillation': 'Oscillatory shear',
+
+            // Chain colouring
+            'colorMode.architecture': 'Architecture',
+            'colorMode.orientation': 'Bond orientation',
+            'colorMode.orientation.legend': 'θ (0° = flow direction)',
+            'colorMode.tension': 'Bond tension',
+            'colorMode.tension.legend': 'Tension / segment length (symlog)',
+            'colorMode.extension': 'Chain extension',
+            'colorMode.extension.legend': 'Ree / L',
+            'colorMode.chainId': 'Chain ID',
+            'colorMode.chainId.legend': 'Chain index',
+            'colorMode.order.legend': 'Local order S',
+
+            // Charts
+            'chart.shearRate': 'Shear Rate (1/s)',
+            'chart.shearRateLog': 'Shear Rate (1/s, log)',
+            'chart.shearStress': 'Shear Stress (τ)',
+            'chart.simulatedStress': 'τ_xy Simulated (a.u.)',
+            'chart.viscosityLog': 'Viscosity η (mPa·s, log)',
+            'chart.noZeroShear': 'η → ∞ as γ̇ → 0 (no zero-shear viscosity)',
+            'chart.residuals': 'Resid.',
+            'chart.autoParams': '[from chains]',
+            'chart.atBound': '(at bound)',
+            'chart.fit': 'Fit ({source})',
+            'chart.source.simulation': 'simulation',
+            'chart.source.imported': 'experimental data',
+            'chart.legend.model': '― Model',
+            'chart.legend.simulated': '● Simulated',
+            'chart.legend.imported': '■ Experimental ({name})',
+            'chart.legend.up': '― Up',
+            'chart.legend.down': '― Down',
+            'chart.strain': 'Strain γ − γ̄',
+            'chart.oscillationHint': 'Shown while an oscillatory protocol runs',
+            'chart.oscillation': 'Oscillatory shear: γ̇₀ = {amplitude}, f = {frequency} (1/time)',
+            'chart.cycles': '{cycles} cycles',
+            'chart.moduliPending': 'G′, G″: computed after the first cycle',
+            'chart.velocity': 'Velocity {component}',
+            'chart.gap': 'Position y',
+            'chart.measuring': 'Measuring…',
+            'chart.profileMean': '● Mean node velocity ± standard error ({frames} frames)',
+            'chart.imposed': '— Imposed flow',
+            'chart.effectiveRate': 'Effective shear rate γ̇_eff = {rate} ± {error} 1/s  (set {setting})',
+            'chart.effectiveRateNone': 'Effective shear rate: —',
+            'chart.simulatedStressLog': 'τ_xy Simulated (a.u., log)',
+            'chart.compareHint': 'Change the shear rate to record τ_xy of each setup',
+            'chart.slopeOne': '--- Slope 1 (Newtonian)',
+
+            // Conformation panel
+            'metrics.rg': 'Radius of gyration Rg',
+            'metrics.ree': 'End-to-end distance Ree',
+            'metrics.order': 'Order parameter S',
+            'metrics.angle': 'Chain angle θ',
+            'metrics.entanglement': 'Entanglement E',
+            'metrics.perChain': 'per chain',
+            'metrics.crossings': '{count} crossings',
+            'metrics.tauXY': 'Shear stress τ_xy',
+
+            // Captions burned into recordings
+            'caption.title': 'Pseudoplastic Fluid · seed {seed}',
+            'caption.viscosity': 'apparent viscosity {viscosity}',
+            'caption.chains': '{count} chains × Mn {mn} nodes'
+        }
+    };
+
+    // Text of `key` in `lang` with {name} placeholders replaced from params
+    function translate(lang, key, params) {
+        const table = STRINGS[lang] || STRINGS[DEFAULT_LANGUAGE];
+        let text = table[key];
+        if (text === undefined) text = STRINGS[DEFAULT_LANGUAGE][key];
+        if (text === undefined) return key;
+        if (!params) return text;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    // First supported language among candidate codes ('en-GB' matches 'en');
+    // the default when none is
+    function resolveLanguage(candidates) {
+        for (const code of candidates) {
+            if (!code) continue;
+            const base = String(code).toLowerCase().split('-')[0];
+            if (LANGUAGES[base]) return base;
+        }
+        return DEFAULT_LANGUAGE;
+    }
+
+    return {
+        LANGUAGES,
+        DEFAULT_LANGUAGE,
+        STRINGS,
+        translate,
+        resolveLanguage
+    };
+});
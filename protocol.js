@@ -0,0 +1,226 @@
+/**
+ * Shear Protocols
+ *
+ * Multi-segment schedules of the shear rate: holds, linear or logarithmic
+ * ramps, up-then-down loops (hysteresis / thixotropy), step start-up,
+ * cessation of flow and sinusoidal oscillation. Times are in simulation
+ * time (Simulation.time, 0.1 per step in the UI), rates in shear-rate slider units.
+ *
+ * Also evaluates oscillatory runs: storage and loss moduli G′ / G″ from the
+ * stress response to the imposed strain.
+ *
+ * Loaded by the browser UI (as `ShearProtocol`) and usable from Node via require.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) module.exports = api;
+    else root.ShearProtocol = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Parameter descriptors: key, label, default value and input limits
+    const param = (key, label, value, min, max, step) => ({ key, label, value, min, max, step });
+    const SCALE_PARAM = { key: 'scale', label: '目盛', value: 'linear', options: ['linear', 'log'] };
+
+    // Log ramps need positive end points
+    const LOG_MIN_RATE = 0.1;
+
+    function rampRate(from, to, fraction, scale) {
+        if (scale === 'log') {
+            const a = Math.max(from, LOG_MIN_RATE);
+            const b = Math.max(to, LOG_MIN_RATE);
+            return a * Math.pow(b / a, fraction);
+        }
+        return from + (to - from) * fraction;
+    }
+
+    const SEGMENT_TYPES = {
+        hold: {
+            name: '保持 (Hold)',
+            params: [param('rate', 'γ̇', 50, -100, 100, 1), param('duration', '時間', 50, 0.1, 10000, 1)],
+            rateAt: (s) => s.rate
+        },
+        ramp: {
+            name: 'ランプ (Ramp)',
+            params: [
+                param('from', 'γ̇ 開始', 0, -100, 100, 1),
+                param('to', 'γ̇ 終了', 100, -100, 100, 1),
+                param('duration', '時間', 100, 0.1, 10000, 1),
+                SCALE_PARAM
+            ],
+            rateAt: (s, t) => rampRate(s.from, s.to, t / s.duration, s.scale)
+        },
+        loop: {
+            name: '往復ループ (Up–Down)',
+            params: [
+                param('from', 'γ̇ 下限', 0, 0, 100, 1),
+                param('to', 'γ̇ 上限', 100, 0, 100, 1),
+                param('duration', '時間 (往復)', 200, 0.2, 10000, 1),
+                SCALE_PARAM
+            ],
+            rateAt: (s, t) => {
+                const half = s.duration / 2;
+                return t < half
+                    ? rampRate(s.from, s.to, t / half, s.scale)
+                    : rampRate(s.to, s.from, (t - half) / half, s.scale);
+            }
+        },
+        step: {
+            name: 'ステップ開始 (Start-up)',
+            params: [param('rate', 'γ̇', 50, -100, 100, 1), param('duration', '時間', 50, 0.1, 10000, 1)],
+            rateAt: (s) => s.rate
+        },
+        cessation: {
+            name: '停止 (Cessation)',
+            params: [param('duration', '時間', 50, 0.1, 10000, 1)],
+            rateAt: () => 0
+        },
+        oscillation: {
+            name: '振動 (Oscillatory)',
+            params: [
+                param('amplitude', 'γ̇ 振幅', 50, 1, 100, 1),
+                param('frequency', '周波数', 0.05, 0.001, 10, 0.005),
+                param('cycles', '周期数', 5, 1, 1000, 1)
+            ],
+            // Strain follows sin(ωt) when the rate follows cos(ωt)
+            rateAt: (s, t) => s.amplitude * Math.cos(2 * Math.PI * s.frequency * t),
+            duration: (s) => s.cycles / s.frequency
+        }
+    };
+
+    function defaultSegment(type) {
+        const spec = SEGMENT_TYPES[type];
+        if (!spec) throw new Error(`Unknown protocol segment: ${type}`);
+        const segment = { type };
+        for (const p of spec.params) segment[p.key] = p.value;
+        return segment;
+    }
+
+    function segmentDuration(segment) {
+        const spec = SEGMENT_TYPES[segment.type];
+        return spec.duration ? spec.duration(segment) : segment.duration;
+    }
+
+    const PRESETS = {
+        hysteresis: {
+            name: 'ヒステリシスループ',
+            segments: [
+                { type: 'hold', rate: 0, duration: 30 },
+                { type: 'loop', from: 0, to: 100, duration: 300, scale: 'linear' },
+                { type: 'loop', from: 0, to: 100, duration: 300, scale: 'linear' }
+            ]
+        },
+        startup: {
+            name: 'スタートアップ → 停止',
+            segments: [
+                { type: 'cessation', duration: 30 },
+                { type: 'step', rate: 80, duration: 100 },
+                { type: 'cessation', duration: 100 }
+            ]
+        },
+        logSweep: {
+            name: '対数ランプ 1 → 100',
+            segments: [
+                { type: 'ramp', from: 1, to: 100, duration: 300, scale: 'log' }
+            ]
+        },
+        oscillation: {
+            name: '振動せん断',
+            segments: [
+                { type: 'oscillation', amplitude: 50, frequency: 0.05, cycles: 6 }
+            ]
+        }
+    };
+
+    // A schedule of segments laid end to end
+    class Protocol {
+        constructor(segments) {
+            if (!Array.isArray(segments) || segments.length === 0) throw new Error('A protocol needs at least one segment');
+
+            let start = 0;
+            this.segments = segments.map(s => {
+                const segment = { ...defaultSegment(s.type), ...s };
+                const entry = { segment, start, duration: segmentDuration(segment) };
+                start += entry.duration;
+                return entry;
+            });
+            this.duration = start;
+        }
+
+        // Index, segment and local time at protocol time t (clamped to the end)
+        locate(t) {
+            const entries = this.segments;
+            let i = 0;
+            while (i < entries.length - 1 && t >= entries[i].start + entries[i].duration) i++;
+            const entry = entries[i];
+            return { index: i, segment: entry.segment, localTime: Math.min(Math.max(t - entry.start, 0), entry.duration) };
+        }
+
+        rateAt(t) {
+            const { segment, localTime } = this.locate(t);
+            return SEGMENT_TYPES[segment.type].rateAt(segment, localTime);
+        }
+    }
+
+    // --- Oscillatory analysis ---
+
+    // samples: [{ t, strain, stress }] over an oscillation at `frequency`.
+    // Whole cycles after the first (start-up transient) are projected onto
+    // sin / cos of ωt; with complex amplitudes γ* and σ* (γ = Im(γ* e^{iωt})),
+    // G′ + iG″ = σ* / γ*. Returns null until one full cycle is available.
+    function oscillatoryModuli(samples, frequency, skipCycles = 1) {
+        if (samples.length < 2) return null;
+        const period = 1 / frequency;
+        const t0 = samples[0].t + skipCycles * period;
+        const cycles = Math.floor((samples[samples.length - 1].t - t0) / period + 1e-9);
+        if (cycles < 1) return null;
+        const t1 = t0 + cycles * period;
+
+        const window = samples.filter(p => p.t >= t0 && p.t < t1);
+        const n = window.length;
+        const meanStrain = window.reduce((a, p) => a + p.strain, 0) / n;
+        const meanStress = window.reduce((a, p) => a + p.stress, 0) / n;
+
+        const omega = 2 * Math.PI * frequency;
+        let gs = 0;
+        let gc = 0;
+        let ss = 0;
+        let sc = 0;
+        for (const p of window) {
+            const sin = Math.sin(omega * (p.t - samples[0].t));
+            const cos = Math.cos(omega * (p.t - samples[0].t));
+            gs += (p.strain - meanStrain) * sin;
+            gc += (p.strain - meanStrain) * cos;
+            ss += (p.stress - meanStress) * sin;
+            sc += (p.stress - meanStress) * cos;
+        }
+        gs *= 2 / n;
+        gc *= 2 / n;
+        ss *= 2 / n;
+        sc *= 2 / n;
+
+        // (ss + i·sc) / (gs + i·gc)
+        const denominator = gs * gs + gc * gc;
+        if (!(denominator > 0)) return null;
+        const storage = (ss * gs + sc * gc) / denominator;
+        const loss = (sc * gs - ss * gc) / denominator;
+
+        return {
+            storage,  // G′
+            loss,     // G″
+            strainAmplitude: Math.sqrt(denominator),
+            stressAmplitude: Math.sqrt(ss * ss + sc * sc),
+            phaseDeg: Math.atan2(loss, storage) * 180 / Math.PI, // δ, tan δ = G″ / G′
+            cycles
+        };
+    }
+
+    return {
+        SEGMENT_TYPES,
+        PRESETS,
+        Protocol,
+        defaultSegment,
+        segmentDuration,
+        oscillatoryModuli
+    };
+});
@@ -0,0 +1,455 @@
+/**
+ * Rheological Models (generalised Newtonian fluids)
+ *
+ * Each model gives the shear stress tau(gamma_dot) and apparent viscosity
+ * eta(gamma_dot) = tau / gamma_dot from a set of named parameters.
+ * Units: gamma_dot in 1/s, tau in Pa, viscosities in Pa·s, lambda in s.
+ *
+ * Also parses imported flow-curve data and fits model parameters to it, and
+ * shifts a model to another temperature (time–temperature superposition).
+ *
+ * Loaded by the browser UI (as `Rheology`) and usable from Node via require.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) module.exports = api;
+    else root.Rheology = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Parameter descriptors: key, label, default value and input limits
+    const param = (key, label, value, min, max, step) => ({ key, label, value, min, max, step });
+
+    const MODELS = [
+        {
+            id: 'powerLaw',
+            name: 'べき乗則 (Power Law)',
+            formula: 'τ = K·γ̇ⁿ',
+            params: [
+                param('K', 'K (Pa·sⁿ)', 2, 0.001, 1000, 0.1),
+                param('n', 'n', 0.5, 0.05, 1, 0.05)
+            ],
+            stress: (g, p) => p.K * Math.pow(g, p.n),
+            viscosity: (g, p) => p.K * Math.pow(g, p.n - 1)
+        },
+        {
+            id: 'newtonian',
+            name: 'ニュートン (Newtonian)',
+            formula: 'τ = μ·γ̇',
+            params: [
+                param('mu', 'μ (Pa·s)', 0.3, 0.0001, 1000, 0.01)
+            ],
+            stress: (g, p) => p.mu * g,
+            viscosity: (g, p) => p.mu
+        },
+        {
+            id: 'carreau',
+            name: 'Carreau',
+            formula: 'η = η∞ + (η₀ − η∞)·[1 + (λγ̇)²]^((n−1)/2)',
+            params: [
+                param('eta0', 'η₀ (Pa·s)', 3, 0.0001, 1000, 0.1),
+                param('etaInf', 'η∞ (Pa·s)', 0.01, 0, 100, 0.01),
+                param('lambda', 'λ (s)', 1, 0.0001, 1000, 0.1),
+                param('n', 'n', 0.4, 0.05, 1, 0.05)
+            ],
+            viscosity: (g, p) => p.etaInf + (p.eta0 - p.etaInf) * Math.pow(1 + (p.lambda * g) ** 2, (p.n - 1) / 2)
+        },
+        {
+            id: 'carreauYasuda',
+            name: 'Carreau–Yasuda',
+            formula: 'η = η∞ + (η₀ − η∞)·[1 + (λγ̇)ᵃ]^((n−1)/a)',
+            params: [
+                param('eta0', 'η₀ (Pa·s)', 3, 0.0001, 1000, 0.1),
+                param('etaInf', 'η∞ (Pa·s)', 0.01, 0, 100, 0.01),
+                param('lambda', 'λ (s)', 1, 0.0001, 1000, 0.1),
+                param('n', 'n', 0.4, 0.05, 1, 0.05),
+                param('a', 'a', 0.8, 0.1, 10, 0.1)
+            ],
+            viscosity: (g, p) => p.etaInf + (p.eta0 - p.etaInf) * Math.pow(1 + Math.pow(p.lambda * g, p.a), (p.n - 1) / p.a)
+        },
+        {
+            id: 'cross',
+            name: 'Cross',
+            formula: 'η = η∞ + (η₀ − η∞) / [1 + (λγ̇)ᵐ]',
+            params: [
+                param('eta0', 'η₀ (Pa·s)', 3, 0.0001, 1000, 0.1),
+                param('etaInf', 'η∞ (Pa·s)', 0.01, 0, 100, 0.01),
+                param('lambda', 'λ (s)', 1, 0.0001, 1000, 0.1),
+                param('m', 'm', 0.6, 0.05, 2, 0.05)
+            ],
+            viscosity: (g, p) => p.etaInf + (p.eta0 - p.etaInf) / (1 + Math.pow(p.lambda * g, p.m))
+        },
+        {
+            id: 'herschelBulkley',
+            name: 'Herschel–Bulkley',
+            formula: 'τ = τ₀ + K·γ̇ⁿ',
+            params: [
+                param('tau0', 'τ₀ (Pa)', 5, 0, 1000, 0.5),
+                param('K', 'K (Pa·sⁿ)', 1, 0.001, 1000, 0.1),
+                param('n', 'n', 0.5, 0.05, 2, 0.05)
+            ],
+            stress: (g, p) => (g > 0 ? p.tau0 + p.K * Math.pow(g, p.n) : 0),
+            viscosity: (g, p) => (p.tau0 > 0 ? p.tau0 / g : 0) + p.K * Math.pow(g, p.n - 1)
+        },
+        {
+            id: 'bingham',
+            name: 'ビンガム (Bingham)',
+            formula: 'τ = τ₀ + μp·γ̇',
+            params: [
+                param('tau0', 'τ₀ (Pa)', 5, 0, 1000, 0.5),
+                param('muP', 'μp (Pa·s)', 0.1, 0.0001, 1000, 0.01)
+            ],
+            stress: (g, p) => (g > 0 ? p.tau0 + p.muP * g : 0),
+            viscosity: (g, p) => (p.tau0 > 0 ? p.tau0 / g : 0) + p.muP
+        },
+        {
+            id: 'shearThickening',
+            name: 'ダイラタント (Shear Thickening)',
+            formula: 'τ = K·γ̇ⁿ (n > 1)',
+            params: [
+                param('K', 'K (Pa·sⁿ)', 0.05, 0.0001, 1000, 0.01),
+                param('n', 'n', 1.5, 1, 3, 0.05)
+            ],
+            stress: (g, p) => p.K * Math.pow(g, p.n),
+            viscosity: (g, p) => p.K * Math.pow(g, p.n - 1)
+        }
+    ];
+
+    // Models defined by viscosity get tau = eta * gamma_dot
+    for (const model of MODELS) {
+        if (!model.stress) model.stress = (g, p) => model.viscosity(g, p) * g;
+    }
+
+    function getModel(id) {
+        const model = MODELS.find(m => m.id === id);
+        if (!model) throw new Error(`Unknown rheology model: ${id}`);
+        return model;
+    }
+
+    function defaultParams(id) {
+        const params = {};
+        for (const p of getModel(id).params) params[p.key] = p.value;
+        return params;
+    }
+
+    // Limit of eta as gamma_dot -> 0: Infinity for yield-stress fluids and
+    // shear-thinning power laws, 0 for shear-thickening ones. `model` is a
+    // model id or a model object (e.g. from shiftModel).
+    function zeroShearViscosity(model, params) {
+        if (typeof model === 'string') model = getModel(model);
+        const eta = model.viscosity(0, params);
+        return Number.isNaN(eta) ? Infinity : eta;
+    }
+
+    // --- Temperature shift ---
+    // Shift factors a_T = eta0(T) / eta0(T_ref), temperatures in °C. WLF
+    // diverges at T_ref − C₂ (the Vogel temperature); below it a_T is Infinity.
+    const GAS_CONSTANT = 8.314; // J/(mol·K)
+    const KELVIN = 273.15;
+
+    const SHIFT_LAWS = [
+        {
+            id: 'arrhenius',
+            name: 'Arrhenius',
+            formula: 'ln a_T = (Eₐ/R)·(1/T − 1/T_ref)',
+            params: [
+                param('Ea', 'Eₐ (kJ/mol)', 40, 0, 300, 1),
+                param('Tref', 'T_ref (°C)', 190, -100, 400, 1)
+            ],
+            shiftFactor: (T, p) => Math.exp(p.Ea * 1000 / GAS_CONSTANT * (1 / (T + KELVIN) - 1 / (p.Tref + KELVIN)))
+        },
+        {
+            id: 'wlf',
+            name: 'WLF',
+            formula: 'log a_T = −C₁·(T − T_ref) / (C₂ + T − T_ref)',
+            params: [
+                param('C1', 'C₁', 8.86, 0, 50, 0.1),
+                param('C2', 'C₂ (K)', 101.6, 1, 500, 1),
+                param('Tref', 'T_ref (°C)', 190, -100, 400, 1)
+            ],
+            shiftFactor: (T, p) => {
+                const dT = T - p.Tref;
+                return p.C2 + dT > 0 ? Math.pow(10, -p.C1 * dT / (p.C2 + dT)) : Infinity;
+            }
+        }
+    ];
+
+    function getShiftLaw(id) {
+        const law = SHIFT_LAWS.find(l => l.id === id);
+        if (!law) throw new Error(`Unknown shift law: ${id}`);
+        return law;
+    }
+
+    function defaultShiftParams(id) {
+        const params = {};
+        for (const p of getShiftLaw(id).params) params[p.key] = p.value;
+        return params;
+    }
+
+    // The model at a temperature with shift factor aT, for parameters that
+    // hold at T_ref: tau_T(gamma_dot) = tau(aT·gamma_dot) and
+    // eta_T(gamma_dot) = aT·eta(aT·gamma_dot). A power law's K becomes K·aTⁿ.
+    function shiftModel(model, aT) {
+        if (aT === 1) return model;
+        return {
+            ...model,
+            stress: (g, p) => model.stress(aT * g, p),
+            viscosity: (g, p) => aT * model.viscosity(aT * g, p)
+        };
+    }
+
+    // --- Data import ---
+
+    // Parses two-column flow-curve data: shear rate (1/s) and either shear
+    // stress (Pa) or viscosity (Pa·s, or mPa·s when the header says so).
+    // Comma, semicolon, tab or whitespace separated; an optional header row
+    // and "#" comment lines are skipped. kind: 'auto' | 'stress' | 'viscosity',
+    // where 'auto' reads viscosity from a header mentioning it.
+    function parseFlowCurveCsv(text, kind = 'auto') {
+        const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+        let header = '';
+        const points = [];
+
+        for (const line of lines) {
+            const delimiter = line.includes('\t') ? '\t' : line.includes(';') ? ';' : line.includes(',') ? ',' : /\s+/;
+            const fields = line.split(delimiter).map(f => f.trim());
+            // Semicolon files usually come with decimal commas
+            const values = fields.slice(0, 2).map(f => Number(delimiter === ';' ? f.replace(',', '.') : f));
+
+            if (fields.length < 2 || values.some(v => Number.isNaN(v))) {
+                if (points.length === 0) {
+                    header = line;
+                    continue;
+                }
+                throw new Error(`Invalid data row: "${line}"`);
+            }
+            points.push({ rate: values[0], value: values[1] });
+        }
+        if (points.length < 2) throw new Error('At least two data rows are required');
+
+        if (kind === 'auto') kind = /visc|eta|η|pa[·.*\s]?s\b/i.test(header) ? 'viscosity' : 'stress';
+        const scale = kind === 'viscosity' && /mPa/.test(header) ? 1e-3 : 1;
+
+        return {
+            kind,
+            points: points.map(({ rate, value }) => (kind === 'viscosity'
+                ? { rate, stress: value * scale * rate, viscosity: value * scale }
+                : { rate, stress: value, viscosity: rate > 0 ? value / rate : Infinity }))
+        };
+    }
+
+    // --- Least-squares fitting ---
+    // Levenberg–Marquardt on log(tau) residuals, so data spanning several
+    // decades weigh evenly (for viscosity data this is the same as fitting
+    // log(eta)). Parameters are kept within their descriptor limits.
+
+    // Ordinary least squares line through (x, y): { slope, intercept }
+    function linearRegression(xs, ys) {
+        const n = xs.length;
+        const mx = xs.reduce((a, b) => a + b, 0) / n;
+        const my = ys.reduce((a, b) => a + b, 0) / n;
+        let sxx = 0;
+        let sxy = 0;
+        for (let i = 0; i < n; i++) {
+            sxx += (xs[i] - mx) ** 2;
+            sxy += (xs[i] - mx) * (ys[i] - my);
+        }
+        const slope = sxx > 0 ? sxy / sxx : 0;
+        return { slope, intercept: my - slope * mx };
+    }
+
+    // Starting point from the data: a log-log power law, plus plateau and
+    // yield estimates for the models that have them
+    function initialGuess(id, data) {
+        const logRates = data.map(p => Math.log(p.rate));
+        const fit = linearRegression(logRates, data.map(p => Math.log(p.stress)));
+        const etas = data.map(p => p.stress / p.rate);
+        const minStress = Math.min(...data.map(p => p.stress));
+        const midRate = Math.exp(logRates.reduce((a, b) => a + b, 0) / data.length);
+
+        const guess = { K: Math.exp(fit.intercept), n: fit.slope };
+        switch (id) {
+            case 'newtonian':
+                return { mu: Math.exp(Math.log(etas.reduce((a, b) => a * b, 1)) / etas.length) };
+            case 'carreau':
+            case 'carreauYasuda':
+            case 'cross':
+                return {
+                    eta0: Math.max(...etas),
+                    etaInf: Math.min(...etas) * 0.1,
+                    lambda: 1 / midRate,
+                    n: Math.min(fit.slope, 0.9),
+                    m: Math.max(1 - fit.slope, 0.1),
+                    a: 2
+                };
+            case 'herschelBulkley':
+            case 'bingham': {
+                const tau0 = minStress * 0.5;
+                const rest = linearRegression(logRates, data.map(p => Math.log(Math.max(p.stress - tau0, 1e-12))));
+                return { tau0, K: Math.exp(rest.intercept), n: rest.slope, muP: Math.max(...etas.map((e, i) => e - tau0 / data[i].rate)) };
+            }
+            default:
+                return guess;
+        }
+    }
+
+    // Solves A x = b by Gaussian elimination with partial pivoting; null if singular
+    function solveLinear(A, b) {
+        const n = b.length;
+        const M = A.map((row, i) => [...row, b[i]]);
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let r = col + 1; r < n; r++) {
+                if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+            }
+            if (!(Math.abs(M[pivot][col]) > 1e-300)) return null;
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+            for (let r = col + 1; r < n; r++) {
+                const f = M[r][col] / M[col][col];
+                for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+            }
+        }
+        const x = new Array(n).fill(0);
+        for (let r = n - 1; r >= 0; r--) {
+            let sum = M[r][n];
+            for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+            x[r] = sum / M[r][r];
+        }
+        return x;
+    }
+
+    // Two-sided 95 % Student-t quantiles for dof = 1..30
+    const T_QUANTILE_95 = [
+        12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+        2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+        2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042,
+    ];
+
+    // Two-sided 95 % Student-t quantile: tabulated up to 30 dof, Cornish–Fisher
+    // expansion in 1/dof above (accurate to 1e-4 there)
+    function tQuantile95(dof) {
+        if (dof <= T_QUANTILE_95.length) return T_QUANTILE_95[Math.max(Math.round(dof), 1) - 1];
+        const z = 1.959964;
+        const v = dof;
+        return z
+            + (z ** 3 + z) / (4 * v)
+            + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * v ** 2)
+            + (3 * z ** 7 + 19 * z ** 5 + 17 * z ** 3 - 15 * z) / (384 * v ** 3);
+    }
+
+    // Fits model `id` to points [{rate, stress}] (rate > 0, stress > 0 are
+    // used). Returns the parameters with standard errors, 95 % confidence
+    // half-widths and per-point relative residuals (observed / fitted - 1).
+    function fitModel(id, points, start = null) {
+        const model = getModel(id);
+        const descriptors = model.params;
+        const keys = descriptors.map(p => p.key);
+        const data = points.filter(p => p.rate > 0 && p.stress > 0 && Number.isFinite(p.stress));
+        if (data.length <= keys.length) {
+            throw new Error(`${model.name} needs at least ${keys.length + 1} points with positive rate and stress`);
+        }
+
+        const clamp = (params) => {
+            const out = {};
+            for (const d of descriptors) out[d.key] = Math.min(Math.max(params[d.key], d.min), d.max);
+            return out;
+        };
+        const residualsOf = (params) => data.map(p => Math.log(model.stress(p.rate, params)) - Math.log(p.stress));
+        const sumSquares = (r) => r.reduce((a, v) => a + (Number.isFinite(v) ? v * v : Infinity), 0);
+        const jacobian = (params, r0) => {
+            const J = data.map(() => new Array(keys.length).fill(0));
+            keys.forEach((key, j) => {
+                const h = 1e-6 * Math.max(Math.abs(params[key]), 1e-6);
+                const r1 = residualsOf({ ...params, [key]: params[key] + h });
+                for (let i = 0; i < data.length; i++) J[i][j] = (r1[i] - r0[i]) / h;
+            });
+            return J;
+        };
+        const normalEquations = (J, r) => {
+            const JtJ = keys.map((_, a) => keys.map((_, b) => J.reduce((sum, row) => sum + row[a] * row[b], 0)));
+            const Jtr = keys.map((_, a) => J.reduce((sum, row, i) => sum + row[a] * r[i], 0));
+            return { JtJ, Jtr };
+        };
+
+        let params = clamp({ ...defaultParams(id), ...(start || initialGuess(id, data)) });
+        let r = residualsOf(params);
+        let rss = sumSquares(r);
+        let damping = 1e-3;
+        let iterations = 0;
+
+        for (; iterations < 200 && damping < 1e12; iterations++) {
+            const J = jacobian(params, r);
+            const { JtJ, Jtr } = normalEquations(J, r);
+            const A = JtJ.map((row, a) => row.map((v, b) => (a === b ? v + damping * (v || 1e-12) : v)));
+            const delta = solveLinear(A, Jtr.map(v => -v));
+            if (!delta) {
+                damping *= 10;
+                continue;
+            }
+
+            const trial = clamp(Object.fromEntries(keys.map((key, j) => [key, params[key] + delta[j]])));
+            const trialR = residualsOf(trial);
+            const trialRss = sumSquares(trialR);
+            if (trialRss < rss) {
+                const improvement = (rss - trialRss) / Math.max(rss, 1e-300);
+                params = trial;
+                r = trialR;
+                rss = trialRss;
+                damping = Math.max(damping / 10, 1e-12);
+                if (improvement < 1e-12) break;
+            } else {
+                damping *= 10;
+            }
+        }
+
+        // Covariance s^2 (J^T J)^-1 at the optimum
+        const dof = data.length - keys.length;
+        const variance = rss / dof;
+        const { JtJ } = normalEquations(jacobian(params, r), r);
+        const t = tQuantile95(dof);
+        const standardErrors = {};
+        const intervals = {};
+        const atBound = {};
+        keys.forEach((key, j) => {
+            const unit = keys.map((_, k) => (k === j ? 1 : 0));
+            const column = solveLinear(JtJ, unit);
+            const se = column && column[j] >= 0 ? Math.sqrt(variance * column[j]) : NaN;
+            standardErrors[key] = se;
+            intervals[key] = t * se;
+            atBound[key] = params[key] === descriptors[j].min || params[key] === descriptors[j].max;
+        });
+
+        const logStress = data.map(p => Math.log(p.stress));
+        const meanLog = logStress.reduce((a, b) => a + b, 0) / data.length;
+        const totalSquares = logStress.reduce((a, v) => a + (v - meanLog) ** 2, 0);
+
+        return {
+            modelId: id,
+            params,
+            standardErrors,
+            intervals, // 95 % confidence half-widths
+            atBound,
+            residuals: data.map(p => {
+                const fitted = model.stress(p.rate, params);
+                return { rate: p.rate, observed: p.stress, fitted, residual: p.stress / fitted - 1 };
+            }),
+            rss,
+            r2: totalSquares > 0 ? 1 - rss / totalSquares : 1,
+            dof,
+            iterations
+        };
+    }
+
+    return {
+        MODELS,
+        getModel,
+        defaultParams,
+        zeroShearViscosity,
+        SHIFT_LAWS,
+        getShiftLaw,
+        defaultShiftParams,
+        shiftModel,
+        parseFlowCurveCsv,
+        fitModel
+    };
+});
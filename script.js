@@ -1,43 +1,18 @@
 /**
- * Pseudoplastic Fluid Molecular Simulation
- * 
- * Logic:
- * - Polymers are chains of constrained particles (Nodes).
- * - Constraints:
- *   1. Distance constraint (segments have fixed length).
- *   2. Angular constraint (angle > 90 degrees).
- * - Forces:
- *   1. Brownian motion (Random thermal noise).
- *   2. Shear Flow (Velocity gradient y * shearRate).
- * 
+ * Pseudoplastic Fluid Molecular Simulation (Browser UI)
+ *
+ * The physics lives in simulation.js (SimCore) and runs in a Web Worker
+ * (sim-worker.js) behind the SimHost.SimClient mirror; this file owns the
+ * canvases, the animation loop, the charts and the sidebar controls.
+ *
  * Visuals:
  * - High shear -> Alignment, stretching.
  * - Low shear -> Coiling, random orientation.
  */
 
-// Configuration
-const CONFIG = {
-    segmentCount: 50,  // Number of segments per polymer
-    segmentLength: 5,   // Length of each link
-    polymerCount: 100,    // Initial number of polymers
-    k_stiffness: 0.5,   // Spring constant for distance constraint
-    friction: 0.9,      // Damping
-    brownianForce: 0.3, // Magnitude of random kicks
-    shearInfluence: 0.1, // How strongly the fluid pulls the nodes
-    angularConstraintIterations: 10, // Iterations to solve constraints (Increased to ensure constant length)
-    minAngleDeg: 90
-};
-
-// State
-let state = {
-    shearRate: 0, // 0 to 100 effectively
-    polymers: []
-};
-
-// Global time for animation
-let time = 0;
+const { randomSeed, DEFAULT_CONFIG, FLOW_GEOMETRIES, ARCHITECTURES, LENGTH_DISTRIBUTIONS, TOPOLOGY_KEYS, PHYSICS_KEYS, CONSTRAINT_SOLVERS } = SimCore;
+const { SimClient } = SimHost;
 
-// Canvas Setup
 // Canvas Setup
 const canvas = document.getElementById('simCanvas');
 const ctx = canvas.getContext('2d');
@@ -47,38 +22,147 @@ const chartCanvas = document.getElementById('flowCurveCanvas');
 const chartCtx = chartCanvas.getContext('2d');
 let chartWidth, chartHeight;
 
+const metricsCanvas = document.getElementById('metricsCanvas');
+const metricsCtx = metricsCanvas.getContext('2d');
+let metricsWidth, metricsHeight;
+
 function resize() {
     // Sim View
     const container = document.querySelector('.sim-view');
     width = canvas.width = container.clientWidth;
     height = canvas.height = container.clientHeight;
 
-    // Chart View
-    const chartContainer = document.querySelector('.chart-view');
+    // Chart View (flow curve and conformation panel side by side)
+    const chartContainer = chartCanvas.parentElement;
     chartWidth = chartCanvas.width = chartContainer.clientWidth;
     chartHeight = chartCanvas.height = chartContainer.clientHeight;
+
+    const metricsContainer = metricsCanvas.parentElement;
+    metricsWidth = metricsCanvas.width = metricsContainer.clientWidth;
+    metricsHeight = metricsCanvas.height = metricsContainer.clientHeight;
 }
-window.addEventListener('resize', resize);
+window.addEventListener('resize', () => {
+    resize();
+    // A replay keeps the box size it was recorded with
+    if (!sim.replaying) sim.resize(width, height);
+    if (comparing()) startComparison(); // New panes for the new size
+});
 resize();
 
+// Mirror of the worker's simulation; sim.replaying while a loaded run is replayed
+const sim = new SimClient({ width, height });
+
+// --- Language ---
+// Japanese or English text from the string tables in i18n.js. Static labels
+// carry data-i18n keys, text set from script goes through t(), and the
+// canvases pick up a switch on the next frame. An explicit choice is kept
+// in localStorage; otherwise the browser language decides.
+
+const LANGUAGE_CONFIG = {
+    key: 'pseudoplasticSim.language'
+};
+
+// localStorage is unavailable in some file:// and private-browsing setups
+const storage = (() => {
+    try {
+        return window.localStorage || null;
+    } catch (err) {
+        return null;
+    }
+})();
+
+const languageSelect = document.getElementById('languageSelect');
+const languageState = {
+    lang: I18n.resolveLanguage([
+        storage ? storage.getItem(LANGUAGE_CONFIG.key) : null,
+        ...(navigator.languages || [navigator.language])
+    ])
+};
+
+function t(key, params) {
+    return I18n.translate(languageState.lang, key, params);
+}
+
+for (const [code, name] of Object.entries(I18n.LANGUAGES)) {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = name;
+    languageSelect.appendChild(option);
+}
+
+// Relabels the page: data-i18n elements (including the options of the
+// descriptor selects) and the buttons and panels whose text follows state
+function applyLanguage(lang) {
+    languageState.lang = lang;
+    languageSelect.value = lang;
+    document.documentElement.lang = lang;
+
+    for (const el of document.querySelectorAll('[data-i18n]')) el.textContent = t(el.dataset.i18n);
+    for (const el of document.querySelectorAll('[data-i18n-title]')) el.title = t(el.dataset.i18nTitle);
+    for (const el of document.querySelectorAll('[data-i18n-placeholder]')) el.placeholder = t(el.dataset.i18nPlaceholder);
+
+    autoPlayBtn.textContent = t(isAutoPlaying ? 'autoPlay.stop' : 'autoPlay.start');
+    recordBtn.textContent = t(isRecording ? 'record.stop' : 'record.start');
+    renderBtn.textContent = t(renderJob ? 'render.cancel' : 'render.start');
+    protocolRunBtn.textContent = t(protocolState.runner ? 'protocol.stop' : 'protocol.run');
+    trajectoryBtn.textContent = t(trajectory ? 'export.trajectoryStop' : 'export.trajectoryStart');
+    updateAutosaveButton();
+
+    showFlowGeometry();
+    buildTopologyParams();
+    showDispersity();
+    buildProtocolEditor();
+    buildPhysicsParams();
+    buildShiftLawParams();
+    buildSettingsPresets();
+    updateStatus();
+}
+
+languageSelect.addEventListener('change', () => {
+    if (storage) storage.setItem(LANGUAGE_CONFIG.key, languageSelect.value);
+    applyLanguage(languageSelect.value);
+});
 
-// Chart Drawing Logic (Power-Law Model)
-// tau = K * (gamma_dot)^n
-// n < 1 for pseudoplastic (shear-thinning)
+
+// Chart Drawing Logic
+// The analytic curve comes from the rheology model selected in the sidebar
+// (rheology.js). Shown either as the flow curve tau(gamma_dot) on linear
+// axes, or as the viscosity curve eta(gamma_dot) on log-log axes, where the
+// low-shear behaviour of the models differs most.
 const CHART_CONFIG = {
-    n: 0.5, // Power index
     maxShear: 100,
-    maxStress: 10 // Arbitrary scale for visualization
+    minShearLog: 0.01, // Left edge of the log-log viscosity chart
+    samples: 200       // Points per analytic curve
 };
 
-function drawChart() {
-    chartCtx.clearRect(0, 0, chartWidth, chartHeight);
+const rheologyState = {
+    modelId: 'powerLaw',
+    params: {},          // Editable parameters, per model id
+    autoPowerLaw: true,  // Power-law n and K follow chain length and count
+    chartMode: 'flow',   // 'flow' (tau vs rate), 'viscosity' (log-log eta vs rate), 'lissajous' or 'profile' (velocity vs y)
+    imported: null,      // Imported measurements { name, kind, points: [{rate, stress, viscosity}] }
+    fit: null            // Last fitModel() result plus its source; cleared when the model is edited
+};
 
-    // Calculate dynamic rheological parameters (Power-Law Model)
+const DATA_COLORS = {
+    simulated: '#ffd166',
+    imported: '#39d0d8'
+};
+
+const TRACE_COLORS = {
+    up: '#ff7b72',
+    down: '#79c0ff'
+};
+for (const model of Rheology.MODELS) {
+    rheologyState.params[model.id] = Rheology.defaultParams(model.id);
+}
 
+// Hand-tuned power law from the chain parameters (longer / more chains ->
+// stronger shear thinning and higher consistency)
+function chainPowerLawParams() {
     // Normalize inputs
-    const lenRatio = CONFIG.segmentCount / 300;
-    const countRatio = state.polymers.length / 500;
+    const lenRatio = sim.config.segmentCount / 300;
+    const countRatio = sim.polymers.length / 500;
 
     // Power index 'n':
     // User requested simpler model with smaller exponent (stronger shear thinning)
@@ -87,80 +171,256 @@ function drawChart() {
     if (n < 0.15) n = 0.15; // Allow it to go quite low
 
     // Consistency index 'K':
-    let K = 0.2 + (lenRatio * 8.0 + countRatio * 4.0);
+    const K = 0.2 + (lenRatio * 8.0 + countRatio * 4.0);
 
-    // Calculate max stress at max shear to auto-scale Y
-    // Model: Stress = K * s^n
-    const maxStressSim = K * Math.pow(CHART_CONFIG.maxShear, n);
-    let yAxisMax = Math.ceil(maxStressSim * 1.2);
-    if (yAxisMax < 10) yAxisMax = 10;
+    return { K, n };
+}
+
+function currentModel() {
+    return Rheology.getModel(rheologyState.modelId);
+}
+
+function currentModelParams() {
+    if (rheologyState.modelId === 'powerLaw' && rheologyState.autoPowerLaw) {
+        return chainPowerLawParams();
+    }
+    return rheologyState.params[rheologyState.modelId];
+}
+
+// Simulated tau_xy per shear-rate bin, in the same shape as imported data
+function simulatedPoints() {
+    return sim.getMeasuredFlowCurve().map(p => ({
+        rate: p.rate,
+        stress: p.stress,
+        error: p.error,
+        viscosity: p.rate > 0 ? p.stress / p.rate : Infinity
+    }));
+}
+
+// Data plotted on the model's axes: imported measurements, and the simulated
+// points once a model has been fitted to them (the model is then in a.u.)
+function modelAxisData() {
+    const sets = [];
+    if (rheologyState.imported) {
+        sets.push({ points: rheologyState.imported.points, color: DATA_COLORS.imported, square: true });
+    }
+    if (rheologyState.fit && rheologyState.fit.source === 'simulation') {
+        sets.push({ points: simulatedPoints(), color: DATA_COLORS.simulated, square: false });
+    }
+    return sets;
+}
+
+// Shear-rate range of the charts, widened to cover imported data
+function chartShearRange() {
+    let min = CHART_CONFIG.minShearLog;
+    let max = CHART_CONFIG.maxShear;
+    if (rheologyState.imported) {
+        for (const p of rheologyState.imported.points) {
+            if (p.rate > 0) min = Math.min(min, p.rate);
+            max = Math.max(max, p.rate);
+        }
+    }
+    return { min, max };
+}
+
+// Apparent viscosity (Pa·s) of the model; at rest its zero-shear limit.
+// Reversed shear (oscillatory protocols) gives the same viscosity.
+function apparentViscosity(model, params, rate) {
+    rate = Math.abs(rate);
+    return rate > 0 ? model.viscosity(rate, params) : Rheology.zeroShearViscosity(model, params);
+}
+
+// Model stress, odd in the shear rate
+function modelStressAt(model, params, rate) {
+    return Math.sign(rate) * model.stress(Math.abs(rate), params);
+}
+
+function formatViscosity(eta) {
+    if (!Number.isFinite(eta)) return '∞ mPa·s';
+    const mPas = eta * 1000;
+    return `${mPas >= 100 || mPas === 0 ? mPas.toFixed(0) : mPas.toPrecision(3)} mPa·s`;
+}
 
-    // Margins
+function chartLayout() {
     const padLeft = 60;
-    const padBottom = 40;
+    const padBottom = rheologyState.fit ? 90 : 40; // Room for the residual strip
     const padTop = 60;
-    const padRight = 30;
-    const graphW = chartWidth - padLeft - padRight;
-    const graphH = chartHeight - padBottom - padTop;
+    const padRight = 70;
+    const bottom = chartHeight - padBottom;
+    return {
+        padLeft,
+        padBottom,
+        padTop,
+        padRight,
+        graphW: chartWidth - padLeft - padRight,
+        graphH: chartHeight - padBottom - padTop,
+        bottom,
+        residual: rheologyState.fit ? { top: bottom + 24, height: 30 } : null
+    };
+}
+
+function drawAxes(layout, xLabel, yLabel) {
+    const { padLeft, padTop, padRight, bottom } = layout;
 
-    // --- Axes ---
     chartCtx.beginPath();
     chartCtx.strokeStyle = '#8b949e';
     chartCtx.lineWidth = 1;
 
     // Y-Axis
     chartCtx.moveTo(padLeft, padTop);
-    chartCtx.lineTo(padLeft, chartHeight - padBottom);
+    chartCtx.lineTo(padLeft, bottom);
 
     // X-Axis
-    chartCtx.lineTo(chartWidth - padRight, chartHeight - padBottom);
+    chartCtx.lineTo(chartWidth - padRight, bottom);
     chartCtx.stroke();
 
-    // Labels & Ticks
+    // Labels
     chartCtx.fillStyle = '#8b949e';
     chartCtx.font = '12px Inter';
     chartCtx.textAlign = 'center';
+    chartCtx.fillText(xLabel, chartWidth / 2 + padLeft / 2, chartHeight - 10);
 
-    // X
-    chartCtx.fillText("Shear Rate (1/s)", chartWidth / 2 + padLeft / 2, chartHeight - 10);
-    chartCtx.fillText("100", chartWidth - padRight, chartHeight - 20);
-
-    // Y Label
     chartCtx.save();
     chartCtx.translate(20, chartHeight / 2);
     chartCtx.rotate(-Math.PI / 2);
     chartCtx.textAlign = 'center';
-    chartCtx.fillText("Shear Stress (τ)", 0, 0);
+    chartCtx.fillText(yLabel, 0, 0);
     chartCtx.restore();
+}
+
+function drawChart() {
+    chartCtx.clearRect(0, 0, chartWidth, chartHeight);
+
+    const model = modelAt();
+    const params = currentModelParams();
+
+    if (comparing()) {
+        drawComparisonChart();
+    } else if (rheologyState.chartMode === 'lissajous') {
+        drawLissajousChart();
+    } else if (rheologyState.chartMode === 'profile') {
+        drawVelocityProfileChart();
+    } else {
+        if (rheologyState.chartMode === 'viscosity') drawViscosityChart(model, params);
+        else drawFlowChart(model, params);
+        drawModelInfo(model, params);
+    }
+
+    viscosityValue.textContent = formatViscosity(apparentViscosity(model, params, sim.shearRate));
+}
+
+function drawFlowChart(model, params) {
+    const layout = chartLayout();
+    const { padLeft, padTop, padRight, graphW, graphH, bottom } = layout;
+    const maxShear = chartShearRange().max;
+    const dataSets = modelAxisData();
+
+    const overlays = overlayModels();
+
+    // Auto-scale Y to the largest model stress on the plotted range (the
+    // overlaid temperatures may run off the top)
+    let maxStressModel = 0;
+    for (let i = 0; i <= CHART_CONFIG.samples; i++) {
+        maxStressModel = Math.max(maxStressModel, model.stress(maxShear * i / CHART_CONFIG.samples, params));
+    }
+    for (const set of dataSets) {
+        for (const p of set.points) maxStressModel = Math.max(maxStressModel, p.stress + (p.error || 0));
+    }
+    // The protocol trace goes with the simulated points
+    const traceOnModelAxis = !!rheologyState.fit && rheologyState.fit.source === 'simulation';
+    if (traceOnModelAxis) {
+        for (const p of protocolState.trace) maxStressModel = Math.max(maxStressModel, p.stress);
+    }
+    let yAxisMax = Math.ceil(maxStressModel * 1.2);
+    if (yAxisMax < 10) yAxisMax = 10;
+
+    const toX = (rate) => padLeft + (rate / maxShear) * graphW;
+
+    // --- Axes ---
+    drawAxes(layout, t('chart.shearRate'), t('chart.shearStress'));
+
+    chartCtx.fillStyle = '#8b949e';
+    chartCtx.textAlign = 'center';
+    chartCtx.fillText(String(maxShear), chartWidth - padRight, bottom + 14);
 
     // Y Ticks
     chartCtx.textAlign = 'right';
     chartCtx.fillText(yAxisMax.toFixed(0), padLeft - 10, padTop + 5);
-    chartCtx.fillText("0", padLeft - 10, chartHeight - padBottom);
+    chartCtx.fillText("0", padLeft - 10, bottom);
 
-    // --- Power Law Curve ---
+    // --- Model Curve ---
     chartCtx.beginPath();
     chartCtx.strokeStyle = '#58a6ff';
     chartCtx.lineWidth = 2;
 
-    for (let s = 0; s <= CHART_CONFIG.maxShear; s += 2) {
-        const stress = K * Math.pow(s, n);
+    for (let i = 0; i <= CHART_CONFIG.samples; i++) {
+        const s = maxShear * i / CHART_CONFIG.samples;
+        const stress = model.stress(s, params);
 
-        const px = padLeft + (s / CHART_CONFIG.maxShear) * graphW;
+        const px = padLeft + (s / maxShear) * graphW;
         const normalizedStress = Math.min(stress / yAxisMax, 1.1);
-        const py = (chartHeight - padBottom) - normalizedStress * graphH;
+        const py = bottom - normalizedStress * graphH;
 
-        if (s === 0) chartCtx.moveTo(px, py);
+        if (i === 0) chartCtx.moveTo(px, py);
         else chartCtx.lineTo(px, py);
     }
     chartCtx.stroke();
 
+    // --- Overlaid temperatures, labelled at their right end ---
+    for (const overlay of overlays) {
+        const samples = [];
+        for (let i = 0; i <= CHART_CONFIG.samples; i++) {
+            const s = maxShear * i / CHART_CONFIG.samples;
+            samples.push({ x: toX(s), y: bottom - Math.min(overlay.model.stress(s, params) / yAxisMax, 1.1) * graphH });
+        }
+        drawOverlayCurve(overlay, samples);
+    }
+
+    // --- Data on the model axis (imported / fitted simulation points) ---
+    const toModelY = (v) => bottom - Math.max(Math.min(v / yAxisMax, 1.1), 0) * graphH;
+    for (const set of dataSets) drawDataPoints(set, toX, toModelY, 'stress');
+    if (traceOnModelAxis) drawProtocolTrace(toX, toModelY);
+
+    // --- Measured Points (simulated tau_xy, right axis) ---
+    const measured = dataSets.some(set => !set.square) ? [] : simulatedPoints();
+    let simAxisMax = 0;
+    for (const p of measured) simAxisMax = Math.max(simAxisMax, p.stress + p.error);
+    if (!traceOnModelAxis) {
+        for (const p of protocolState.trace) simAxisMax = Math.max(simAxisMax, p.stress);
+    }
+    if (simAxisMax > 0) {
+        simAxisMax *= 1.2;
+
+        const toY = (v) => bottom - Math.max(Math.min(v / simAxisMax, 1.1), 0) * graphH;
+        drawDataPoints({ points: measured, color: DATA_COLORS.simulated, square: false }, toX, toY, 'stress');
+        if (!traceOnModelAxis) drawProtocolTrace(toX, toY);
+
+        // Right axis
+        chartCtx.beginPath();
+        chartCtx.strokeStyle = 'rgba(255, 209, 102, 0.5)';
+        chartCtx.moveTo(chartWidth - padRight, padTop);
+        chartCtx.lineTo(chartWidth - padRight, bottom);
+        chartCtx.stroke();
+
+        chartCtx.font = '12px Inter';
+        chartCtx.textAlign = 'left';
+        chartCtx.fillText(simAxisMax.toPrecision(2), chartWidth - padRight + 8, padTop + 5);
+        chartCtx.fillText("0", chartWidth - padRight + 8, bottom);
+
+        chartCtx.save();
+        chartCtx.translate(chartWidth - 12, chartHeight / 2);
+        chartCtx.rotate(-Math.PI / 2);
+        chartCtx.textAlign = 'center';
+        chartCtx.fillText(t('chart.simulatedStress'), 0, 0);
+        chartCtx.restore();
+    }
+
     // --- Current State Dot ---
-    const currentRate = state.shearRate;
-    const currentStress = K * Math.pow(currentRate, n);
+    const currentRate = Math.abs(sim.shearRate);
+    const currentStress = model.stress(currentRate, params);
 
-    const cx = padLeft + (currentRate / CHART_CONFIG.maxShear) * graphW;
-    const cy = (chartHeight - padBottom) - Math.min(currentStress / yAxisMax, 1.1) * graphH;
+    const cx = padLeft + (currentRate / maxShear) * graphW;
+    const cy = bottom - Math.min(currentStress / yAxisMax, 1.1) * graphH;
 
     // Dot
     chartCtx.beginPath();
@@ -173,7 +433,7 @@ function drawChart() {
     chartCtx.strokeStyle = 'rgba(255, 0, 85, 0.3)';
     chartCtx.setLineDash([5, 5]);
     chartCtx.moveTo(cx, cy);
-    chartCtx.lineTo(cx, chartHeight - padBottom);
+    chartCtx.lineTo(cx, bottom);
     chartCtx.moveTo(cx, cy);
     chartCtx.lineTo(padLeft, cy);
     chartCtx.stroke();
@@ -183,299 +443,787 @@ function drawChart() {
     chartCtx.beginPath();
     chartCtx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
     chartCtx.lineWidth = 2;
-    chartCtx.moveTo(padLeft, chartHeight - padBottom);
+    chartCtx.moveTo(padLeft, bottom);
     chartCtx.lineTo(cx, cy);
     chartCtx.stroke();
 
     // --- Apparent Viscosity Display ---
-    let eta = 0;
-    if (currentRate > 0.01) {
-        eta = (currentStress / currentRate) * 1000;
-    } else {
-        // For Power Law, zero shear viscosity is infinite if n < 1
-        // Show a large number as best guess for "at rest"
-        eta = (K * Math.pow(0.01, n) / 0.01) * 1000;
-    }
+    const eta = apparentViscosity(model, params, currentRate);
 
     chartCtx.fillStyle = '#ff0055';
     chartCtx.textAlign = 'left';
     chartCtx.font = '12px Inter';
-    chartCtx.fillText(`η = ${eta.toFixed(0)} mPa·s`, cx + 10, cy - 10);
-
-    // --- Info Display ---
-    chartCtx.fillStyle = '#e6edf3';
-    chartCtx.textAlign = 'left';
-    chartCtx.font = '14px Noto Sans JP';
+    chartCtx.fillText(`η = ${formatViscosity(eta)}`, cx + 10, cy - 10);
 
-    chartCtx.fillText(`流動指数 n = ${n.toFixed(2)}`, padLeft + 20, 30);
-    chartCtx.fillText(`コンシステンシ係数 K = ${K.toFixed(2)}`, padLeft + 160, 30);
+    drawResiduals(layout, toX);
 }
 
-// --- Physics Classes ---
+function drawViscosityChart(model, params) {
+    const layout = chartLayout();
+    const { padLeft, padTop, padRight, graphW, graphH, bottom } = layout;
+
+    const range = chartShearRange();
+    const logMinX = Math.floor(Math.log10(range.min));
+    const logMaxX = Math.ceil(Math.log10(range.max));
+    const dataSets = modelAxisData();
+
+    // Sample eta (mPa·s) on log-spaced shear rates
+    const curve = [];
+    for (let i = 0; i <= CHART_CONFIG.samples; i++) {
+        const logRate = logMinX + (logMaxX - logMinX) * i / CHART_CONFIG.samples;
+        const eta = model.viscosity(Math.pow(10, logRate), params) * 1000;
+        if (eta > 0 && Number.isFinite(eta)) curve.push({ logRate, logEta: Math.log10(eta) });
+    }
+    if (curve.length === 0) return;
+
+    const overlays = overlayModels();
+    for (const overlay of overlays) {
+        overlay.curve = [];
+        for (let i = 0; i <= CHART_CONFIG.samples; i++) {
+            const logRate = logMinX + (logMaxX - logMinX) * i / CHART_CONFIG.samples;
+            const eta = overlay.model.viscosity(Math.pow(10, logRate), params) * 1000;
+            if (eta > 0 && Number.isFinite(eta)) overlay.curve.push({ logRate, logEta: Math.log10(eta) });
+        }
+    }
 
-class Particle {
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-        this.oldX = x;
-        this.oldY = y; // For Verlet integration
-        this.vx = 0;
-        this.vy = 0;
-        this.mass = 1;
+    // Y range over the curves and any data (mPa·s)
+    const logEtas = curve.map(p => p.logEta);
+    for (const overlay of overlays) logEtas.push(...overlay.curve.map(p => p.logEta));
+    for (const set of dataSets) {
+        for (const p of set.points) {
+            if (p.viscosity > 0 && Number.isFinite(p.viscosity)) logEtas.push(Math.log10(p.viscosity * 1000));
+        }
     }
+    let logMinY = Math.floor(Math.min(...logEtas));
+    let logMaxY = Math.ceil(Math.max(...logEtas));
+    if (logMaxY - logMinY < 1) logMaxY = logMinY + 1;
+
+    const toX = (logRate) => padLeft + ((logRate - logMinX) / (logMaxX - logMinX)) * graphW;
+    const toY = (logEta) => bottom - ((logEta - logMinY) / (logMaxY - logMinY)) * graphH;
+    const decadeLabel = (k) => (k >= 0 ? String(Math.pow(10, k)) : Math.pow(10, k).toFixed(-k));
 
-    update() {
-        // Simple Verlet-ish integration with explicit velocity tracking for flow interaction
-        this.x += this.vx;
-        this.y += this.vy;
+    // --- Axes & decade grid ---
+    drawAxes(layout, t('chart.shearRateLog'), t('chart.viscosityLog'));
+
+    chartCtx.strokeStyle = 'rgba(139, 148, 158, 0.15)';
+    chartCtx.fillStyle = '#8b949e';
+    chartCtx.font = '11px Inter';
+    chartCtx.beginPath();
+    chartCtx.textAlign = 'center';
+    for (let k = Math.ceil(logMinX); k <= logMaxX; k++) {
+        chartCtx.moveTo(toX(k), padTop);
+        chartCtx.lineTo(toX(k), bottom);
+        chartCtx.fillText(decadeLabel(k), toX(k), bottom + 14);
     }
+    chartCtx.textAlign = 'right';
+    for (let k = logMinY; k <= logMaxY; k++) {
+        chartCtx.moveTo(padLeft, toY(k));
+        chartCtx.lineTo(chartWidth - padRight, toY(k));
+        chartCtx.fillText(decadeLabel(k), padLeft - 6, toY(k) + 4);
+    }
+    chartCtx.stroke();
+
+    // --- Model Curve ---
+    chartCtx.beginPath();
+    chartCtx.strokeStyle = '#58a6ff';
+    chartCtx.lineWidth = 2;
+    curve.forEach((p, i) => {
+        const px = toX(p.logRate);
+        const py = Math.max(toY(p.logEta), padTop - 10);
+        if (i === 0) chartCtx.moveTo(px, py);
+        else chartCtx.lineTo(px, py);
+    });
+    chartCtx.stroke();
 
-    applyForce(fx, fy) {
-        this.vx += fx / this.mass;
-        this.vy += fy / this.mass;
+    for (const overlay of overlays) {
+        drawOverlayCurve(overlay, overlay.curve.map(p => ({ x: toX(p.logRate), y: Math.max(toY(p.logEta), padTop - 10) })));
     }
-}
 
-class Polymer {
-    constructor(x, y, color) {
-        this.nodes = [];
-        this.color = color;
+    // --- Data ---
+    const toDataX = (rate) => toX(Math.log10(rate));
+    const toDataY = (eta) => toY(Math.log10(eta * 1000));
+    for (const set of dataSets) drawDataPoints(set, toDataX, toDataY, 'viscosity');
 
-        // Initialize nodes in a somewhat random coil
-        let currentX = x;
-        let currentY = y;
-        for (let i = 0; i < CONFIG.segmentCount; i++) {
-            this.nodes.push(new Particle(currentX, currentY));
-            // Random walk initialization
-            const angle = Math.random() * Math.PI * 2;
-            currentX += Math.cos(angle) * CONFIG.segmentLength;
-            currentY += Math.sin(angle) * CONFIG.segmentLength;
-        }
+    // --- Zero-shear limit ---
+    const eta0 = Rheology.zeroShearViscosity(model, params);
+    chartCtx.font = '12px Noto Sans JP';
+    chartCtx.textAlign = 'left';
+    if (!Number.isFinite(eta0)) {
+        chartCtx.fillStyle = '#ff7b72';
+        chartCtx.fillText(t('chart.noZeroShear'), padLeft + 10, padTop + 14);
+    } else if (eta0 > 0) {
+        const y0 = toY(Math.log10(eta0 * 1000));
+        chartCtx.beginPath();
+        chartCtx.strokeStyle = 'rgba(63, 185, 80, 0.6)';
+        chartCtx.setLineDash([4, 4]);
+        chartCtx.moveTo(padLeft, y0);
+        chartCtx.lineTo(chartWidth - padRight, y0);
+        chartCtx.stroke();
+        chartCtx.setLineDash([]);
+        chartCtx.fillStyle = '#3fb950';
+        chartCtx.fillText(`η₀ = ${formatViscosity(eta0)}`, padLeft + 10, y0 - 6);
     }
 
-    update() {
-        const { shearRate } = state;
+    // --- Current State Dot ---
+    const rate = Math.max(Math.abs(sim.shearRate), Math.pow(10, logMinX));
+    const eta = model.viscosity(rate, params) * 1000;
+    if (eta > 0 && Number.isFinite(eta)) {
+        const cx = toX(Math.log10(rate));
+        const cy = Math.min(Math.max(toY(Math.log10(eta)), padTop - 10), bottom);
+        chartCtx.beginPath();
+        chartCtx.fillStyle = '#ff0055';
+        chartCtx.arc(cx, cy, 6, 0, Math.PI * 2);
+        chartCtx.fill();
+
+        chartCtx.font = '12px Inter';
+        chartCtx.fillText(`η = ${formatViscosity(apparentViscosity(model, params, sim.shearRate))}`, cx + 10, cy - 10);
+    }
 
-        // Turbulence parameters
-        // shearRate 0-100 controls turbulence intensity
-        const intensity = shearRate * 0.15; // Boosted turbulence
-        const driftSpeed = 0.5; // Revert shallow drift, focus on turbulence speed
+    drawResiduals(layout, toDataX);
+}
 
-        // Scale for noise frequency
-        const scale = 0.005;
+// Thin model curve of an overlaid temperature through canvas points
+function drawOverlayCurve(overlay, points) {
+    if (points.length === 0) return;
+    chartCtx.beginPath();
+    chartCtx.strokeStyle = overlay.color;
+    chartCtx.lineWidth = 1;
+    points.forEach((p, i) => {
+        if (i === 0) chartCtx.moveTo(p.x, p.y);
+        else chartCtx.lineTo(p.x, p.y);
+    });
+    chartCtx.stroke();
 
-        for (let i = 0; i < this.nodes.length; i++) {
-            const node = this.nodes[i];
+    const end = points[points.length - 1];
+    chartCtx.fillStyle = overlay.color;
+    chartCtx.font = '11px Inter';
+    chartCtx.textAlign = 'left';
+    chartCtx.fillText(`${overlay.celsius} °C`, end.x + 4, end.y + 4);
+}
 
-            // 1. Brownian Motion
-            const angle = Math.random() * Math.PI * 2;
-            const mag = CONFIG.brownianForce * (Math.random() - 0.5);
-            node.vx += Math.cos(angle) * mag;
-            node.vy += Math.sin(angle) * mag;
+// Markers for a data set; `field` is 'stress' or 'viscosity'. Points that do
+// not map onto the axes (e.g. zero rate on a log axis) are skipped.
+function drawDataPoints(set, toX, toY, field) {
+    chartCtx.strokeStyle = set.color;
+    chartCtx.fillStyle = set.color;
+    chartCtx.lineWidth = 1;
+    for (const p of set.points) {
+        const value = p[field];
+        if (field === 'viscosity' && !(p.rate > 0 && value > 0 && Number.isFinite(value))) continue;
+        const px = toX(p.rate);
+        const py = toY(value);
+
+        // Error bar (standard error of the mean)
+        if (p.error && field === 'stress') {
+            chartCtx.beginPath();
+            chartCtx.moveTo(px, toY(p.stress - p.error));
+            chartCtx.lineTo(px, toY(p.stress + p.error));
+            chartCtx.stroke();
+        }
 
-            // 2. Turbulent Flow Field + Laminar Shear Alignment
-            // Pseudo-random turbulence
-            const turbVx = intensity * (
-                Math.sin(node.y * scale + time) +
-                Math.cos(node.x * scale * 0.5 + time * 0.7)
-            );
+        chartCtx.beginPath();
+        if (set.square) chartCtx.rect(px - 3, py - 3, 6, 6);
+        else chartCtx.arc(px, py, 3, 0, Math.PI * 2);
+        chartCtx.fill();
+    }
+}
 
-            // Laminar Shear Force (Velocity Gradient)
-            // Reduced alignment force to keep it chaotic ("Turbulent")
-            const shearTerm = (state.shearRate / 100) * (node.y - height / 2) * 0.05;
+// Relative residuals (observed / fitted - 1) of the last fit, below the plot
+function drawResiduals(layout, toX) {
+    const fit = rheologyState.fit;
+    if (!fit || !layout.residual) return;
 
-            const flowVx = driftSpeed + turbVx + shearTerm;
+    const { padLeft, padRight } = layout;
+    const { top, height } = layout.residual;
+    const mid = top + height / 2;
+    const maxResidual = Math.max(0.01, ...fit.residuals.map(r => Math.abs(r.residual)));
 
-            const flowVy = intensity * (
-                Math.sin(node.x * scale - time * 0.5) +
-                Math.cos(node.y * scale * 0.5 + time)
-            );
+    chartCtx.beginPath();
+    chartCtx.strokeStyle = 'rgba(139, 148, 158, 0.5)';
+    chartCtx.setLineDash([3, 3]);
+    chartCtx.moveTo(padLeft, mid);
+    chartCtx.lineTo(chartWidth - padRight, mid);
+    chartCtx.stroke();
+    chartCtx.setLineDash([]);
 
-            // Drag force (Fluid interaction)
-            node.vx += (flowVx - node.vx) * CONFIG.shearInfluence;
-            node.vy += (flowVy - node.vy) * CONFIG.shearInfluence;
+    const color = fit.source === 'simulation' ? DATA_COLORS.simulated : DATA_COLORS.imported;
+    chartCtx.strokeStyle = color;
+    chartCtx.fillStyle = color;
+    for (const r of fit.residuals) {
+        const px = toX(r.rate);
+        if (px < padLeft || px > chartWidth - padRight) continue;
+        const py = mid - (r.residual / maxResidual) * (height / 2);
+        chartCtx.beginPath();
+        chartCtx.moveTo(px, mid);
+        chartCtx.lineTo(px, py);
+        chartCtx.stroke();
+        chartCtx.beginPath();
+        chartCtx.arc(px, py, 2, 0, Math.PI * 2);
+        chartCtx.fill();
+    }
 
+    chartCtx.fillStyle = '#8b949e';
+    chartCtx.font = '11px Noto Sans JP';
+    chartCtx.textAlign = 'right';
+    chartCtx.fillText(t('chart.residuals'), padLeft - 6, mid + 4);
+    chartCtx.textAlign = 'left';
+    chartCtx.fillText(`±${(maxResidual * 100).toPrecision(2)}%`, chartWidth - padRight + 6, mid + 4);
+}
 
-            // Damping
-            node.vx *= CONFIG.friction;
-            node.vy *= CONFIG.friction;
+// Model name, formula, parameter values and legend above the plot
+function drawModelInfo(model, params) {
+    const padLeft = chartLayout().padLeft;
 
-            node.update();
-        }
+    chartCtx.textAlign = 'left';
+    chartCtx.fillStyle = '#8b949e';
+    chartCtx.font = '12px Noto Sans JP';
+    const auto = model.id === 'powerLaw' && rheologyState.autoPowerLaw ? ` ${t('chart.autoParams')}` : '';
+    chartCtx.fillText(`${t(`model.${model.id}`)}: ${model.formula}${auto}`, padLeft + 20, 18);
+
+    // Fitted parameters carry their 95 % confidence half-widths
+    const fit = rheologyState.fit;
+    const formatParam = (p) => {
+        const value = `${p.key} = ${Number(params[p.key]).toPrecision(3)}`;
+        if (!fit) return value;
+        const ci = fit.intervals[p.key];
+        return `${value} ± ${Number.isFinite(ci) ? ci.toPrecision(2) : '?'}${fit.atBound[p.key] ? ` ${t('chart.atBound')}` : ''}`;
+    };
+    chartCtx.fillStyle = '#e6edf3';
+    chartCtx.font = '14px Noto Sans JP';
+    chartCtx.fillText(model.params.map(formatParam).join(',  '), padLeft + 20, 36);
 
-        // Wrap logic for centroid
-        const centroid = this.getCentroid();
-        const margin = 200;
-        if (centroid.x > width + margin) this.shift(-(width + margin * 2), 0);
-        else if (centroid.x < -margin) this.shift(width + margin * 2, 0);
+    // The parameters hold at T_ref; a power law's K at the slider temperature
+    const celsius = currentCelsius();
+    const aT = shiftFactorAt(celsius);
+    let shift = `T = ${celsius.toFixed(0)} °C, a_T = ${aT.toPrecision(3)}`;
+    if ('K' in params && 'n' in params) shift += `, K(T) = ${(params.K * Math.pow(aT, params.n)).toPrecision(3)}`;
+    chartCtx.textAlign = 'right';
+    chartCtx.fillStyle = '#8b949e';
+    chartCtx.font = '12px Noto Sans JP';
+    chartCtx.fillText(shift, chartWidth - 10, 36);
+    chartCtx.textAlign = 'left';
 
-        if (centroid.y > height + margin) this.shift(0, -(height + margin * 2));
-        else if (centroid.y < -margin) this.shift(0, height + margin * 2);
+    if (fit) {
+        const source = t(`chart.source.${fit.source}`);
+        chartCtx.textAlign = 'right';
+        chartCtx.fillStyle = '#8b949e';
+        chartCtx.font = '12px Noto Sans JP';
+        chartCtx.fillText(`${t('chart.fit', { source })}: R² = ${fit.r2.toFixed(4)}, N = ${fit.residuals.length}, 95% CI`, chartWidth - 10, 18);
+        chartCtx.textAlign = 'left';
+    }
 
+    // Legend
+    chartCtx.font = '12px Noto Sans JP';
+    chartCtx.fillStyle = '#58a6ff';
+    chartCtx.fillText(t('chart.legend.model'), padLeft + 20, 52);
+    let legendX = padLeft + 160;
+    if (rheologyState.chartMode === 'flow' || (fit && fit.source === 'simulation')) {
+        chartCtx.fillStyle = DATA_COLORS.simulated;
+        chartCtx.fillText(t('chart.legend.simulated'), legendX, 52);
+        legendX += 220;
+    }
+    if (rheologyState.imported) {
+        chartCtx.fillStyle = DATA_COLORS.imported;
+        chartCtx.fillText(t('chart.legend.imported', { name: rheologyState.imported.name }), legendX, 52);
+        legendX += 200;
+    }
+    if (rheologyState.chartMode === 'flow' && protocolState.trace.length) {
+        chartCtx.fillStyle = TRACE_COLORS.up;
+        chartCtx.fillText(t('chart.legend.up'), legendX, 52);
+        chartCtx.fillStyle = TRACE_COLORS.down;
+        chartCtx.fillText(t('chart.legend.down'), legendX + 50, 52);
+    }
+}
 
-        // 3. Constraints Solver
-        for (let k = 0; k < CONFIG.angularConstraintIterations; k++) {
-            this.resolveDistanceConstraints();
-            this.resolveAngularConstraints();
-        }
+// Smoothed tau_xy along the shear-rate ramps of the running protocol; the
+// gap between the up and down branches is the hysteresis loop
+function drawProtocolTrace(toX, toY) {
+    const trace = protocolState.trace;
+    chartCtx.lineWidth = 1.5;
+    for (let i = 1; i < trace.length; i++) {
+        const a = trace[i - 1];
+        const b = trace[i];
+        if (b.segment !== a.segment) continue;
+        chartCtx.beginPath();
+        chartCtx.strokeStyle = b.up ? TRACE_COLORS.up : TRACE_COLORS.down;
+        chartCtx.moveTo(toX(a.rate), toY(a.stress));
+        chartCtx.lineTo(toX(b.rate), toY(b.stress));
+        chartCtx.stroke();
     }
+}
+
+// Stress against strain over the last two cycles of an oscillatory segment,
+// with the moduli from ShearProtocol.oscillatoryModuli
+function drawLissajousChart() {
+    const layout = { ...chartLayout(), padBottom: 40 };
+    layout.bottom = chartHeight - layout.padBottom;
+    layout.graphH = layout.bottom - layout.padTop;
+    const { padLeft, padTop, padRight, graphW, graphH, bottom } = layout;
+
+    drawAxes(layout, t('chart.strain'), t('chart.simulatedStress'));
 
-    getCentroid() {
-        let cx = 0, cy = 0;
-        for (let n of this.nodes) { cx += n.x; cy += n.y; }
-        return { x: cx / this.nodes.length, y: cy / this.nodes.length };
+    const osc = protocolState.oscillation;
+    chartCtx.textAlign = 'left';
+    chartCtx.font = '12px Noto Sans JP';
+    if (!osc || osc.samples.length < 2) {
+        chartCtx.fillStyle = '#8b949e';
+        chartCtx.fillText(t('chart.oscillationHint'), padLeft + 20, 18);
+        return;
     }
 
-    shift(dx, dy) {
-        for (let n of this.nodes) {
-            n.x += dx; n.y += dy;
-            n.oldX += dx; n.oldY += dy;
-        }
+    const samples = osc.samples;
+    const period = 1 / osc.segment.frequency;
+    const lastT = samples[samples.length - 1].t;
+    const recent = samples.filter(p => p.t > lastT - 2 * period);
+    const meanStrain = recent.reduce((a, p) => a + p.strain, 0) / recent.length;
+
+    let maxStrain = 1e-9;
+    let maxStress = 1e-9;
+    for (const p of recent) {
+        maxStrain = Math.max(maxStrain, Math.abs(p.strain - meanStrain));
+        maxStress = Math.max(maxStress, Math.abs(p.stress));
     }
+    maxStrain *= 1.1;
+    maxStress *= 1.1;
+
+    const cx = padLeft + graphW / 2;
+    const cy = padTop + graphH / 2;
+    const toX = (v) => cx + ((v - meanStrain) / maxStrain) * (graphW / 2);
+    const toY = (v) => cy - (v / maxStress) * (graphH / 2);
+
+    // Zero lines
+    chartCtx.setLineDash([3, 3]);
+    strokeLine(chartCtx, padLeft, cy, chartWidth - padRight, cy, 'rgba(139, 148, 158, 0.4)');
+    strokeLine(chartCtx, cx, padTop, cx, bottom, 'rgba(139, 148, 158, 0.4)');
+    chartCtx.setLineDash([]);
 
-    resolveDistanceConstraints() {
-        for (let i = 0; i < this.nodes.length - 1; i++) {
-            const n1 = this.nodes[i];
-            const n2 = this.nodes[i + 1];
+    chartCtx.beginPath();
+    chartCtx.strokeStyle = DATA_COLORS.simulated;
+    chartCtx.lineWidth = 1.5;
+    recent.forEach((p, i) => {
+        if (i === 0) chartCtx.moveTo(toX(p.strain), toY(p.stress));
+        else chartCtx.lineTo(toX(p.strain), toY(p.stress));
+    });
+    chartCtx.stroke();
+
+    const last = recent[recent.length - 1];
+    chartCtx.beginPath();
+    chartCtx.fillStyle = '#ff0055';
+    chartCtx.arc(toX(last.strain), toY(last.stress), 5, 0, Math.PI * 2);
+    chartCtx.fill();
+
+    // Axis extents
+    chartCtx.fillStyle = '#8b949e';
+    chartCtx.font = '11px Inter';
+    chartCtx.textAlign = 'right';
+    chartCtx.fillText(`±${maxStrain.toPrecision(2)}`, chartWidth - padRight, bottom + 14);
+    chartCtx.fillText(`±${maxStress.toPrecision(2)}`, padLeft - 6, padTop + 5);
+
+    // Moduli
+    chartCtx.textAlign = 'left';
+    chartCtx.fillStyle = '#8b949e';
+    chartCtx.font = '12px Noto Sans JP';
+    const { amplitude, frequency } = osc.segment;
+    chartCtx.fillText(t('chart.oscillation', { amplitude, frequency }), padLeft + 20, 18);
+    chartCtx.fillStyle = '#e6edf3';
+    chartCtx.font = '14px Noto Sans JP';
+    const m = osc.moduli;
+    chartCtx.fillText(m
+        ? `G′ = ${m.storage.toPrecision(3)},  G″ = ${m.loss.toPrecision(3)},  tan δ = ${(m.loss / m.storage).toPrecision(3)},  γ₀ = ${m.strainAmplitude.toPrecision(3)}  (${t('chart.cycles', { cycles: m.cycles })})`
+        : t('chart.moduliPending'), padLeft + 20, 36);
+}
 
-            const dx = n2.x - n1.x;
-            const dy = n2.y - n1.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
+// --- Velocity Profile ---
+// Node velocities binned across the box (SimCore.velocityProfileStats),
+// summed over the last PROFILE_CONFIG.window frames of steps at the current
+// rate and geometry, against the imposed flow at the same nodes. The fitted
+// shear rate ties the slider value to the actual node motion.
+const PROFILE_CONFIG = {
+    bins: 20,
+    window: 60 // Frames of steps
+};
 
-            if (dist === 0) continue;
+const profileState = {
+    frames: [], // Per-frame sums from Simulation.measureVelocityProfile
+    key: null   // Rate and geometry the frames were measured at
+};
 
-            const diff = dist - CONFIG.segmentLength;
-            const correction = diff / dist * 0.5;
+const PROFILE_SUMS = ['count', 'sum', 'sumSq', 'imposed', 'shape'];
 
-            const offX = dx * correction;
-            const offY = dy * correction;
+function recordVelocityProfile() {
+    const key = `${sim.shearRate}|${sim.config.flowGeometry}|${sim.height}`;
+    if (key !== profileState.key) {
+        profileState.frames.length = 0;
+        profileState.key = key;
+    }
+    profileState.frames.push(sim.measureVelocityProfile(PROFILE_CONFIG.bins));
+    if (profileState.frames.length > PROFILE_CONFIG.window) profileState.frames.shift();
+}
 
-            n1.x += offX;
-            n1.y += offY;
-            n2.x -= offX;
-            n2.y -= offY;
+function velocityProfile() {
+    const frames = profileState.frames;
+    if (frames.length === 0) return null;
+    const total = { ...frames[0] };
+    for (const key of PROFILE_SUMS) total[key] = new Float64Array(PROFILE_CONFIG.bins);
+    for (const frame of frames) {
+        for (const key of PROFILE_SUMS) {
+            for (let k = 0; k < PROFILE_CONFIG.bins; k++) total[key][k] += frame[key][k];
         }
     }
+    return SimCore.velocityProfileStats(total);
+}
+
+// Gap position y downwards (as on the canvas) against the velocity
+function drawVelocityProfileChart() {
+    const layout = { ...chartLayout(), padBottom: 40 };
+    layout.bottom = chartHeight - layout.padBottom;
+    layout.graphH = layout.bottom - layout.padTop;
+    const { padLeft, padTop, padRight, graphW, graphH, bottom } = layout;
 
-    resolveAngularConstraints() {
-        const minAngleCos = Math.cos(CONFIG.minAngleDeg * Math.PI / 180);
+    const profile = velocityProfile();
+    const component = profile ? profile.component : 'vx';
+    drawAxes(layout, t('chart.velocity', { component: component === 'vx' ? 'v_x' : 'v_y' }), t('chart.gap'));
+
+    chartCtx.textAlign = 'left';
+    chartCtx.font = '12px Noto Sans JP';
+    if (!profile || profile.bins.length === 0) {
+        chartCtx.fillStyle = '#8b949e';
+        chartCtx.fillText(t('chart.measuring'), padLeft + 20, 18);
+        return;
+    }
 
-        for (let i = 1; i < this.nodes.length - 1; i++) {
-            const prev = this.nodes[i - 1];
-            const curr = this.nodes[i];
-            const next = this.nodes[i + 1];
+    let min = 0;
+    let max = 0;
+    for (const b of profile.bins) {
+        min = Math.min(min, b.mean - b.error, b.imposed);
+        max = Math.max(max, b.mean + b.error, b.imposed);
+    }
+    const span = Math.max(max - min, 1e-6);
+    min -= span * 0.05;
+    max += span * 0.05;
+    const toX = (v) => padLeft + (v - min) / (max - min) * graphW;
+    const toY = (y) => padTop + y / sim.height * graphH;
+
+    // Zero velocity
+    chartCtx.setLineDash([3, 3]);
+    strokeLine(chartCtx, toX(0), padTop, toX(0), bottom, 'rgba(139, 148, 158, 0.4)');
+    chartCtx.setLineDash([]);
 
-            let ax = prev.x - curr.x;
-            let ay = prev.y - curr.y;
-            const aLen = Math.sqrt(ax * ax + ay * ay);
+    // Imposed flow
+    chartCtx.beginPath();
+    chartCtx.strokeStyle = TRACE_COLORS.down;
+    chartCtx.lineWidth = 1.5;
+    profile.bins.forEach((b, i) => {
+        if (i === 0) chartCtx.moveTo(toX(b.imposed), toY(b.y));
+        else chartCtx.lineTo(toX(b.imposed), toY(b.y));
+    });
+    chartCtx.stroke();
 
-            let bx = next.x - curr.x;
-            let by = next.y - curr.y;
-            const bLen = Math.sqrt(bx * bx + by * by);
+    // Measured means with their standard errors
+    for (const b of profile.bins) {
+        const py = toY(b.y);
+        strokeLine(chartCtx, toX(b.mean - b.error), py, toX(b.mean + b.error), py, DATA_COLORS.simulated);
+        chartCtx.beginPath();
+        chartCtx.fillStyle = DATA_COLORS.simulated;
+        chartCtx.arc(toX(b.mean), py, 3, 0, Math.PI * 2);
+        chartCtx.fill();
+    }
 
-            if (aLen < 0.001 || bLen < 0.001) continue;
+    // Axis extents
+    chartCtx.fillStyle = '#8b949e';
+    chartCtx.font = '11px Inter';
+    chartCtx.textAlign = 'left';
+    chartCtx.fillText(min.toPrecision(2), padLeft, bottom + 14);
+    chartCtx.textAlign = 'right';
+    chartCtx.fillText(max.toPrecision(2), chartWidth - padRight, bottom + 14);
+    chartCtx.fillText('0', padLeft - 6, padTop + 5);
+    chartCtx.fillText(`${sim.height}`, padLeft - 6, bottom);
 
-            const uax = ax / aLen;
-            const uay = ay / aLen;
-            const ubx = bx / bLen;
-            const uby = by / bLen;
+    // Legend and the fitted rate
+    chartCtx.textAlign = 'left';
+    chartCtx.font = '12px Noto Sans JP';
+    chartCtx.fillStyle = DATA_COLORS.simulated;
+    chartCtx.fillText(t('chart.profileMean', { frames: profileState.frames.length }), padLeft + 20, 18);
+    chartCtx.fillStyle = TRACE_COLORS.down;
+    chartCtx.fillText(t('chart.imposed'), padLeft + 20 + graphW / 2, 18);
+    chartCtx.fillStyle = '#e6edf3';
+    chartCtx.font = '14px Noto Sans JP';
+    chartCtx.fillText(profile.rate === null
+        ? t('chart.effectiveRateNone')
+        : t('chart.effectiveRate', {
+            rate: profile.rate.toFixed(1),
+            error: profile.rateError.toFixed(1),
+            setting: sim.shearRate.toFixed(1)
+        }), padLeft + 20, 36);
+}
 
-            const dot = uax * ubx + uay * uby;
+// --- Conformation Analytics ---
+// Rolling history of the metrics measured by the simulation each frame,
+// plus an exponentially smoothed copy for the status readout.
+const METRICS_CONFIG = {
+    historyLength: 300, // Frames kept for the rolling plots
+    smoothing: 0.05     // EMA weight used for the status readout
+};
 
-            if (dot > minAngleCos) {
-                const pnx = next.x - prev.x;
-                const pny = next.y - prev.y;
-                const pnLen = Math.sqrt(pnx * pnx + pny * pny);
+const metricsHistory = [];
+let smoothedConformation = null;
 
-                if (pnLen > 0) {
-                    const pushFactor = 0.05 * (dot - minAngleCos);
+function recordConformation(conf) {
+    metricsHistory.push(conf);
+    if (metricsHistory.length > METRICS_CONFIG.historyLength) metricsHistory.shift();
 
-                    const pushX = (pnx / pnLen) * pushFactor * CONFIG.segmentLength;
-                    const pushY = (pny / pnLen) * pushFactor * CONFIG.segmentLength;
+    if (!smoothedConformation) {
+        smoothedConformation = { ...conf };
+        return;
+    }
+    const a = METRICS_CONFIG.smoothing;
+    for (const key of Object.keys(conf)) {
+        smoothedConformation[key] += (conf[key] - smoothedConformation[key]) * a;
+    }
+}
 
-                    prev.x -= pushX;
-                    prev.y -= pushY;
-                    next.x += pushX;
-                    next.y += pushY;
-                }
-            }
+function drawMetrics() {
+    metricsCtx.clearRect(0, 0, metricsWidth, metricsHeight);
+
+    const series = [
+        { key: 'rg', label: t('metrics.rg'), unit: 'px', color: '#58a6ff' },
+        { key: 'ree', label: t('metrics.ree'), unit: 'px', color: '#3fb950' },
+        { key: 'order', label: t('metrics.order'), unit: '', color: '#ffd166', min: 0, max: 1 },
+        { key: 'angle', label: t('metrics.angle'), unit: '°', color: '#ff7b72', min: -90, max: 90 },
+        {
+            key: 'entanglement', label: t('metrics.entanglement'), unit: t('metrics.perChain'), color: '#d2a8ff',
+            extra: m => t('metrics.crossings', { count: Math.round(m.crossings) })
+        },
+        // Stress transients (start-up overshoot, relaxation after cessation)
+        { key: 'tauXY', label: t('metrics.tauXY'), unit: 'a.u.', color: '#f0883e', symmetric: true }
+    ];
+
+    const padLeft = 20;
+    const padRight = 20;
+    const padTop = 20;
+    const rowGap = 10;
+    const rowH = (metricsHeight - padTop - rowGap * series.length) / series.length;
+    const plotW = metricsWidth - padLeft - padRight;
+
+    series.forEach((s, row) => {
+        const top = padTop + row * (rowH + rowGap);
+        const bottom = top + rowH;
+
+        let min = s.min;
+        let max = s.max;
+        if (s.symmetric) {
+            max = 0;
+            for (const m of metricsHistory) max = Math.max(max, Math.abs(m[s.key]));
+            max = max > 0 ? max * 1.1 : 1;
+            min = -max;
+        } else if (min === undefined) {
+            min = 0;
+            max = 0;
+            for (const m of metricsHistory) max = Math.max(max, m[s.key]);
+            max = max > 0 ? max * 1.1 : 1;
         }
-    }
 
-    draw(ctx) {
-        if (this.nodes.length < 2) return;
+        // Frame
+        strokeLine(metricsCtx, padLeft, bottom, padLeft + plotW, bottom, '#30363d');
+
+        // Series
+        metricsCtx.beginPath();
+        metricsCtx.strokeStyle = s.color;
+        metricsCtx.lineWidth = 1.5;
+        metricsHistory.forEach((m, i) => {
+            const px = padLeft + (i / (METRICS_CONFIG.historyLength - 1)) * plotW;
+            const py = bottom - ((m[s.key] - min) / (max - min)) * rowH;
+            if (i === 0) metricsCtx.moveTo(px, py);
+            else metricsCtx.lineTo(px, py);
+        });
+        metricsCtx.stroke();
+
+        // Label with latest value
+        const latest = metricsHistory.length ? metricsHistory[metricsHistory.length - 1][s.key] : 0;
+        metricsCtx.fillStyle = s.color;
+        metricsCtx.font = '12px Noto Sans JP';
+        metricsCtx.textAlign = 'left';
+        const value = s.symmetric ? latest.toPrecision(2) : latest.toFixed(s.key === 'order' ? 2 : 1);
+        let text = `${s.label} = ${value} ${s.unit}`;
+        if (s.extra && metricsHistory.length) text += `  (${s.extra(metricsHistory[metricsHistory.length - 1])})`;
+        metricsCtx.fillText(text, padLeft, top + 12);
+
+        metricsCtx.fillStyle = '#8b949e';
+        metricsCtx.textAlign = 'right';
+        metricsCtx.fillText(s.symmetric ? `±${max.toPrecision(2)}` : max.toFixed(s.key === 'order' ? 1 : 0), padLeft + plotW, top + 12);
+    });
+}
+
+function strokeLine(c, x1, y1, x2, y2, color) {
+    c.beginPath();
+    c.strokeStyle = color;
+    c.lineWidth = 1;
+    c.moveTo(x1, y1);
+    c.lineTo(x2, y2);
+    c.stroke();
+}
 
-        ctx.beginPath();
-        ctx.moveTo(this.nodes[0].x, this.nodes[0].y);
-        for (let i = 1; i < this.nodes.length - 1; i++) {
-            const xc = (this.nodes[i].x + this.nodes[i + 1].x) / 2;
-            const yc = (this.nodes[i].y + this.nodes[i + 1].y) / 2;
-            ctx.quadraticCurveTo(this.nodes[i].x, this.nodes[i].y, xc, yc);
-        }
-        const last = this.nodes[this.nodes.length - 1];
-        ctx.lineTo(last.x, last.y);
+// --- Main Logic ---
 
-        ctx.strokeStyle = this.color;
+// Chain rendering (quadratic smoothing through the nodes), strand by strand
+// in the strand colours (architecture or block type). Chains are stored
+// whole, so one reaching over an edge is also drawn at its periodic images:
+// (±W, 0) sideways and (±boxOffset, ±H) across the sliding top/bottom edge.
+// `style` is one of CHAIN_STYLES (the inspector dims unselected chains).
+// `source` is the simulation drawn: `sim` on the canvas, or a comparison
+// instance on a pane the size of its box.
+const CHAIN_STYLES = {
+    normal: { alpha: 1, lineWidth: 2 },
+    dimmed: { alpha: 0.2, lineWidth: 2 },
+    selected: { alpha: 1, lineWidth: 3.5 }
+};
 
-        // Visual enhancement: glow removed as requested
-        ctx.lineWidth = 2;
+// Offsets [dx0, dy0, dx1, dy1, …] of the periodic images of a chain that
+// overlap the canvas
+function chainImages(polymer, source = sim) {
+    const { x, y } = source.nodes;
+    const start = polymer.start;
+    const end = start + polymer.count;
+
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (let i = start; i < end; i++) {
+        if (x[i] < minX) minX = x[i];
+        if (x[i] > maxX) maxX = x[i];
+        if (y[i] < minY) minY = y[i];
+        if (y[i] > maxY) maxY = y[i];
+    }
 
-        ctx.stroke();
+    // Images only along the periodic directions of the geometry
+    const view = source === sim ? { width, height } : source;
+    const geometry = source.flowGeometry();
+    const rows = geometry.periodicY ? 1 : 0;
+    const columns = geometry.periodicX ? 2 : 0;
+
+    const images = [];
+    for (let j = -rows; j <= rows; j++) {
+        const offY = j * source.height;
+        if (maxY + offY < 0 || minY + offY > view.height) continue;
+        // The sliding offset can push the visible image one period further
+        for (let i = -columns; i <= columns; i++) {
+            const offX = i * source.width + j * source.boxOffset;
+            if (maxX + offX < 0 || minX + offX > view.width) continue;
+            images.push(offX, offY);
+        }
     }
+    return images;
 }
 
-// --- Main Logic ---
+function drawPolymer(ctx, polymer, style = CHAIN_STYLES.normal, source = sim) {
+    const { x, y } = source.nodes;
+    const start = polymer.start;
+    if (polymer.count < 2) return;
+    const images = chainImages(polymer, source);
 
-function initPolymers() {
-    state.polymers = [];
-    const colors = ['#ff0055', '#3366ff']; // Red and Blue
-
-    // Create cluster centers (e.g., 50 clusters)
-    const clusterCount = 50;
-    const clusters = [];
-    for (let k = 0; k < clusterCount; k++) {
-        clusters.push({
-            x: width * 0.15 + Math.random() * width * 0.7,
-            y: height * 0.2 + Math.random() * height * 0.6
-        });
+    // Visual enhancement: glow removed as requested
+    ctx.lineWidth = style.lineWidth;
+    ctx.globalAlpha = style.alpha;
+
+    for (const strand of polymer.strands) {
+        ctx.beginPath();
+        for (let m = 0; m < images.length; m += 2) {
+            const offX = images[m];
+            const offY = images[m + 1];
+            if (strand.closed) traceRing(ctx, x, y, start + strand.from, start + strand.to, offX, offY);
+            else traceChain(ctx, x, y, start + strand.from, start + strand.to, offX, offY, strand.attach >= 0 ? start + strand.attach : -1);
+        }
+        ctx.strokeStyle = strand.color;
+        ctx.stroke();
     }
+    ctx.globalAlpha = 1;
+}
 
-    for (let i = 0; i < CONFIG.polymerCount; i++) {
-        // Distribute among clusters
-        const cluster = clusters[i % clusterCount];
+// Nodes [start, end) of the node arrays x, y, shifted by (dx, dy); a branch
+// starts at the node it is attached to
+function traceChain(ctx, x, y, start, end, dx, dy, attach = -1) {
+    const first = attach >= 0 ? attach : start;
+    const from = attach >= 0 ? start : start + 1;
+    ctx.moveTo(x[first] + dx, y[first] + dy);
+    if (from === end - 1) {
+        ctx.lineTo(x[from] + dx, y[from] + dy);
+        return;
+    }
+    for (let i = from; i < end - 1; i++) {
+        const xc = (x[i] + x[i + 1]) / 2;
+        const yc = (y[i] + y[i + 1]) / 2;
+        ctx.quadraticCurveTo(x[i] + dx, y[i] + dy, xc + dx, yc + dy);
+    }
+    ctx.lineTo(x[end - 1] + dx, y[end - 1] + dy);
+}
 
-        // Random placement around the cluster center (radius ~100px)
-        const angle = Math.random() * Math.PI * 2;
-        const dist = Math.random() * 80;
+// Closed loop through nodes [start, end), smoothed through every node
+function traceRing(ctx, x, y, start, end, dx, dy) {
+    const last = end - 1;
+    ctx.moveTo((x[last] + x[start]) / 2 + dx, (y[last] + y[start]) / 2 + dy);
+    for (let i = start; i < end; i++) {
+        const next = i === last ? start : i + 1;
+        const xc = (x[i] + x[next]) / 2;
+        const yc = (y[i] + y[next]) / 2;
+        ctx.quadraticCurveTo(x[i] + dx, y[i] + dy, xc + dx, yc + dy);
+    }
+}
 
-        const x = cluster.x + Math.cos(angle) * dist;
-        const y = cluster.y + Math.sin(angle) * dist;
+// Clears the UI-side history whenever the chains are regenerated
+function resetMetrics() {
+    metricsHistory.length = 0;
+    smoothedConformation = null;
+    timeSeries.length = 0;
+    profileState.frames.length = 0;
+    selectChain(null);
+}
 
-        const color = colors[i % colors.length];
-        state.polymers.push(new Polymer(x, y, color));
-    }
+function initPolymers() {
+    stopReplay();
+    stopProtocol();
+    sim.init(readSeed());
+    seedInput.value = sim.seed;
+    resetMetrics();
+    if (comparing()) startComparison();
 }
 
 // Auto Play State
 let isAutoPlaying = false;
 const autoPlayBtn = document.getElementById('autoPlayBtn');
 
+function setAutoPlay(on) {
+    stopReplay();
+    stopProtocol();
+    isAutoPlaying = on;
+    autoPlayBtn.textContent = t(isAutoPlaying ? 'autoPlay.stop' : 'autoPlay.start');
+    if (isAutoPlaying && sim.shearRate >= 100) {
+        sim.setShearRate(0); // Restart if at end
+    }
+}
+
 if (autoPlayBtn) {
-    autoPlayBtn.addEventListener('click', () => {
-        isAutoPlaying = !isAutoPlaying;
-        autoPlayBtn.textContent = isAutoPlaying ? "ストップ (Stop)" : "自動デモ開始 (Auto)";
-        if (isAutoPlaying && state.shearRate >= 100) {
-            state.shearRate = 0; // Restart if at end
-        }
-    });
+    autoPlayBtn.addEventListener('click', () => setAutoPlay(!isAutoPlaying));
 }
 
 // Recording Logic
+// Live recording captures the composed view in real time with MediaRecorder;
+// the file extension follows the container the browser actually produced.
 const recordBtn = document.getElementById('recordBtn');
+const recordStatus = document.getElementById('recordStatus');
 let mediaRecorder;
 let recordedChunks = [];
 let isRecording = false;
 
+const RECORDER_TYPES = ['video/webm;codecs=vp9', 'video/webm', 'video/mp4'];
+const VIDEO_EXTENSIONS = { 'video/webm': 'webm', 'video/mp4': 'mp4', 'video/x-matroska': 'mkv' };
+
+function recorderOptions() {
+    const mimeType = RECORDER_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    return mimeType ? { mimeType } : {};
+}
+
+function videoExtension(mimeType) {
+    return VIDEO_EXTENSIONS[mimeType.split(';')[0].trim()] || 'webm';
+}
+
 if (recordBtn) {
     recordBtn.addEventListener('click', () => {
         if (!isRecording) {
@@ -495,23 +1243,19 @@ function startRecording() {
     // Create an offscreen canvas to combine both views
     recordingCanvas = document.createElement('canvas');
     recordingCanvas.width = canvas.width;
-    recordingCanvas.height = canvas.height + flowCurveCanvas.height;
+    recordingCanvas.height = canvas.height + Math.max(chartCanvas.height, metricsCanvas.height);
     recordingCtx = recordingCanvas.getContext('2d');
 
     // Capture stream from the combined canvas
     const stream = recordingCanvas.captureStream(30); // 30 FPS
 
-    let options = { mimeType: 'video/webm;codecs=vp9' };
-    if (!MediaRecorder.isTypeSupported(options.mimeType)) {
-        options = { mimeType: 'video/webm' };
-    }
-
     try {
-        mediaRecorder = new MediaRecorder(stream, options);
+        mediaRecorder = new MediaRecorder(stream, recorderOptions());
     } catch (e) {
-        console.error("Exception while creating MediaRecorder:", e);
+        recordStatus.textContent = t('record.failed', { message: e.message });
         return;
     }
+    recordStatus.textContent = '';
 
     mediaRecorder.ondataavailable = (event) => {
         if (event.data.size > 0) {
@@ -520,76 +1264,1162 @@ function startRecording() {
     };
 
     mediaRecorder.onstop = () => {
-        const blob = new Blob(recordedChunks, {
-            type: 'video/webm'
-        });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        document.body.appendChild(a);
-        a.style = 'display: none';
-        a.href = url;
-        a.download = 'fluid_simulation_recording.mp4';
-        a.click();
-        window.URL.revokeObjectURL(url);
+        const type = mediaRecorder.mimeType || recordedChunks[0]?.type || 'video/webm';
+        const blob = new Blob(recordedChunks, { type });
+        downloadBlob(blob, `fluid_simulation_seed${sim.seed}.${videoExtension(type)}`);
     };
 
     mediaRecorder.start();
     isRecording = true;
-    recordBtn.textContent = "録画停止 (Stop & Save)";
+    recordBtn.textContent = t('record.stop');
     recordBtn.style.backgroundColor = "#ff9900";
 }
 
 function stopRecording() {
     mediaRecorder.stop();
     isRecording = false;
-    recordBtn.textContent = "録画開始 (Rec)";
+    recordBtn.textContent = t('record.start');
     recordBtn.style.backgroundColor = "#e63946";
 }
 
-function loop() {
-    time += 0.1;
+// --- Captions ---
+// Parameters and time burned into recorded frames: the overlay text and the
+// sidebar values are HTML, not part of any canvas
+const captionsToggle = document.getElementById('captionsToggle');
+
+function captionLines() {
+    const dispersity = sim.measureDispersity();
+    const chains = dispersity
+        ? t('caption.chains', { count: sim.polymers.length, mn: dispersity.mn.toFixed(0) })
+        : `0 ${t('unit.chains')}`;
+    return [
+        t('caption.title', { seed: sim.seed }),
+        `γ̇ = ${sim.shearRate.toFixed(1)} · ${t('caption.viscosity', { viscosity: viscosityValue.textContent })}`,
+        `t = ${sim.time.toFixed(1)} (step ${sim.stepCount}) · γ = ${sim.strain.toFixed(2)}`,
+        `${t(`geometry.${sim.config.flowGeometry}`)} · ${t(`architecture.${sim.config.architecture}`)} · ${chains}`,
+        stateIndicator.textContent
+    ];
+}
 
-    // Auto Play Logic
-    if (isAutoPlaying) {
-        state.shearRate += 0.2;
-        if (state.shearRate >= 100) {
-            state.shearRate = 100;
-            isAutoPlaying = false;
-            autoPlayBtn.textContent = "自動デモ完了 -> リセット";
+// Lines on a translucent box at the top left; size is the font size in px
+function drawCaptions(c, lines, size) {
+    const pad = Math.round(size * 0.6);
+    const lineHeight = Math.round(size * 1.35);
+    c.save();
+    c.font = `${size}px sans-serif`;
+    c.textBaseline = 'top';
+    const boxWidth = Math.max(...lines.map(line => c.measureText(line).width)) + 2 * pad;
+    c.fillStyle = 'rgba(13, 17, 23, 0.7)';
+    c.fillRect(pad, pad, boxWidth, lines.length * lineHeight + 2 * pad - (lineHeight - size));
+    c.fillStyle = '#e6edf3';
+    lines.forEach((line, k) => c.fillText(line, 2 * pad, 2 * pad + k * lineHeight));
+    c.restore();
+}
 
-            // Wait a moment then reset
-            setTimeout(() => {
-                state.shearRate = 0;
-                initPolymers(); // Regenerate and Reset
+// --- Offline Render ---
+// Renders a fixed number of steps per output frame, however long a frame
+// takes to compute, so a clip of a given seed and settings is the same on
+// any machine. Frames are encoded with WebCodecs and muxed to WebM
+// (SimExport), or stored as a ZIP of PNG images. Browsers without
+// WebCodecs fall back to MediaRecorder, which times frames by the wall
+// clock: the frames are paced in real time and may be late on a slow machine.
+const RENDER_CONFIG = {
+    codecs: [
+        { codec: 'vp9', config: 'vp09.00.10.08' },
+        { codec: 'vp8', config: 'vp8' }
+    ],
+    bitsPerPixel: 0.15,   // Per frame: 1280×720 at 30 fps ≈ 4 Mbit/s
+    keyFrameSeconds: 2,
+    maxQueuedFrames: 4,   // Encoder backpressure
+    chartFraction: 0.3    // Height of the chart strip
+};
+
+const renderResolutionSelect = document.getElementById('renderResolutionSelect');
+const renderFpsSelect = document.getElementById('renderFpsSelect');
+const renderDurationInput = document.getElementById('renderDurationInput');
+const renderStepsInput = document.getElementById('renderStepsInput');
+const renderFormatSelect = document.getElementById('renderFormatSelect');
+const renderChartsToggle = document.getElementById('renderChartsToggle');
+const renderBtn = document.getElementById('renderBtn');
+const renderStatus = document.getElementById('renderStatus');
+
+let renderJob = null; // { cancelled } while rendering
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function readRenderSettings() {
+    const [w, h] = renderResolutionSelect.value === 'view'
+        ? [canvas.width, canvas.height + (renderChartsToggle.checked ? chartCanvas.height : 0)]
+        : renderResolutionSelect.value.split('x').map(Number);
+    const fps = parseInt(renderFpsSelect.value, 10);
+    const seconds = Math.min(Math.max(parseFloat(renderDurationInput.value) || 1, 1), 600);
+    const stepsPerFrame = Math.min(Math.max(parseInt(renderStepsInput.value, 10) || 1, 1), 100);
+    return {
+        width: w - (w % 2), // Even sizes for the video encoders
+        height: h - (h % 2),
+        fps,
+        frames: Math.round(seconds * fps),
+        stepsPerFrame,
+        format: renderFormatSelect.value,
+        charts: renderChartsToggle.checked,
+        captions: captionsToggle.checked
+    };
+}
+
+// Fits an image into a box keeping its aspect ratio, centred
+function drawFitted(c, image, x, y, w, h) {
+    if (!image.width || !image.height) return;
+    const scale = Math.min(w / image.width, h / image.height);
+    const dw = image.width * scale;
+    const dh = image.height * scale;
+    c.drawImage(image, x + (w - dw) / 2, y + (h - dh) / 2, dw, dh);
+}
+
+// One output frame: the simulation box scaled to fit above the chart strip,
+// then the captions
+function composeFrame(c, settings, frame) {
+    const { width: w, height: h } = settings;
+    const chartH = settings.charts ? Math.round(h * RENDER_CONFIG.chartFraction) : 0;
+    const sceneH = h - chartH;
+
+    c.fillStyle = '#0d1117';
+    c.fillRect(0, 0, w, h);
+
+    const scale = Math.min(w / sim.width, sceneH / sim.height);
+    c.save();
+    c.translate((w - sim.width * scale) / 2, (sceneH - sim.height * scale) / 2);
+    c.scale(scale, scale);
+    c.beginPath();
+    c.rect(0, 0, sim.width, sim.height);
+    c.clip();
+    c.fillStyle = '#161b22';
+    c.fillRect(0, 0, sim.width, sim.height);
+    drawScene(c);
+    c.restore();
+
+    if (settings.charts) {
+        drawChart();
+        drawMetrics();
+        drawFitted(c, chartCanvas, 0, sceneH, w / 2, chartH);
+        drawFitted(c, metricsCanvas, w / 2, sceneH, w / 2, chartH);
+    }
+    if (settings.captions) {
+        const seconds = frame / settings.fps;
+        drawCaptions(c, [
+            ...captionLines(),
+            `frame ${frame + 1} / ${settings.frames} · ${seconds.toFixed(2)} s @ ${settings.fps} fps · ${settings.stepsPerFrame} steps/frame`
+        ], Math.max(Math.round(h / 45), 10));
+    }
+}
+
+// Sends one batch of steps and waits for its frame
+async function stepFrame(steps) {
+    prepareSteps(steps);
+    sim.step(STEP_CONFIG.dt, steps);
+    while (sim.busy) await nextTask();
+}
+
+function createPngWriter(output, settings) {
+    const zip = SimExport.createZipWriter();
+    return {
+        async addFrame(frame) {
+            const blob = await new Promise(resolve => output.toBlob(resolve, 'image/png'));
+            zip.add(`frame_${String(frame).padStart(5, '0')}.png`, new Uint8Array(await blob.arrayBuffer()));
+        },
+        async finish() {
+            const meta = { seed: sim.seed, ...settings, dt: STEP_CONFIG.dt };
+            zip.add('render.json', new TextEncoder().encode(JSON.stringify(meta, null, 2)));
+            return { blob: new Blob(zip.finish(), { type: 'application/zip' }), extension: 'zip' };
+        }
+    };
+}
+
+// WebCodecs encoder with explicit frame timestamps; null when the browser
+// supports none of the codecs
+async function createWebCodecsWriter(output, settings) {
+    if (typeof VideoEncoder === 'undefined') return null;
+    const { width, height, fps } = settings;
+    let chosen = null;
+    for (const entry of RENDER_CONFIG.codecs) {
+        const config = {
+            codec: entry.config,
+            width,
+            height,
+            framerate: fps,
+            bitrate: Math.round(width * height * fps * RENDER_CONFIG.bitsPerPixel)
+        };
+        if ((await VideoEncoder.isConfigSupported(config)).supported) {
+            chosen = { ...entry, config };
+            break;
+        }
+    }
+    if (!chosen) return null;
+
+    const muxer = SimExport.createWebmMuxer({ width, height, frameRate: fps, codec: chosen.codec });
+    let failure = null;
+    const encoder = new VideoEncoder({
+        output: (chunk) => {
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            muxer.addFrame(data, chunk.timestamp / 1000, chunk.type === 'key');
+        },
+        error: (e) => { failure = e; }
+    });
+    encoder.configure(chosen.config);
+
+    return {
+        async addFrame(frame) {
+            if (failure) throw failure;
+            const videoFrame = new VideoFrame(output, {
+                timestamp: Math.round(frame * 1e6 / fps),
+                duration: Math.round(1e6 / fps)
+            });
+            encoder.encode(videoFrame, { keyFrame: frame % (RENDER_CONFIG.keyFrameSeconds * fps) === 0 });
+            videoFrame.close();
+            while (encoder.encodeQueueSize > RENDER_CONFIG.maxQueuedFrames) await nextTask();
+        },
+        async finish() {
+            await encoder.flush();
+            encoder.close();
+            if (failure) throw failure;
+            return { blob: new Blob(muxer.finish(), { type: 'video/webm' }), extension: 'webm' };
+        },
+        cancel() {
+            if (encoder.state !== 'closed') encoder.close();
+        }
+    };
+}
+
+function createRecorderWriter(output, settings) {
+    const stream = output.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, recorderOptions());
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.start();
+    const started = performance.now();
+
+    return {
+        async addFrame(frame) {
+            track.requestFrame();
+            await sleep(Math.max(started + (frame + 1) * 1000 / settings.fps - performance.now(), 0));
+        },
+        finish() {
+            return new Promise(resolve => {
+                recorder.onstop = () => {
+                    const type = recorder.mimeType || 'video/webm';
+                    resolve({ blob: new Blob(chunks, { type }), extension: videoExtension(type) });
+                };
+                recorder.stop();
+            });
+        },
+        cancel() {
+            if (recorder.state !== 'inactive') recorder.stop();
+        }
+    };
+}
+
+async function renderOffline() {
+    const settings = readRenderSettings();
+    const job = { cancelled: false };
+    renderJob = job;
+    renderBtn.textContent = t('render.cancel');
+
+    const output = document.createElement('canvas');
+    output.width = settings.width;
+    output.height = settings.height;
+    const outputCtx = output.getContext('2d');
+
+    let writer = null;
+    try {
+        if (settings.format === 'png') {
+            writer = createPngWriter(output, settings);
+        } else {
+            writer = await createWebCodecsWriter(output, settings);
+            if (!writer) {
+                writer = createRecorderWriter(output, settings);
+                renderStatus.textContent = t('render.fallback');
+            }
+        }
+
+        for (let frame = 0; frame < settings.frames && !job.cancelled; frame++) {
+            // The first frame shows the current state
+            if (frame > 0) await stepFrame(settings.stepsPerFrame);
+            composeFrame(outputCtx, settings, frame);
+            await writer.addFrame(frame);
+            renderStatus.textContent = t('render.progress', { frame: frame + 1, frames: settings.frames });
+        }
+
+        if (job.cancelled) {
+            writer.cancel?.();
+            renderStatus.textContent = t('render.cancelled');
+        } else {
+            const { blob, extension } = await writer.finish();
+            downloadBlob(blob, `${exportBaseName()}_${settings.width}x${settings.height}_${settings.fps}fps.${extension}`);
+            renderStatus.textContent = t('render.done', { frames: settings.frames, extension });
+        }
+    } catch (e) {
+        writer?.cancel?.();
+        renderStatus.textContent = t('render.failed', { message: e.message });
+    } finally {
+        renderJob = null;
+        stepClock.last = null; // Live stepping resumes without a backlog
+        renderBtn.textContent = t('render.start');
+    }
+}
+
+renderBtn.addEventListener('click', () => {
+    if (renderJob) renderJob.cancelled = true;
+    else renderOffline();
+});
+
+// --- Time Stepping ---
+// Steps have a fixed length dt in simulation time. Each animation frame asks
+// for as many as the wall-clock time since the previous frame calls for at
+// the chosen speed (timePerSecond of simulation time per second at 1×), so
+// the motion is the same on 60 Hz and 144 Hz displays. At most maxSubsteps
+// are sent per frame: a machine that cannot keep up runs slower instead of
+// piling up work.
+const STEP_CONFIG = {
+    dt: 0.1,
+    timePerSecond: 6,
+    maxSubsteps: 10
+};
+
+const speedSlider = document.getElementById('speedSlider');
+const speedValDisplay = document.getElementById('speedValue');
+const stepClock = { speed: 1, last: null, pending: 0 }; // pending: simulation time not yet stepped
+
+speedSlider.addEventListener('input', (e) => {
+    stepClock.speed = parseFloat(e.target.value);
+    speedValDisplay.textContent = stepClock.speed.toFixed(1);
+});
+
+// Whole steps due at wall-clock time `now` (ms)
+function dueSteps(now) {
+    if (stepClock.last !== null) {
+        const elapsed = Math.max(now - stepClock.last, 0); // The first rAF time may precede performance.now()
+        stepClock.pending += elapsed / 1000 * STEP_CONFIG.timePerSecond * stepClock.speed;
+    }
+    stepClock.last = now;
+    if (sim.busy || compareState.instances.some(instance => instance.client.busy)) return 0;
+
+    const { dt, maxSubsteps } = STEP_CONFIG;
+    const steps = Math.min(Math.floor(stepClock.pending / dt + 1e-9), maxSubsteps);
+    stepClock.pending = Math.min(stepClock.pending - steps * dt, dt); // Drop a backlog beyond one step
+    return steps;
+}
+
+// Steps are integrated in the worker, one batch in flight: the next batch is
+// sent once the frame of the last has arrived, and every animation frame
+// draws the latest positions. The controls stay responsive however long a
+// step takes. An offline render steps the simulation itself.
+function advance(now) {
+    if (renderJob) return;
+    const steps = dueSteps(now);
+    if (steps === 0) return;
+
+    if (comparing()) {
+        autoPlaySteps(steps);
+        stepComparison(steps);
+        return;
+    }
+    prepareSteps(steps);
+    sim.step(STEP_CONFIG.dt, steps);
+}
+
+// Controls driven per batch of steps: the auto demo, a running protocol and
+// a held node
+function prepareSteps(steps) {
+    autoPlaySteps(steps);
+
+    if (!sim.replaying) {
+        applyProtocol();
+        sendDrag();
+    }
+}
+
+// Raises the shear rate by 0.2 per step up to 100, then starts over
+function autoPlaySteps(steps) {
+    if (isAutoPlaying) {
+        sim.setShearRate(sim.shearRate + 0.2 * steps);
+        if (sim.shearRate >= 100) {
+            sim.setShearRate(100);
+            isAutoPlaying = false;
+            autoPlayBtn.textContent = t('autoPlay.done');
+
+            // Wait a moment then reset
+            setTimeout(() => {
+                sim.setShearRate(0);
+                initPolymers(); // Regenerate and Reset
                 shearSlider.value = 0;
                 shearValDisplay.textContent = "0";
-                autoPlayBtn.textContent = "自動デモ開始 (Auto)";
-                updateStatus();
+                autoPlayBtn.textContent = t('autoPlay.start');
             }, 1000);
         }
         // Sync UI during play
-        shearSlider.value = state.shearRate;
-        shearValDisplay.textContent = Math.floor(state.shearRate);
-        updateStatus();
+        shearSlider.value = sim.shearRate;
+        shearValDisplay.textContent = Math.floor(sim.shearRate);
     }
+}
 
-    // Clear without trails (opaque)
-    ctx.fillStyle = '#161b22';
+// Runs when the frame of a batch of steps arrives (stress and conformation
+// are those of its last step)
+sim.on('step', (steps) => {
+    if (sim.replaying) syncControls();
+    else recordProtocolSample();
+
+    // Conformation analytics drive the status readout
+    recordConformation({ ...sim.conformation, tauXY: sim.stress.xy });
+    updateStatus();
+    showDispersity();
+    recordTimeSeries();
+    recordTrajectoryFrame();
+    recordChainSample();
+    recordVelocityProfile();
+    perfCounter.steps += steps;
+});
+
+// A replay ran to its end: continue live from the replayed state
+sim.on('replayend', endReplay);
+
+// A step or control failed in the host; stepping goes on, and the status
+// readout shows the error until a step succeeds again
+sim.on('error', (err) => {
+    stateIndicator.textContent = t('error.step', { message: err.message });
+});
+
+// --- Chain Inspector ---
+// Clicking a chain selects it: the other chains are dimmed and a popover
+// shows its length, end-to-end distance, radius of gyration and orientation
+// with their recent history. Pressing on a node also grabs it: the node
+// follows the pointer (Simulation.setDrag) and the constraint solver pulls
+// the chain after it, so stretching and the recoil after letting go can be
+// felt by hand. Grabbing is disabled while a replay runs.
+
+const INSPECTOR_CONFIG = {
+    pickRadius: 12,     // Pointer distance (px) within which a node is picked
+    historyLength: 300  // Samples (one per step frame) in the popover plot
+};
+
+const chainPopover = document.getElementById('chainPopover');
+const chainPopoverTitle = document.getElementById('chainPopoverTitle');
+const chainPopoverClose = document.getElementById('chainPopoverClose');
+const chainNodesValue = document.getElementById('chainNodesValue');
+const chainReeValue = document.getElementById('chainReeValue');
+const chainRgValue = document.getElementById('chainRgValue');
+const chainAngleValue = document.getElementById('chainAngleValue');
+const chainHistoryCanvas = document.getElementById('chainHistoryCanvas');
+const chainHistoryCtx = chainHistoryCanvas.getContext('2d');
+
+const inspector = {
+    chain: null,    // Index of the selected chain in sim.polymers
+    history: [],    // { ree, rg } of the selected chain per step frame
+    drag: null,     // { chain, node, x, y } while a node is held
+    dragSent: null  // Last drag target sent to the simulation
+};
+
+// Nearest node to (px, py) within pickRadius, over the periodic images
+function pickNode(px, py) {
+    const { x, y } = sim.nodes;
+    const image = { x: 0, y: 0 };
+    let best = null;
+    let bestDist2 = INSPECTOR_CONFIG.pickRadius * INSPECTOR_CONFIG.pickRadius;
+    sim.polymers.forEach((p, chain) => {
+        for (let i = p.start; i < p.start + p.count; i++) {
+            sim.minimumImage(x[i] - px, y[i] - py, image);
+            const dist2 = image.x * image.x + image.y * image.y;
+            if (dist2 < bestDist2) {
+                bestDist2 = dist2;
+                best = { chain, node: i - p.start };
+            }
+        }
+    });
+    return best;
+}
+
+// Size and orientation of one chain. The orientation is the principal axis
+// of its gyration tensor measured from the flow (x) direction, which is
+// defined for rings and stars as well.
+function measureChain(p) {
+    const { x, y } = sim.nodes;
+    const end = p.start + p.count;
+    let cx = 0, cy = 0;
+    for (let i = p.start; i < end; i++) { cx += x[i]; cy += y[i]; }
+    cx /= p.count;
+    cy /= p.count;
+
+    let gxx = 0, gxy = 0, gyy = 0;
+    for (let i = p.start; i < end; i++) {
+        const dx = x[i] - cx;
+        const dy = y[i] - cy;
+        gxx += dx * dx;
+        gxy += dx * dy;
+        gyy += dy * dy;
+    }
+    gxx /= p.count;
+    gxy /= p.count;
+    gyy /= p.count;
+
+    const first = p.start + p.ends[0];
+    const last = p.start + p.ends[1];
+    const ree = Math.hypot(x[last] - x[first], y[last] - y[first]);
+    return {
+        ree,
+        extension: ree / (p.contour * sim.config.segmentLength),
+        rg: Math.sqrt(gxx + gyy),
+        angle: 0.5 * Math.atan2(2 * gxy, gxx - gyy) * 180 / Math.PI
+    };
+}
+
+// Selects chain `chain` (null to clear) and opens the popover near (px, py)
+function selectChain(chain, px = 0, py = 0) {
+    if (chain === null) releaseNode();
+    const changed = chain !== inspector.chain;
+    inspector.chain = chain;
+    if (changed) inspector.history = [];
+    chainPopover.hidden = chain === null;
+    if (chain === null) return;
+
+    chainPopover.style.left = `${Math.max(Math.min(px + 16, width - chainPopover.offsetWidth - 8), 8)}px`;
+    chainPopover.style.top = `${Math.max(Math.min(py + 16, height - chainPopover.offsetHeight - 8), 8)}px`;
+    if (changed) recordChainSample();
+}
+
+function recordChainSample() {
+    if (inspector.chain === null) return;
+    const p = sim.polymers[inspector.chain];
+    if (!p) {
+        selectChain(null); // Removed with the chain count
+        return;
+    }
+    const m = measureChain(p);
+    inspector.history.push({ ree: m.ree, rg: m.rg });
+    if (inspector.history.length > INSPECTOR_CONFIG.historyLength) inspector.history.shift();
+
+    chainPopoverTitle.textContent = t('inspector.title', {
+        index: inspector.chain + 1,
+        architecture: t(`architecture.${sim.config.architecture}`)
+    });
+    chainNodesValue.textContent = t('inspector.nodes', { count: p.count, length: p.contour * sim.config.segmentLength });
+    chainReeValue.textContent = `${m.ree.toFixed(1)} px (Ree/L = ${m.extension.toFixed(2)})`;
+    chainRgValue.textContent = `${m.rg.toFixed(1)} px`;
+    chainAngleValue.textContent = `${m.angle.toFixed(0)}°`;
+    drawChainHistory();
+}
+
+// Ree and Rg of the selected chain over the last historyLength step frames
+function drawChainHistory() {
+    const c = chainHistoryCtx;
+    const w = chainHistoryCanvas.width;
+    const h = chainHistoryCanvas.height;
+    const history = inspector.history;
+    c.clearRect(0, 0, w, h);
+    if (history.length < 2) return;
+
+    const maxValue = Math.max(...history.map(s => Math.max(s.ree, s.rg)), 1);
+    const series = [
+        { key: 'ree', color: '#58a6ff', label: 'Ree' },
+        { key: 'rg', color: '#ffa657', label: 'Rg' }
+    ];
+    const plotTop = 12;
+    series.forEach(({ key, color, label }, k) => {
+        c.beginPath();
+        c.strokeStyle = color;
+        c.lineWidth = 1.5;
+        history.forEach((sample, i) => {
+            const px = i / (INSPECTOR_CONFIG.historyLength - 1) * w;
+            const py = h - sample[key] / maxValue * (h - plotTop);
+            if (i === 0) c.moveTo(px, py);
+            else c.lineTo(px, py);
+        });
+        c.stroke();
+
+        c.fillStyle = color;
+        c.font = '10px Inter, sans-serif';
+        c.fillText(label, 4 + k * 30, 10);
+    });
+    c.fillStyle = '#8b949e';
+    c.textAlign = 'right';
+    c.fillText(`${maxValue.toFixed(0)} px`, w - 2, 10);
+    c.textAlign = 'left';
+}
+
+// Every chain, the selected one last and on top
+function drawChains(ctx) {
+    const selected = inspector.chain;
+    const style = selected === null ? CHAIN_STYLES.normal : CHAIN_STYLES.dimmed;
+    drawChainGroup(ctx, sim.polymers.map((p, k) => k).filter(k => k !== selected), style);
+    if (selected === null || !sim.polymers[selected]) return;
+    drawChainGroup(ctx, [selected], CHAIN_STYLES.selected);
+
+    // The held node and the pointer it is pulled towards
+    const drag = inspector.drag;
+    if (!drag) return;
+    const p = sim.polymers[drag.chain];
+    const i = p.start + drag.node;
+    const image = { x: 0, y: 0 };
+    sim.minimumImage(sim.nodes.x[i] - drag.x, sim.nodes.y[i] - drag.y, image);
+    ctx.beginPath();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.moveTo(drag.x, drag.y);
+    ctx.lineTo(drag.x + image.x, drag.y + image.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.fillStyle = '#ffffff';
+    ctx.arc(drag.x + image.x, drag.y + image.y, 4, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+// Sends the held node's target once per frame of steps
+function sendDrag() {
+    const drag = inspector.drag;
+    if (!drag) return;
+    const sent = inspector.dragSent;
+    if (sent && sent.x === drag.x && sent.y === drag.y) return;
+    inspector.dragSent = { ...drag };
+    sim.setDrag({ ...drag });
+}
+
+function releaseNode() {
+    if (!inspector.drag) return;
+    inspector.drag = null;
+    inspector.dragSent = null;
+    canvas.style.cursor = '';
+    if (!sim.replaying) sim.setDrag(null);
+}
+
+canvas.addEventListener('pointerdown', (e) => {
+    if (comparing()) return; // The panes show other simulations
+    const hit = pickNode(e.offsetX, e.offsetY);
+    if (!hit) {
+        selectChain(null);
+        return;
+    }
+    selectChain(hit.chain, e.offsetX, e.offsetY);
+    if (sim.replaying) return;
+
+    inspector.drag = { chain: hit.chain, node: hit.node, x: e.offsetX, y: e.offsetY };
+    canvas.setPointerCapture(e.pointerId);
+    canvas.style.cursor = 'grabbing';
+});
+
+canvas.addEventListener('pointermove', (e) => {
+    if (inspector.drag) {
+        inspector.drag.x = e.offsetX;
+        inspector.drag.y = e.offsetY;
+        return;
+    }
+    canvas.style.cursor = !comparing() && pickNode(e.offsetX, e.offsetY) ? 'grab' : '';
+});
+
+canvas.addEventListener('pointerup', releaseNode);
+canvas.addEventListener('pointercancel', releaseNode);
+
+chainPopoverClose.addEventListener('click', () => selectChain(null));
+
+// --- Chain Colouring ---
+// Besides their architecture colours, chains can be coloured by a measured
+// quantity: the orientation or the constraint tension of each bond, the
+// extension of the whole chain, or the chain index. Values are quantized to
+// COLOR_LEVELS colours, one path per colour. The director overlay bins the
+// bonds into cells (Simulation.measureOrientationField): a heatmap of the
+// order parameter S under the chains and the local director on top.
+const COLOR_LEVELS = 32;
+
+const DIRECTOR_CONFIG = {
+    cellSize: 50,
+    minBonds: 4,       // Sparser cells are left out
+    heatmapAlpha: 0.35
+};
+
+// Linear interpolation between evenly spaced RGB stops
+function colorStops(stops) {
+    const rgb = stops.map(hex => [1, 3, 5].map(k => parseInt(hex.slice(k, k + 2), 16)));
+    return Array.from({ length: COLOR_LEVELS }, (_, level) => {
+        const position = (level + 0.5) / COLOR_LEVELS * (rgb.length - 1);
+        const k = Math.min(Math.floor(position), rgb.length - 2);
+        const f = position - k;
+        const [r, g, b] = rgb[k].map((c, n) => Math.round(c + (rgb[k + 1][n] - c) * f));
+        return `rgb(${r}, ${g}, ${b})`;
+    });
+}
+
+// COLOR_LEVELS CSS colours each
+const COLORMAPS = {
+    sequential: colorStops(['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725']), // viridis
+    diverging: colorStops(['#3b6fd8', '#8fb3f0', '#e6edf3', '#f4a582', '#d6402f']),
+    cyclic: Array.from({ length: COLOR_LEVELS }, (_, level) => `hsl(${(level + 0.5) / COLOR_LEVELS * 360}, 75%, 60%)`)
+};
+
+// Signed log scale for tensions spanning several decades: linear within
+// ±linear, reaching 0 / 1 at ±max
+function symlog(value, linear, max) {
+    const scaled = Math.log10(1 + Math.abs(value) / linear) / Math.log10(1 + max / linear);
+    return 0.5 + 0.5 * Math.sign(value) * Math.min(scaled, 1);
+}
+
+// Modes colour by bondValue(polymer, bond index, dx, dy) or by
+// chainValue(polymer, chain index); normalize maps a value to [0, 1]. Names
+// and legend titles are the colorMode.<id> strings.
+const COLOR_MODES = {
+    architecture: {},
+    orientation: {
+        colormap: 'cyclic',
+        bondValue: (p, b, dx, dy) => 0.5 * Math.atan2(2 * dx * dy, dx * dx - dy * dy) * 180 / Math.PI,
+        normalize: (v) => (v + 90) / 180,
+        ticks: [-90, -45, 0, 45, 90],
+        format: (v) => `${v}°`
+    },
+    tension: {
+        colormap: 'diverging',
+        bondValue: (p, b) => (p.tension ? p.tension[b] : 0) / sim.config.segmentLength, // null until frames carry tensions
+        normalize: (v) => symlog(v, 0.01, 10),
+        ticks: [-10, -1, 0, 1, 10],
+        format: (v) => `${v}`
+    },
+    extension: {
+        colormap: 'sequential',
+        chainValue: (p) => {
+            const { x, y } = sim.nodes;
+            const first = p.start + p.ends[0];
+            const last = p.start + p.ends[1];
+            return Math.hypot(x[last] - x[first], y[last] - y[first]) / (p.contour * sim.config.segmentLength);
+        },
+        normalize: (v) => v,
+        ticks: [0, 0.5, 1],
+        format: (v) => v.toFixed(1)
+    },
+    chainId: {
+        colormap: 'cyclic',
+        chainValue: (p, k) => k,
+        // Consecutive chains 13 of 32 hues apart
+        normalize: (k) => ((k * 13) % COLOR_LEVELS + 0.5) / COLOR_LEVELS,
+        swatches: 8
+    }
+};
+
+// Colour bar of the order heatmap
+const ORDER_LEGEND = { normalize: (v) => v, ticks: [0, 0.5, 1], format: (v) => v.toFixed(1) };
+
+const colorModeSelect = document.getElementById('colorModeSelect');
+const directorToggle = document.getElementById('directorToggle');
+const colorState = { mode: 'architecture', director: false };
+
+for (const id of Object.keys(COLOR_MODES)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.dataset.i18n = `colorMode.${id}`;
+    colorModeSelect.appendChild(option);
+}
+colorModeSelect.value = colorState.mode;
+colorModeSelect.addEventListener('change', () => {
+    colorState.mode = colorModeSelect.value;
+    sim.streamTension(colorState.mode === 'tension');
+});
+directorToggle.addEventListener('change', () => {
+    colorState.director = directorToggle.checked;
+});
+
+function colorLevel(mode, value) {
+    const normalized = mode.normalize(value);
+    return Math.min(Math.max(Math.floor(normalized * COLOR_LEVELS), 0), COLOR_LEVELS - 1);
+}
+
+// The bonds of chains `indices` as straight segments, sorted by colour level
+function drawMappedChains(ctx, mode, indices, style) {
+    const { x, y } = sim.nodes;
+    const levels = Array.from({ length: COLOR_LEVELS }, () => []);
+    for (const k of indices) {
+        const p = sim.polymers[k];
+        if (p.count < 2) continue;
+        const images = chainImages(p);
+        if (images.length === 0) continue;
+        const chainLevel = mode.chainValue ? colorLevel(mode, mode.chainValue(p, k)) : 0;
+        const { bonds, start } = p;
+        for (let b = 0; b < bonds.length; b += 2) {
+            const i = start + bonds[b];
+            const j = start + bonds[b + 1];
+            const level = mode.bondValue ? colorLevel(mode, mode.bondValue(p, b >> 1, x[j] - x[i], y[j] - y[i])) : chainLevel;
+            levels[level].push(i, j, images);
+        }
+    }
+
+    const colors = COLORMAPS[mode.colormap];
+    ctx.lineWidth = style.lineWidth;
+    ctx.globalAlpha = style.alpha;
+    ctx.lineCap = 'round';
+    levels.forEach((segments, level) => {
+        if (segments.length === 0) return;
+        ctx.beginPath();
+        for (let n = 0; n < segments.length; n += 3) {
+            const i = segments[n];
+            const j = segments[n + 1];
+            const images = segments[n + 2];
+            for (let m = 0; m < images.length; m += 2) {
+                ctx.moveTo(x[i] + images[m], y[i] + images[m + 1]);
+                ctx.lineTo(x[j] + images[m], y[j] + images[m + 1]);
+            }
+        }
+        ctx.strokeStyle = colors[level];
+        ctx.stroke();
+    });
+    ctx.lineCap = 'butt';
+    ctx.globalAlpha = 1;
+}
+
+// Chains `indices` in the selected colouring
+function drawChainGroup(ctx, indices, style) {
+    const mode = COLOR_MODES[colorState.mode];
+    if (mode.colormap) drawMappedChains(ctx, mode, indices, style);
+    else for (const k of indices) drawPolymer(ctx, sim.polymers[k], style);
+}
+
+function drawOrderHeatmap(ctx, field) {
+    const { columns, rows, cellSize, order, count } = field;
+    const colors = COLORMAPS.sequential;
+    ctx.globalAlpha = DIRECTOR_CONFIG.heatmapAlpha;
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const k = row * columns + column;
+            if (count[k] < DIRECTOR_CONFIG.minBonds) continue;
+            ctx.fillStyle = colors[Math.min(Math.floor(order[k] * COLOR_LEVELS), COLOR_LEVELS - 1)];
+            ctx.fillRect(column * cellSize, row * cellSize, cellSize, cellSize);
+        }
+    }
+    ctx.globalAlpha = 1;
+}
+
+// Director sticks, their length proportional to S
+function drawDirectors(ctx, field) {
+    const { columns, rows, cellSize, order, angle, count } = field;
+    ctx.beginPath();
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const k = row * columns + column;
+            if (count[k] < DIRECTOR_CONFIG.minBonds) continue;
+            const half = 0.45 * cellSize * order[k];
+            const ux = Math.cos(angle[k] * Math.PI / 180) * half;
+            const uy = Math.sin(angle[k] * Math.PI / 180) * half;
+            const cx = (column + 0.5) * cellSize;
+            const cy = (row + 0.5) * cellSize;
+            ctx.moveTo(cx - ux, cy - uy);
+            ctx.lineTo(cx + ux, cy + uy);
+        }
+    }
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+}
+
+// A colour bar (or chain swatches) with its title, bottom edge at `bottom`;
+// returns the top edge
+function drawLegend(ctx, title, colors, mode, right, bottom) {
+    const barWidth = 160;
+    const left = right - barWidth;
+    ctx.save();
+    ctx.font = '11px sans-serif';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = 'rgba(13, 17, 23, 0.7)';
+    ctx.fillRect(left - 8, bottom - 52, barWidth + 16, 52);
+
+    ctx.fillStyle = '#e6edf3';
+    ctx.textAlign = 'left';
+    ctx.fillText(title, left, bottom - 46);
+
+    const barTop = bottom - 30;
+    if (mode.swatches) {
+        const size = barWidth / mode.swatches;
+        ctx.textAlign = 'center';
+        for (let k = 0; k < mode.swatches; k++) {
+            ctx.fillStyle = colors[colorLevel(mode, k)];
+            ctx.fillRect(left + k * size + 1, barTop, size - 2, 10);
+            ctx.fillStyle = '#8b949e';
+            ctx.fillText(`${k + 1}`, left + (k + 0.5) * size, barTop + 13);
+        }
+    } else {
+        const step = barWidth / COLOR_LEVELS;
+        colors.forEach((color, level) => {
+            ctx.fillStyle = color;
+            ctx.fillRect(left + level * step, barTop, step + 0.5, 10);
+        });
+        ctx.fillStyle = '#8b949e';
+        ctx.textAlign = 'center';
+        for (const tick of mode.ticks) {
+            ctx.fillText(mode.format(tick), left + mode.normalize(tick) * barWidth, barTop + 13);
+        }
+    }
+    ctx.restore();
+    return bottom - 58;
+}
+
+// Legends of the chain colouring and of the order heatmap, stacked up from
+// the bottom right corner
+function drawLegends(ctx) {
+    const right = width - 16;
+    let bottom = height - 12;
+    if (colorState.director) {
+        bottom = drawLegend(ctx, t('colorMode.order.legend'), COLORMAPS.sequential, ORDER_LEGEND, right, bottom);
+    }
+    const mode = COLOR_MODES[colorState.mode];
+    if (mode.colormap) drawLegend(ctx, t(`colorMode.${colorState.mode}.legend`), COLORMAPS[mode.colormap], mode, right, bottom);
+}
+
+// --- Comparison Mode ---
+// Two or three independent simulations side by side, each in a pane of the
+// canvas, at the shear rate of the slider (or auto play) and with the seed
+// and remaining settings of the main one. Each pane has a mini flow curve of
+// its measured tau_xy; the chart overlays them on log-log axes, where the
+// slope is the flow index n (1 for a Newtonian fluid). The main simulation
+// pauses meanwhile.
+
+// Setups compared: their chain count, length and stiffness override the
+// current settings. Nothing in the model shear-thickens, so the third setup
+// is only a contrast in chain shape: dense, short and rigid.
+const COMPARE_SETUPS = {
+    newtonian: { color: '#79c0ff', config: { polymerCount: 150, segmentCount: 10, bendingStiffness: 0 } },
+    pseudoplastic: { color: '#ffd166', config: { polymerCount: 100, segmentCount: 150, bendingStiffness: 0 } },
+    rigidRods: { color: '#ff7b72', config: { polymerCount: 500, segmentCount: 10, bendingStiffness: 1 } }
+};
+
+const COMPARE_SETS = {
+    pair: ['newtonian', 'pseudoplastic'],
+    trio: ['newtonian', 'pseudoplastic', 'rigidRods']
+};
+
+const COMPARE_CONFIG = {
+    gap: 4,                            // px between panes
+    miniChart: { width: 140, height: 90 }
+};
+
+const compareToggle = document.getElementById('compareToggle');
+const compareSetSelect = document.getElementById('compareSetSelect');
+const compareState = { instances: [] }; // { id, x, client } per pane while comparing
+
+function comparing() {
+    return compareState.instances.length > 0;
+}
+
+// (Re)creates the instances of the selected set for the current canvas size
+function startComparison() {
+    for (const instance of compareState.instances) instance.client.close();
+    stopReplay();
+    stopProtocol();
+
+    const ids = COMPARE_SETS[compareSetSelect.value];
+    const paneWidth = Math.floor((width + COMPARE_CONFIG.gap) / ids.length);
+    compareState.instances = ids.map((id, i) => ({
+        id,
+        x: i * paneWidth,
+        client: new SimClient({
+            width: paneWidth - COMPARE_CONFIG.gap,
+            height,
+            config: { ...sim.config, ...COMPARE_SETUPS[id].config },
+            seed: sim.seed,
+            shearRate: sim.shearRate
+        })
+    }));
+    compareToggle.checked = true;
+}
+
+function stopComparison() {
+    for (const instance of compareState.instances) instance.client.close();
+    compareState.instances = [];
+    compareToggle.checked = false;
+}
+
+// Steps every instance at the main simulation's shear rate
+function stepComparison(steps) {
+    for (const { client } of compareState.instances) {
+        client.setShearRate(sim.shearRate);
+        client.step(STEP_CONFIG.dt, steps);
+    }
+}
+
+function drawComparison(ctx) {
+    ctx.fillStyle = '#0d1117';
     ctx.fillRect(0, 0, width, height);
 
-    // Update & Draw
-    for (let p of state.polymers) {
-        p.update();
-        p.draw(ctx);
+    for (const { id, x, client } of compareState.instances) {
+        const setup = COMPARE_SETUPS[id];
+        ctx.save();
+        ctx.translate(x, 0);
+        ctx.beginPath();
+        ctx.rect(0, 0, client.width, client.height);
+        ctx.clip();
+        ctx.fillStyle = '#161b22';
+        ctx.fillRect(0, 0, client.width, client.height);
+
+        for (const polymer of client.polymers) drawPolymer(ctx, polymer, CHAIN_STYLES.normal, client);
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = setup.color;
+        ctx.font = '13px Noto Sans JP';
+        ctx.fillText(t(`compareSetup.${id}`), 10, 20);
+        ctx.fillStyle = '#8b949e';
+        ctx.font = '12px Inter';
+        ctx.fillText(`${client.config.polymerCount} × ${client.config.segmentCount}, τ_xy = ${client.stress.xy.toPrecision(3)}`, 10, 38);
+
+        const { width: w, height: h } = COMPARE_CONFIG.miniChart;
+        drawMiniFlowCurve(ctx, client, setup.color, client.width - w - 10, client.height - h - 10, w, h);
+        ctx.restore();
+    }
+}
+
+// Measured tau_xy against the shear rate (linear axes, 0 to the slider
+// maximum) with the current rate marked
+function drawMiniFlowCurve(ctx, client, color, left, top, w, h) {
+    const points = client.getMeasuredFlowCurve();
+    const maxRate = CHART_CONFIG.maxShear;
+    let maxStress = 0;
+    for (const p of points) maxStress = Math.max(maxStress, Math.abs(p.stress));
+    maxStress = maxStress > 0 ? maxStress * 1.2 : 1;
+
+    ctx.fillStyle = 'rgba(13, 17, 23, 0.8)';
+    ctx.fillRect(left, top, w, h);
+    strokeLine(ctx, left, top + h, left + w, top + h, '#30363d');
+    strokeLine(ctx, left, top, left, top + h, '#30363d');
+
+    const toX = (rate) => left + Math.min(Math.abs(rate) / maxRate, 1) * w;
+    const rateX = toX(client.shearRate);
+    strokeLine(ctx, rateX, top, rateX, top + h, 'rgba(255, 0, 85, 0.5)');
+
+    ctx.fillStyle = color;
+    for (const p of points) {
+        ctx.beginPath();
+        ctx.arc(toX(p.rate), top + h - Math.max(p.stress, 0) / maxStress * h, 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    ctx.fillStyle = '#8b949e';
+    ctx.font = '10px Inter';
+    ctx.textAlign = 'left';
+    ctx.fillText(`τ_xy ≤ ${maxStress.toPrecision(2)}`, left + 4, top + 12);
+    ctx.textAlign = 'right';
+    ctx.fillText(`γ̇ ≤ ${maxRate}`, left + w - 4, top + h - 4);
+}
+
+// The measured curves of all instances on log-log axes, with a slope-1 guide
+function drawComparisonChart() {
+    const layout = chartLayout();
+    const { padLeft, padTop, padRight, graphW, graphH, bottom } = layout;
+
+    const curves = compareState.instances.map(({ id, client }) => ({
+        id,
+        color: COMPARE_SETUPS[id].color,
+        points: client.getMeasuredFlowCurve().filter(p => p.rate > 0 && p.stress > 0)
+    }));
+    const all = curves.flatMap(curve => curve.points);
+
+    drawAxes(layout, t('chart.shearRateLog'), t('chart.simulatedStressLog'));
+    chartCtx.font = '12px Noto Sans JP';
+    chartCtx.textAlign = 'left';
+    curves.forEach((curve, i) => {
+        chartCtx.fillStyle = curve.color;
+        chartCtx.fillText(`● ${t(`compareSetup.${curve.id}`)}`, padLeft + 20 + i * 230, 18);
+    });
+    chartCtx.fillStyle = '#8b949e';
+    chartCtx.fillText(t('chart.slopeOne'), padLeft + 20, 36);
+
+    if (all.length === 0) {
+        chartCtx.fillText(t('chart.compareHint'), padLeft + 20, padTop + graphH / 2);
+        return;
     }
 
-    // Visualize Turbulent Field (Vector Grid)
-    if (state.shearRate > 5) {
-        drawTurbulenceField();
+    const logRates = all.map(p => Math.log10(p.rate));
+    const logStresses = all.map(p => Math.log10(p.stress));
+    const logMinX = Math.floor(Math.min(...logRates));
+    const logMaxX = Math.max(Math.ceil(Math.max(...logRates)), logMinX + 1);
+    const logMinY = Math.floor(Math.min(...logStresses));
+    const logMaxY = Math.max(Math.ceil(Math.max(...logStresses)), logMinY + 1);
+    const toX = (logRate) => padLeft + (logRate - logMinX) / (logMaxX - logMinX) * graphW;
+    const toY = (logStress) => bottom - (logStress - logMinY) / (logMaxY - logMinY) * graphH;
+
+    // Decade labels
+    chartCtx.fillStyle = '#8b949e';
+    chartCtx.font = '11px Inter';
+    chartCtx.textAlign = 'center';
+    for (let k = logMinX; k <= logMaxX; k++) chartCtx.fillText(`1e${k}`, toX(k), bottom + 14);
+    chartCtx.textAlign = 'right';
+    for (let k = logMinY; k <= logMaxY; k++) chartCtx.fillText(`1e${k}`, padLeft - 6, toY(k) + 4);
+
+    // Slope-1 guide through the middle of the plot
+    const midX = (logMinX + logMaxX) / 2;
+    const midY = (logMinY + logMaxY) / 2;
+    const half = Math.min(logMaxX - logMinX, logMaxY - logMinY) / 2;
+    chartCtx.beginPath();
+    chartCtx.strokeStyle = 'rgba(139, 148, 158, 0.5)';
+    chartCtx.setLineDash([4, 4]);
+    chartCtx.moveTo(toX(midX - half), toY(midY - half));
+    chartCtx.lineTo(toX(midX + half), toY(midY + half));
+    chartCtx.stroke();
+    chartCtx.setLineDash([]);
+
+    for (const curve of curves) {
+        chartCtx.beginPath();
+        chartCtx.strokeStyle = curve.color;
+        chartCtx.fillStyle = curve.color;
+        chartCtx.lineWidth = 1.5;
+        curve.points.forEach((p, i) => {
+            const px = toX(Math.log10(p.rate));
+            const py = toY(Math.log10(p.stress));
+            if (i === 0) chartCtx.moveTo(px, py);
+            else chartCtx.lineTo(px, py);
+        });
+        chartCtx.stroke();
+        for (const p of curve.points) {
+            chartCtx.beginPath();
+            chartCtx.arc(toX(Math.log10(p.rate)), toY(Math.log10(p.stress)), 3, 0, Math.PI * 2);
+            chartCtx.fill();
+        }
     }
+}
+
+compareToggle.addEventListener('change', () => {
+    if (compareToggle.checked) startComparison();
+    else stopComparison();
+});
+
+compareSetSelect.addEventListener('change', () => {
+    if (comparing()) startComparison();
+});
+
+// --- Performance Counter ---
+// Frames drawn and steps integrated per second, updated twice a second
+
+const perfValue = document.getElementById('perfValue');
+const perfCounter = { frames: 0, steps: 0, since: performance.now() };
+
+function updatePerfCounter() {
+    perfCounter.frames++;
+    const now = performance.now();
+    const elapsed = now - perfCounter.since;
+    if (elapsed < 500) return;
+
+    const fps = perfCounter.frames * 1000 / elapsed;
+    const sps = perfCounter.steps * 1000 / elapsed;
+    const mode = sim.worker ? 'worker' : 'main thread';
+    perfValue.textContent = `${fps.toFixed(0)} FPS · ${sps.toFixed(0)} steps/s (${mode})`;
+    perfCounter.frames = 0;
+    perfCounter.steps = 0;
+    perfCounter.since = now;
+}
+
+function loop(now = performance.now()) {
+    advance(now);
 
-    // Draw Flow Curve Chart
+    if (comparing()) drawComparison(ctx);
+    else drawScene(ctx);
+
+    // Draw Flow Curve Chart and conformation time series
     drawChart();
+    drawMetrics();
 
     // If recording, compose the frames
     if (isRecording && recordingCtx) {
@@ -601,84 +2431,195 @@ function loop() {
         recordingCtx.drawImage(canvas, 0, 0);
 
         // Draw Chart below
-        recordingCtx.drawImage(flowCurveCanvas, 0, canvas.height);
+        recordingCtx.drawImage(chartCanvas, 0, canvas.height);
+        recordingCtx.drawImage(metricsCanvas, chartCanvas.width, canvas.height);
+
+        if (captionsToggle.checked) drawCaptions(recordingCtx, captionLines(), 13);
     }
 
+    updatePerfCounter();
     requestAnimationFrame(loop);
 }
 
-function drawTurbulenceField() {
+// The simulation box: chains (a selected chain on top of the dimmed others),
+// then the flow field (vector grid) and the boundaries; the director overlay
+// and the legends when enabled
+function drawScene(ctx) {
+    // Clear without trails (opaque)
+    ctx.fillStyle = '#161b22';
+    ctx.fillRect(0, 0, width, height);
+    const field = colorState.director ? sim.measureOrientationField(DIRECTOR_CONFIG.cellSize) : null;
+    if (field) drawOrderHeatmap(ctx, field);
+    drawChains(ctx);
+    drawFlowField(ctx);
+    if (field) drawDirectors(ctx, field);
+    drawLegends(ctx);
+    if (constraintDiagnosticsToggle.checked) drawConstraintDiagnostics(ctx);
+}
+
+// Vector overlay matching the flow geometry, drawn once the rate exceeds 5;
+// walls are always shown
+function drawFlowField(ctx) {
+    const geometry = sim.flowGeometry();
+    if (geometry.walls) drawWalls(ctx);
+    if (Math.abs(sim.shearRate) <= 5) return;
+
+    if (sim.config.flowGeometry === 'turbulent') drawTurbulenceField(ctx);
+    else drawLaminarField(ctx);
+    if (sim.config.flowGeometry === 'extension') drawStagnationPoint(ctx);
+}
+
+function drawTurbulenceField(ctx) {
     ctx.beginPath();
     ctx.strokeStyle = `rgba(255, 255, 255, 0.05)`;
     ctx.lineWidth = 1;
 
-    // Grid sampling
+    // Grid sampling of the simulated turbulence, drawn at 1/5 of its
+    // strength on top of the uniform drift
     const step = 40;
-    const intensity = state.shearRate * 0.03;
-    const driftSpeed = 0.5;
-    const scale = 0.005;
+    const driftSpeed = sim.config.driftSpeed;
+    const turb = { vx: 0, vy: 0 };
 
     for (let y = 0; y < height; y += step) {
         for (let x = 0; x < width; x += step) {
-            const vx = driftSpeed + intensity * (
-                Math.sin(y * scale + time) +
-                Math.cos(x * scale * 0.5 + time * 0.7)
-            );
-            const vy = intensity * (
-                Math.sin(x * scale - time * 0.5) +
-                Math.cos(y * scale * 0.5 + time)
-            );
-
-            // Draw small vector
+            sim.turbulenceAt(x, y, turb);
+            const vx = driftSpeed + turb.vx * 0.2;
+            const vy = turb.vy * 0.2;
+
+            // Draw small vector (two time units of travel)
             ctx.moveTo(x, y);
-            ctx.lineTo(x + vx * 10, y + vy * 10);
+            ctx.lineTo(x + vx * 2, y + vy * 2);
         }
     }
     ctx.stroke();
+
+    drawBoxOffsetMarkers(ctx);
 }
 
-// --- UI Binding ---
+// Arrows of the laminar flows (Couette, Poiseuille, extension), scaled so
+// the fastest arrow spans most of a grid cell
+function drawLaminarField(ctx) {
+    const step = 40;
+    const flow = { vx: 0, vy: 0 };
+    const vectors = [];
+    let maxSpeed = 0;
+    for (let y = step / 2; y < height; y += step) {
+        for (let x = step / 2; x < width; x += step) {
+            sim.flowVelocity(x, y, flow);
+            vectors.push({ x, y, vx: flow.vx, vy: flow.vy });
+            maxSpeed = Math.max(maxSpeed, Math.hypot(flow.vx, flow.vy));
+        }
+    }
+    if (maxSpeed === 0) return;
 
-const shearSlider = document.getElementById('shearRateSlider');
-const shearValDisplay = document.getElementById('shearRateValue');
-const stateIndicator = document.getElementById('stateIndicator');
-const viscosityValue = document.getElementById('viscosityValue');
+    const scale = step * 0.8 / maxSpeed;
+    ctx.beginPath();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = 1;
+    for (const v of vectors) {
+        const len = Math.hypot(v.vx, v.vy) * scale;
+        if (len < 2) continue;
+        const ux = v.vx / Math.hypot(v.vx, v.vy);
+        const uy = v.vy / Math.hypot(v.vx, v.vy);
+        const tipX = v.x + ux * len / 2;
+        const tipY = v.y + uy * len / 2;
+        ctx.moveTo(v.x - ux * len / 2, v.y - uy * len / 2);
+        ctx.lineTo(tipX, tipY);
+        // Arrow head
+        const head = Math.min(5, len / 3);
+        ctx.moveTo(tipX - ux * head - uy * head * 0.6, tipY - uy * head + ux * head * 0.6);
+        ctx.lineTo(tipX, tipY);
+        ctx.lineTo(tipX - ux * head + uy * head * 0.6, tipY - uy * head - ux * head * 0.6);
+    }
+    ctx.stroke();
+}
 
-const countSlider = document.getElementById('polymerCountSlider');
+// No-slip walls at the top and bottom of the channel; chevrons show the
+// direction of moving (Couette) walls
+function drawWalls(ctx) {
+    ctx.fillStyle = 'rgba(139, 148, 158, 0.5)';
+    ctx.fillRect(0, 0, width, 3);
+    ctx.fillRect(0, sim.height - 3, width, 3);
+
+    const flow = { vx: 0, vy: 0 };
+    ctx.strokeStyle = 'rgba(255, 209, 102, 0.6)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (const y of [0, sim.height]) {
+        sim.flowVelocity(width / 2, y, flow);
+        if (Math.abs(flow.vx) < 1e-6) continue;
+        const dir = Math.sign(flow.vx);
+        const yc = y === 0 ? 9 : sim.height - 9;
+        for (let x = 30; x < width; x += 80) {
+            ctx.moveTo(x - dir * 4, yc - 4);
+            ctx.lineTo(x + dir * 4, yc);
+            ctx.lineTo(x - dir * 4, yc + 4);
+        }
+    }
+    ctx.stroke();
+}
+
+// Stagnation point and the inflow / outflow axes of the extensional flow
+function drawStagnationPoint(ctx) {
+    const cx = sim.width / 2;
+    const cy = sim.height / 2;
+    ctx.strokeStyle = 'rgba(255, 209, 102, 0.4)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([6, 6]);
+    ctx.beginPath();
+    ctx.moveTo(0, cy);
+    ctx.lineTo(width, cy);
+    ctx.moveTo(cx, 0);
+    ctx.lineTo(cx, height);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = 'rgba(255, 209, 102, 0.8)';
+    ctx.beginPath();
+    ctx.arc(cx, cy, 4, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+// Ticks where the origin of the sliding (Lees–Edwards) images meets the
+// top and bottom edges, so the accumulated strain is visible
+function drawBoxOffsetMarkers(ctx) {
+    const x = sim.boxOffset;
+    ctx.fillStyle = 'rgba(255, 209, 102, 0.6)';
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x - 6, 10);
+    ctx.lineTo(x + 6, 10);
+    ctx.closePath();
+    ctx.moveTo(sim.width - x, height);
+    ctx.lineTo(sim.width - x - 6, height - 10);
+    ctx.lineTo(sim.width - x + 6, height - 10);
+    ctx.closePath();
+    ctx.fill();
+}
+
+// --- UI Binding ---
+
+const shearSlider = document.getElementById('shearRateSlider');
+const shearValDisplay = document.getElementById('shearRateValue');
+const stateIndicator = document.getElementById('stateIndicator');
+const viscosityValue = document.getElementById('viscosityValue');
+
+const countSlider = document.getElementById('polymerCountSlider');
 const countValDisplay = document.getElementById('polymerCountValue');
 const resetBtn = document.getElementById('resetBtn');
 
 shearSlider.addEventListener('input', (e) => {
-    state.shearRate = parseFloat(e.target.value);
-    shearValDisplay.textContent = state.shearRate;
-    updateStatus();
+    setAutoPlay(false); // Also ends a replay or protocol
+    sim.setShearRate(parseFloat(e.target.value));
+    shearValDisplay.textContent = sim.shearRate;
 });
 
 countSlider.addEventListener('input', (e) => {
     const val = parseInt(e.target.value);
     countValDisplay.textContent = val;
-    // Debounce or just wait for reset?
-    // Let's update config but not force reset immediately unless requested, 
-    // but usually user expects immediate feedback.
-    if (Math.abs(CONFIG.polymerCount - val) > 0) {
-        CONFIG.polymerCount = val;
-        // Adjust array size
-        if (val > state.polymers.length) {
-            // Add
-            const needed = val - state.polymers.length;
-            const colors = ['#00f2ff', '#00ff9d', '#ff0055', '#ffe600', '#bd00ff'];
-            for (let k = 0; k < needed; k++) {
-                state.polymers.push(new Polymer(
-                    Math.random() * width,
-                    Math.random() * height,
-                    colors[state.polymers.length % colors.length]
-                ));
-            }
-        } else {
-            // Remove
-            state.polymers.splice(val);
-        }
-    }
+    // Chains are added or removed immediately for direct feedback
+    stopReplay();
+    sim.setPolymerCount(val);
 });
 
 const lengthSlider = document.getElementById('polymerLengthSlider');
@@ -689,41 +2630,1565 @@ if (lengthSlider) {
         const val = parseInt(e.target.value);
         lengthValDisplay.textContent = val;
 
-        if (CONFIG.segmentCount !== val) {
-            CONFIG.segmentCount = val;
-            initPolymers(); // Re-init to apply new length
+        if (sim.config.segmentCount !== val) {
+            stopReplay();
+            sim.setSegmentCount(val); // Re-inits to apply new length
+            resetMetrics();
         }
     });
 }
 
+const excludedVolumeToggle = document.getElementById('excludedVolumeToggle');
+
+excludedVolumeToggle.addEventListener('change', () => {
+    stopReplay();
+    sim.setExcludedVolume(excludedVolumeToggle.checked);
+});
+
 resetBtn.addEventListener('click', () => {
     initPolymers();
 });
 
-function updateStatus() {
-    const r = state.shearRate;
-    let text = "静止・絡み合い";
-    let visc = "High";
+// --- Flow Geometry ---
+// Turbulent shear in a Lees–Edwards box, Couette or Poiseuille flow between
+// walls, or planar extension around a stagnation point (FLOW_GEOMETRIES in
+// simulation.js). Switching keeps the chains.
+
+const flowGeometrySelect = document.getElementById('flowGeometrySelect');
+const flowGeometryNote = document.getElementById('flowGeometryNote');
+
+for (const id of Object.keys(FLOW_GEOMETRIES)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.dataset.i18n = `geometry.${id}`;
+    flowGeometrySelect.appendChild(option);
+}
+
+function showFlowGeometry() {
+    flowGeometrySelect.value = sim.config.flowGeometry;
+    flowGeometryNote.textContent = t(`geometry.${sim.config.flowGeometry}.description`);
+}
+
+flowGeometrySelect.addEventListener('change', () => {
+    stopReplay();
+    sim.setFlowGeometry(flowGeometrySelect.value);
+    showFlowGeometry();
+});
+
+showFlowGeometry();
+
+// --- Chain Architecture ---
+// Linear, ring, star, comb or block copolymer chains with monodisperse,
+// Schulz–Zimm or log-normal lengths around the chain-length slider (the
+// number average); ARCHITECTURES and LENGTH_DISTRIBUTIONS in simulation.js.
+// Changes regenerate the chains. The bending stiffness applies at once.
+
+const architectureSelect = document.getElementById('architectureSelect');
+const lengthDistributionSelect = document.getElementById('lengthDistributionSelect');
+const topologyParamsContainer = document.getElementById('topologyParams');
+const dispersityValue = document.getElementById('dispersityValue');
+const stiffnessSlider = document.getElementById('stiffnessSlider');
+const stiffnessValue = document.getElementById('stiffnessValue');
+
+// Input limits of the topology parameters (labels are topology.<key>)
+const TOPOLOGY_PARAMS = {
+    armCount: { min: 1, max: 12, step: 1 },
+    branchCount: { min: 1, max: 20, step: 1 },
+    blockFraction: { min: 0.05, max: 0.95, step: 0.05 },
+    pdi: { min: 1.01, max: 5, step: 0.05 }
+};
+
+for (const id of Object.keys(ARCHITECTURES)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.dataset.i18n = `architecture.${id}`;
+    architectureSelect.appendChild(option);
+}
+
+for (const id of Object.keys(LENGTH_DISTRIBUTIONS)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.dataset.i18n = `distribution.${id}`;
+    lengthDistributionSelect.appendChild(option);
+}
 
-    if (r > 80) {
-        text = "完全配向・低抵抗 (Shear Thinning)";
-        visc = "Low";
-    } else if (r > 40) {
-        text = "配向進行中・粘度低下";
-        visc = "Medium";
-    } else if (r > 10) {
-        text = "徐々にほぐれ始める";
-        visc = "High-Medium";
+function changeTopology(changes) {
+    stopReplay();
+    stopProtocol();
+    sim.setChainTopology(changes);
+    resetMetrics();
+}
+
+// Topology values the inputs were last built for (syncControls runs every
+// step while replaying; rebuilding would steal the focus)
+let shownTopology = '';
+
+// Number inputs for the parameters the selected architecture and
+// distribution read
+function buildTopologyParams() {
+    shownTopology = TOPOLOGY_KEYS.map(key => sim.config[key]).join('|');
+    const keys = [...ARCHITECTURES[sim.config.architecture].params];
+    if (sim.config.lengthDistribution !== 'monodisperse') keys.push('pdi');
+    topologyParamsContainer.innerHTML = '';
+    topologyParamsContainer.hidden = keys.length === 0;
+
+    for (const key of keys) {
+        const p = TOPOLOGY_PARAMS[key];
+        const label = document.createElement('label');
+        label.textContent = t(`topology.${key}`);
+        label.htmlFor = `topologyParam_${key}`;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = `topologyParam_${key}`;
+        input.className = 'text-input';
+        input.min = p.min;
+        input.max = p.max;
+        input.step = p.step;
+        input.value = sim.config[key];
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (Number.isNaN(value)) {
+                input.value = sim.config[key];
+                return;
+            }
+            const clamped = Math.min(Math.max(value, p.min), p.max);
+            input.value = clamped;
+            changeTopology({ [key]: clamped });
+        });
+
+        topologyParamsContainer.appendChild(label);
+        topologyParamsContainer.appendChild(input);
     }
+}
+
+function showTopology() {
+    architectureSelect.value = sim.config.architecture;
+    lengthDistributionSelect.value = sim.config.lengthDistribution;
+    stiffnessSlider.value = sim.config.bendingStiffness;
+    stiffnessValue.textContent = sim.config.bendingStiffness.toFixed(2);
+    if (TOPOLOGY_KEYS.map(key => sim.config[key]).join('|') !== shownTopology) buildTopologyParams();
+}
+
+// Measured from the current chains (small counts stray from the set PDI)
+function showDispersity() {
+    const d = sim.measureDispersity();
+    dispersityValue.textContent = d
+        ? t('dispersity', { mn: d.mn.toFixed(1), pdi: d.pdi.toFixed(2) })
+        : '';
+}
+
+architectureSelect.addEventListener('change', () => {
+    changeTopology({ architecture: architectureSelect.value });
+    buildTopologyParams();
+});
+
+lengthDistributionSelect.addEventListener('change', () => {
+    changeTopology({ lengthDistribution: lengthDistributionSelect.value });
+    buildTopologyParams();
+});
+
+stiffnessSlider.addEventListener('input', () => {
+    stopReplay();
+    sim.setBendingStiffness(parseFloat(stiffnessSlider.value));
+    stiffnessValue.textContent = sim.config.bendingStiffness.toFixed(2);
+});
+
+showTopology();
+
+// --- Rheology Model ---
+// The model only shapes the analytic curve and the viscosity readout; the
+// chain dynamics are unaffected.
+
+const modelSelect = document.getElementById('modelSelect');
+const modelFormula = document.getElementById('modelFormula');
+const autoPowerLawRow = document.getElementById('autoPowerLawRow');
+const autoPowerLawToggle = document.getElementById('autoPowerLawToggle');
+const modelParamsContainer = document.getElementById('modelParams');
+const chartModeSelect = document.getElementById('chartModeSelect');
+
+for (const model of Rheology.MODELS) {
+    const option = document.createElement('option');
+    option.value = model.id;
+    option.dataset.i18n = `model.${model.id}`;
+    modelSelect.appendChild(option);
+}
+modelSelect.value = rheologyState.modelId;
+
+// One number input per parameter of the selected model
+function buildModelParams() {
+    const model = currentModel();
+    const params = rheologyState.params[model.id];
+    const auto = model.id === 'powerLaw' && rheologyState.autoPowerLaw;
+
+    modelFormula.textContent = model.formula;
+    autoPowerLawRow.hidden = model.id !== 'powerLaw';
+    modelParamsContainer.innerHTML = '';
+
+    for (const p of model.params) {
+        const label = document.createElement('label');
+        label.textContent = p.label;
+        label.htmlFor = `modelParam_${p.key}`;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = `modelParam_${p.key}`;
+        input.className = 'text-input';
+        input.min = p.min;
+        input.max = p.max;
+        input.step = p.step;
+        input.value = params[p.key];
+        input.disabled = auto;
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (Number.isNaN(value)) {
+                input.value = params[p.key];
+                return;
+            }
+            params[p.key] = Math.min(Math.max(value, p.min), p.max);
+            input.value = params[p.key];
+            clearFit();
+        });
+
+        modelParamsContainer.appendChild(label);
+        modelParamsContainer.appendChild(input);
+    }
+}
+
+modelSelect.addEventListener('change', () => {
+    rheologyState.modelId = modelSelect.value;
+    clearFit();
+    buildModelParams();
+});
+
+autoPowerLawToggle.addEventListener('change', () => {
+    rheologyState.autoPowerLaw = autoPowerLawToggle.checked;
+    // Start manual editing from the values the chains currently give
+    if (!rheologyState.autoPowerLaw) {
+        const { K, n } = chainPowerLawParams();
+        rheologyState.params.powerLaw = { K: +K.toPrecision(3), n: +n.toPrecision(3) };
+    }
+    clearFit();
+    buildModelParams();
+});
+
+chartModeSelect.addEventListener('change', () => {
+    rheologyState.chartMode = chartModeSelect.value;
+});
+
+buildModelParams();
+
+// --- Temperature ---
+// The slider sets the Langevin temperature kT in proportion to the absolute
+// temperature, so the chains fluctuate harder when hot (the noise follows
+// from kT and the friction `drag`); at T_ref of the selected shift law they
+// run at DEFAULT_CONFIG.temperature. The model parameters hold at the same
+// T_ref; the charts draw the model at the slider temperature by
+// time–temperature superposition (Rheology.shiftModel), optionally with the
+// curves at several other temperatures overlaid.
+
+const TEMPERATURE_CONFIG = {
+    maxShift: 1e12, // Cap on a_T (WLF diverges at T_ref − C₂)
+    maxOverlays: 6
+};
+
+const temperatureState = {
+    lawId: 'arrhenius',
+    params: {},       // Editable shift-law parameters, per law id
+    overlay: false,
+    overlayCelsius: [170, 190, 210, 230]
+};
+for (const law of Rheology.SHIFT_LAWS) {
+    temperatureState.params[law.id] = Rheology.defaultShiftParams(law.id);
+}
+
+const temperatureSlider = document.getElementById('temperatureSlider');
+const temperatureValue = document.getElementById('temperatureValue');
+const shiftLawSelect = document.getElementById('shiftLawSelect');
+const shiftLawFormula = document.getElementById('shiftLawFormula');
+const shiftLawParamsContainer = document.getElementById('shiftLawParams');
+const temperatureOverlayToggle = document.getElementById('temperatureOverlayToggle');
+const temperatureOverlayInput = document.getElementById('temperatureOverlayInput');
+
+const KELVIN = 273.15;
+
+function referenceCelsius() {
+    return temperatureState.params[temperatureState.lawId].Tref;
+}
+
+function kTFromCelsius(celsius) {
+    return DEFAULT_CONFIG.temperature * (celsius + KELVIN) / (referenceCelsius() + KELVIN);
+}
+
+function currentCelsius() {
+    return sim.config.temperature / DEFAULT_CONFIG.temperature * (referenceCelsius() + KELVIN) - KELVIN;
+}
+
+// Applies a change of the shift law or its parameters. The slider
+// temperature is kept, so when T_ref moves the chains' kT moves with it.
+function changeShiftLaw(change) {
+    const celsius = currentCelsius();
+    const reference = referenceCelsius();
+    change();
+    if (referenceCelsius() === reference) return;
+
+    stopReplay();
+    sim.setPhysics({ temperature: kTFromCelsius(celsius) });
+    showPhysics();
+    showTemperature();
+}
+
+function shiftFactorAt(celsius) {
+    const law = Rheology.getShiftLaw(temperatureState.lawId);
+    return Math.min(law.shiftFactor(celsius, temperatureState.params[law.id]), TEMPERATURE_CONFIG.maxShift);
+}
+
+// The selected model at `celsius` (the slider temperature by default)
+function modelAt(celsius = currentCelsius()) {
+    return Rheology.shiftModel(currentModel(), shiftFactorAt(celsius));
+}
+
+// Overlaid curves, coldest first, coloured from blue to red
+function overlayModels() {
+    if (!temperatureState.overlay) return [];
+    const temps = temperatureState.overlayCelsius;
+    return temps.map((celsius, i) => ({
+        celsius,
+        model: modelAt(celsius),
+        color: `hsl(${220 - 220 * i / Math.max(temps.length - 1, 1)}, 70%, 65%)`
+    }));
+}
+
+for (const law of Rheology.SHIFT_LAWS) {
+    const option = document.createElement('option');
+    option.value = law.id;
+    option.dataset.i18n = `shiftLaw.${law.id}`;
+    shiftLawSelect.appendChild(option);
+}
+shiftLawSelect.value = temperatureState.lawId;
+
+// One number input per parameter of the selected shift law
+function buildShiftLawParams() {
+    const law = Rheology.getShiftLaw(temperatureState.lawId);
+    const params = temperatureState.params[law.id];
+
+    shiftLawFormula.textContent = law.formula;
+    shiftLawParamsContainer.innerHTML = '';
+
+    for (const p of law.params) {
+        const label = document.createElement('label');
+        label.textContent = t(`shiftLaw.${law.id}.${p.key}`);
+        label.htmlFor = `shiftParam_${p.key}`;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = `shiftParam_${p.key}`;
+        input.className = 'text-input';
+        input.min = p.min;
+        input.max = p.max;
+        input.step = p.step;
+        input.value = params[p.key];
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (Number.isNaN(value)) {
+                input.value = params[p.key];
+                return;
+            }
+            changeShiftLaw(() => {
+                params[p.key] = Math.min(Math.max(value, p.min), p.max);
+            });
+            input.value = params[p.key];
+        });
+
+        shiftLawParamsContainer.appendChild(label);
+        shiftLawParamsContainer.appendChild(input);
+    }
+}
+
+function showTemperature() {
+    const celsius = currentCelsius();
+    temperatureSlider.value = celsius;
+    temperatureValue.textContent = celsius.toFixed(0);
+}
+
+temperatureSlider.addEventListener('input', () => {
+    stopReplay();
+    sim.setPhysics({ temperature: kTFromCelsius(parseFloat(temperatureSlider.value)) });
+    temperatureValue.textContent = temperatureSlider.value;
+    showPhysics();
+});
+
+shiftLawSelect.addEventListener('change', () => {
+    changeShiftLaw(() => {
+        temperatureState.lawId = shiftLawSelect.value;
+    });
+    buildShiftLawParams();
+});
+
+temperatureOverlayToggle.addEventListener('change', () => {
+    temperatureState.overlay = temperatureOverlayToggle.checked;
+});
+
+// Comma- or space-separated °C; entries that do not parse are dropped
+temperatureOverlayInput.addEventListener('change', () => {
+    const temps = temperatureOverlayInput.value.split(/[\s,、]+/)
+        .filter(Boolean)
+        .map(Number)
+        .filter(Number.isFinite);
+    temperatureState.overlayCelsius = [...new Set(temps)].sort((a, b) => a - b).slice(0, TEMPERATURE_CONFIG.maxOverlays);
+    temperatureOverlayInput.value = temperatureState.overlayCelsius.join(', ');
+});
+
+buildShiftLawParams();
+showTemperature();
+
+// --- Experimental Data & Fitting ---
+// Imported (shear rate, stress | viscosity) CSV data is drawn on the model
+// axes. Fitting replaces the selected model's parameters with the
+// least-squares estimates for the imported or simulated points.
+
+const dataKindSelect = document.getElementById('dataKindSelect');
+const dataImportBtn = document.getElementById('dataImportBtn');
+const dataClearBtn = document.getElementById('dataClearBtn');
+const dataFileInput = document.getElementById('dataFileInput');
+const fitSourceSelect = document.getElementById('fitSourceSelect');
+const fitBtn = document.getElementById('fitBtn');
+const fitStatus = document.getElementById('fitStatus');
+
+function clearFit() {
+    rheologyState.fit = null;
+    fitStatus.textContent = '';
+}
+
+dataImportBtn.addEventListener('click', () => {
+    dataFileInput.click();
+});
+
+dataFileInput.addEventListener('change', async () => {
+    const file = dataFileInput.files[0];
+    dataFileInput.value = '';
+    if (!file) return;
+
+    try {
+        const { kind, points } = Rheology.parseFlowCurveCsv(await file.text(), dataKindSelect.value);
+        rheologyState.imported = { name: file.name, kind, points };
+        if (rheologyState.fit && rheologyState.fit.source === 'imported') clearFit();
+        fitSourceSelect.value = 'imported';
+        fitStatus.textContent = t('fit.imported', {
+            name: file.name,
+            count: points.length,
+            columns: kind === 'viscosity' ? 'γ̇, η' : 'γ̇, τ'
+        });
+    } catch (err) {
+        fitStatus.textContent = t('error.load', { message: err.message });
+    }
+});
+
+dataClearBtn.addEventListener('click', () => {
+    if (rheologyState.fit && rheologyState.fit.source === 'imported') clearFit();
+    rheologyState.imported = null;
+});
+
+fitBtn.addEventListener('click', () => {
+    const source = fitSourceSelect.value;
+    const points = source === 'imported'
+        ? (rheologyState.imported ? rheologyState.imported.points : [])
+        : simulatedPoints();
+
+    try {
+        // Fit the parameters at T_ref: the points at the slider temperature
+        // lie on the reference curve at the rate aT·γ̇
+        const aT = shiftFactorAt(currentCelsius());
+        const reduced = points.map(p => ({ ...p, rate: p.rate * aT, viscosity: p.viscosity / aT }));
+        const fit = Rheology.fitModel(rheologyState.modelId, reduced);
+        for (const r of fit.residuals) r.rate /= aT;
+        fit.source = source;
+
+        rheologyState.params[fit.modelId] = { ...fit.params };
+        if (fit.modelId === 'powerLaw') {
+            rheologyState.autoPowerLaw = false;
+            autoPowerLawToggle.checked = false;
+        }
+        buildModelParams();
+
+        rheologyState.fit = fit;
+        fitStatus.textContent = `R² = ${fit.r2.toFixed(4)}, N = ${fit.residuals.length}`;
+    } catch (err) {
+        clearFit();
+        fitStatus.textContent = t('fit.failed', { message: err.message });
+    }
+});
+
+// --- Shear Protocols ---
+// Multi-segment shear-rate schedules (protocol.js) drive the simulation in
+// place of the slider. Ramp segments leave a stress trace on the flow chart;
+// oscillatory segments feed the Lissajous plot and the G′ / G″ estimate.
+
+const PROTOCOL_CONFIG = {
+    traceSmoothing: 0.05, // EMA weight of tau_xy along the ramp trace
+    moduliInterval: 10    // Steps between G′ / G″ updates
+};
+
+const protocolState = {
+    segments: ShearProtocol.PRESETS.hysteresis.segments.map(s => ({ ...s })),
+    runner: null,       // ShearProtocol.Protocol while running
+    startTime: 0,       // sim.time at the start
+    lastIndex: -1,      // Segment of the previous step
+    trace: [],          // { rate, stress, up, segment } along ramps and loops
+    smoothedStress: 0,
+    oscillation: null   // { segment, startTime, samples: [{t, strain, stress}], moduli }
+};
+
+const protocolPresetSelect = document.getElementById('protocolPresetSelect');
+const protocolSegmentsContainer = document.getElementById('protocolSegments');
+const protocolAddSelect = document.getElementById('protocolAddSelect');
+const protocolAddBtn = document.getElementById('protocolAddBtn');
+const protocolRunBtn = document.getElementById('protocolRunBtn');
+const protocolStatus = document.getElementById('protocolStatus');
+
+for (const id of Object.keys(ShearProtocol.PRESETS)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.dataset.i18n = `preset.${id}`;
+    protocolPresetSelect.appendChild(option);
+}
+for (const type of Object.keys(ShearProtocol.SEGMENT_TYPES)) {
+    const option = document.createElement('option');
+    option.value = type;
+    option.dataset.i18n = `segment.${type}`;
+    protocolAddSelect.appendChild(option);
+}
+
+// One box per segment: its parameters and a remove button
+function buildProtocolEditor() {
+    protocolSegmentsContainer.innerHTML = '';
+    protocolState.segments.forEach((segment, index) => {
+        const spec = ShearProtocol.SEGMENT_TYPES[segment.type];
+        const box = document.createElement('div');
+        box.className = 'protocol-segment';
+
+        const header = document.createElement('div');
+        header.className = 'protocol-segment-header';
+        const title = document.createElement('span');
+        title.textContent = `${index + 1}. ${t(`segment.${segment.type}`)}`;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn';
+        removeBtn.textContent = '✕';
+        removeBtn.title = t('protocol.remove');
+        removeBtn.disabled = !!protocolState.runner;
+        removeBtn.addEventListener('click', () => {
+            protocolState.segments.splice(index, 1);
+            buildProtocolEditor();
+        });
+        header.appendChild(title);
+        header.appendChild(removeBtn);
+        box.appendChild(header);
+
+        const grid = document.createElement('div');
+        grid.className = 'param-grid';
+        for (const p of spec.params) {
+            const label = document.createElement('label');
+            label.textContent = t(`segment.${segment.type}.${p.key}`);
+
+            let input;
+            if (p.options) {
+                input = document.createElement('select');
+                for (const value of p.options) {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = value;
+                    input.appendChild(option);
+                }
+            } else {
+                input = document.createElement('input');
+                input.type = 'number';
+                input.min = p.min;
+                input.max = p.max;
+                input.step = p.step;
+            }
+            input.className = 'text-input';
+            input.value = segment[p.key];
+            input.disabled = !!protocolState.runner;
+            input.addEventListener('change', () => {
+                if (p.options) {
+                    segment[p.key] = input.value;
+                    return;
+                }
+                const value = parseFloat(input.value);
+                if (!Number.isNaN(value)) segment[p.key] = Math.min(Math.max(value, p.min), p.max);
+                input.value = segment[p.key];
+            });
+
+            grid.appendChild(label);
+            grid.appendChild(input);
+        }
+        box.appendChild(grid);
+        protocolSegmentsContainer.appendChild(box);
+    });
+}
+
+protocolPresetSelect.addEventListener('change', () => {
+    const preset = ShearProtocol.PRESETS[protocolPresetSelect.value];
+    if (!preset || protocolState.runner) return;
+    protocolState.segments = preset.segments.map(s => ({ ...s }));
+    buildProtocolEditor();
+});
+
+protocolAddBtn.addEventListener('click', () => {
+    if (protocolState.runner) return;
+    protocolState.segments.push(ShearProtocol.defaultSegment(protocolAddSelect.value));
+    buildProtocolEditor();
+});
+
+protocolRunBtn.addEventListener('click', () => {
+    if (protocolState.runner) {
+        stopProtocol();
+        return;
+    }
+    try {
+        startProtocol();
+    } catch (err) {
+        protocolStatus.textContent = t('protocol.cannotStart', { message: err.message });
+    }
+});
+
+function startProtocol() {
+    const runner = new ShearProtocol.Protocol(protocolState.segments);
+    stopReplay();
+    stopComparison(); // The protocol runs on the main simulation
+    isAutoPlaying = false;
+    autoPlayBtn.textContent = t('autoPlay.start');
+
+    Object.assign(protocolState, {
+        runner,
+        startTime: sim.time,
+        lastIndex: -1,
+        trace: [],
+        smoothedStress: sim.stress.xy,
+        oscillation: null
+    });
+    protocolRunBtn.textContent = t('protocol.stop');
+    buildProtocolEditor();
+}
+
+function stopProtocol() {
+    if (!protocolState.runner) return;
+    protocolState.runner = null;
+    protocolRunBtn.textContent = t('protocol.run');
+    protocolStatus.textContent = t('protocol.stopped');
+    buildProtocolEditor();
+}
+
+// Sets the scheduled shear rate before a step
+function applyProtocol() {
+    const runner = protocolState.runner;
+    if (!runner) return;
+
+    const elapsed = sim.time - protocolState.startTime;
+    if (elapsed >= runner.duration) {
+        stopProtocol();
+        protocolStatus.textContent = t('protocol.done');
+        return;
+    }
+    sim.setShearRate(runner.rateAt(elapsed));
+    shearSlider.value = sim.shearRate;
+    shearValDisplay.textContent = Math.round(sim.shearRate);
+}
+
+// Collects the response after a step: the ramp trace and oscillation samples
+function recordProtocolSample() {
+    const runner = protocolState.runner;
+    if (!runner) return;
+
+    // Located at the start of the step, where the rate was set
+    const elapsed = sim.time - protocolState.startTime;
+    const { index, segment } = runner.locate(elapsed - sim.lastDt);
+    const entry = runner.segments[index];
+    const newSegment = index !== protocolState.lastIndex;
+    protocolState.lastIndex = index;
+
+    protocolStatus.textContent = `${index + 1}/${runner.segments.length}: ${t(`segment.${segment.type}`)}  `
+        + `(${elapsed.toFixed(0)} / ${runner.duration.toFixed(0)})`;
+
+    const a = PROTOCOL_CONFIG.traceSmoothing;
+    protocolState.smoothedStress += (sim.stress.xy - protocolState.smoothedStress) * a;
+
+    if ((segment.type === 'ramp' || segment.type === 'loop') && sim.shearRate >= 0) {
+        const trace = protocolState.trace;
+        const previous = trace.length ? trace[trace.length - 1] : null;
+        const up = previous && previous.segment === index ? sim.shearRate >= previous.rate : true;
+        trace.push({ rate: sim.shearRate, stress: protocolState.smoothedStress, up, segment: index });
+    }
+
+    if (segment.type === 'oscillation') {
+        if (newSegment) {
+            protocolState.oscillation = { segment, startTime: protocolState.startTime + entry.start, samples: [], moduli: null };
+            rheologyState.chartMode = 'lissajous';
+            chartModeSelect.value = 'lissajous';
+        }
+        const osc = protocolState.oscillation;
+        osc.samples.push({ t: sim.time - osc.startTime, strain: sim.strain, stress: sim.stress.xy });
+        if (osc.samples.length % PROTOCOL_CONFIG.moduliInterval === 0) {
+            osc.moduli = ShearProtocol.oscillatoryModuli(osc.samples, segment.frequency);
+        }
+    }
+}
+
+buildProtocolEditor();
+
+// --- Data Export ---
+// Time series of every step since the last reset (CSV / JSON), and chain
+// coordinates as a single snapshot or a trajectory (extended XYZ / LAMMPS
+// dump, see exporters.js).
+
+const EXPORT_CONFIG = {
+    maxSeriesRows: 36000,        // ~10 min at 60 fps; the oldest rows are dropped beyond this
+    trajectoryInterval: 10,      // Steps between trajectory frames
+    maxTrajectoryAtoms: 1000000  // Atoms summed over frames; recording stops at this size
+};
+
+const timeSeries = [];
+let trajectory = null; // Captured frames while recording
+
+const seriesCsvBtn = document.getElementById('seriesCsvBtn');
+const seriesJsonBtn = document.getElementById('seriesJsonBtn');
+const snapshotFormatSelect = document.getElementById('snapshotFormatSelect');
+const snapshotBtn = document.getElementById('snapshotBtn');
+const trajectoryBtn = document.getElementById('trajectoryBtn');
+const exportStatus = document.getElementById('exportStatus');
+
+// One time-series row: the measured quantities after the latest step
+function currentMetrics() {
+    const model = modelAt();
+    const params = currentModelParams();
+    const conf = sim.conformation;
+
+    return {
+        time: sim.time,
+        step: sim.stepCount,
+        shearRate: sim.shearRate,
+        strain: sim.strain,
+        modelStress: modelStressAt(model, params, sim.shearRate),
+        viscosity: apparentViscosity(model, params, sim.shearRate),
+        tauXY: sim.stress.xy,
+        normalStress1: sim.stress.xx - sim.stress.yy,
+        rg: conf.rg,
+        ree: conf.ree,
+        extension: conf.extension,
+        order: conf.order,
+        angle: conf.angle,
+        entanglement: conf.entanglement,
+        crossings: conf.crossings
+    };
+}
+
+function recordTimeSeries() {
+    timeSeries.push(currentMetrics());
+    // Drop in chunks so trimming stays cheap
+    if (timeSeries.length > EXPORT_CONFIG.maxSeriesRows + 1000) {
+        timeSeries.splice(0, timeSeries.length - EXPORT_CONFIG.maxSeriesRows);
+    }
+}
+
+function recordTrajectoryFrame() {
+    if (!trajectory) return;
+    // Steps arrive in batches, so frames are taken once the interval has
+    // passed (or the step counter was reset)
+    const since = sim.stepCount - trajectory.lastStep;
+    if (since >= 0 && since < EXPORT_CONFIG.trajectoryInterval) return;
+    trajectory.lastStep = sim.stepCount;
+
+    trajectory.frames.push(SimExport.captureFrame(sim.getState()));
+    trajectory.atoms += SimExport.atomCount(trajectory.frames[trajectory.frames.length - 1]);
+    exportStatus.textContent = t('export.recording', { frames: trajectory.frames.length });
+    if (trajectory.atoms >= EXPORT_CONFIG.maxTrajectoryAtoms) stopTrajectory();
+}
+
+function exportBaseName() {
+    return `fluid_simulation_seed${sim.seed}`;
+}
+
+seriesCsvBtn.addEventListener('click', () => {
+    downloadBlob(new Blob([SimExport.timeSeriesToCsv(timeSeries)], { type: 'text/csv' }), `${exportBaseName()}_timeseries.csv`);
+});
+
+seriesJsonBtn.addEventListener('click', () => {
+    // Infinite viscosities become null in JSON
+    const json = JSON.stringify({
+        seed: sim.seed,
+        config: sim.config,
+        width: sim.width,
+        height: sim.height,
+        model: { id: rheologyState.modelId, params: currentModelParams() },
+        columns: SimExport.TIME_SERIES_COLUMNS,
+        rows: timeSeries
+    });
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${exportBaseName()}_timeseries.json`);
+});
+
+snapshotBtn.addEventListener('click', () => {
+    const format = SimExport.SNAPSHOT_FORMATS[snapshotFormatSelect.value];
+    const frame = SimExport.captureFrame(sim.getState());
+    downloadBlob(new Blob([format.write(frame)], { type: 'text/plain' }), `${exportBaseName()}_step${sim.stepCount}.${format.extension}`);
+});
+
+trajectoryBtn.addEventListener('click', () => {
+    if (trajectory) {
+        stopTrajectory();
+        return;
+    }
+    trajectory = { frames: [], atoms: 0, lastStep: -Infinity, format: snapshotFormatSelect.value };
+    trajectoryBtn.textContent = t('export.trajectoryStop');
+    exportStatus.textContent = t('export.recording', { frames: 0 });
+});
+
+// Writes the recorded frames, one text chunk per frame
+function stopTrajectory() {
+    const { frames, format: formatId } = trajectory;
+    trajectory = null;
+    trajectoryBtn.textContent = t('export.trajectoryStart');
+    if (frames.length === 0) {
+        exportStatus.textContent = '';
+        return;
+    }
+
+    const format = SimExport.SNAPSHOT_FORMATS[formatId];
+    const parts = frames.map(format.write);
+    downloadBlob(new Blob(parts, { type: 'text/plain' }), `${exportBaseName()}_trajectory_step${frames[0].step}-${frames[frames.length - 1].step}.${format.extension}`);
+    exportStatus.textContent = t('export.saved', { frames: frames.length });
+}
+
+// --- Seed & Replay ---
+// The seed field fixes every random draw of a run; the replay file adds the
+// control inputs, so a demonstration can be reproduced frame for frame.
+
+const seedInput = document.getElementById('seedInput');
+const seedRandomBtn = document.getElementById('seedRandomBtn');
+const replaySaveBtn = document.getElementById('replaySaveBtn');
+const replayLoadBtn = document.getElementById('replayLoadBtn');
+const replayFileInput = document.getElementById('replayFileInput');
+const replayStatus = document.getElementById('replayStatus');
+
+// Seed from the sidebar field; keeps the current seed if the field is invalid
+function readSeed() {
+    const value = Number(seedInput.value);
+    if (seedInput.value === '' || !Number.isInteger(value) || value < 0) return sim.seed;
+    return value >>> 0;
+}
+
+seedInput.addEventListener('change', () => {
+    initPolymers();
+});
+
+seedRandomBtn.addEventListener('click', () => {
+    seedInput.value = randomSeed();
+    initPolymers();
+});
+
+replaySaveBtn.addEventListener('click', async () => {
+    const json = JSON.stringify(await sim.getReplay());
+    downloadBlob(new Blob([json], { type: 'application/json' }), `fluid_simulation_replay_seed${sim.seed}.json`);
+});
+
+replayLoadBtn.addEventListener('click', () => {
+    replayFileInput.click();
+});
+
+replayFileInput.addEventListener('change', async () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = '';
+    if (!file) return;
+
+    try {
+        await sim.loadReplay(JSON.parse(await file.text())); // Rejects an unsupported file
+        stopProtocol();
+        stopComparison();
+        isAutoPlaying = false;
+        autoPlayBtn.textContent = t('autoPlay.start');
+
+        resetMetrics();
+        syncControls();
+        replayStatus.textContent = t('replay.playing', { seed: sim.seed });
+    } catch (err) {
+        replayStatus.textContent = t('error.load', { message: err.message });
+    }
+});
+
+// --- Saved State ---
+// A state file restores the run exactly (chains, clock, PRNG), so an
+// equilibrated entangled configuration can be prepared once and reused.
+// The autosave keeps the latest state in localStorage.
+
+const stateSaveBtn = document.getElementById('stateSaveBtn');
+const stateLoadBtn = document.getElementById('stateLoadBtn');
+const stateFileInput = document.getElementById('stateFileInput');
+const autosaveToggle = document.getElementById('autosaveToggle');
+const autosaveRestoreBtn = document.getElementById('autosaveRestoreBtn');
+const stateStatus = document.getElementById('stateStatus');
+
+const AUTOSAVE_CONFIG = {
+    key: 'pseudoplasticSim.autosave',
+    enabledKey: 'pseudoplasticSim.autosaveEnabled',
+    intervalMs: 10000
+};
+
+async function loadSimulationState(snapshot, label) {
+    await sim.restore(snapshot); // Rejects an invalid file and keeps the current run
+    replayStatus.textContent = '';
+    stopProtocol();
+    stopComparison();
+    isAutoPlaying = false;
+    autoPlayBtn.textContent = t('autoPlay.start');
+
+    resetMetrics();
+    syncControls();
+
+    // The saved box is kept as is; it is fitted to the window on the next resize
+    const box = sim.width !== width || sim.height !== height ? t('state.box', { width: sim.width, height: sim.height }) : '';
+    stateStatus.textContent = t('state.loaded', { label, step: sim.stepCount }) + box;
+}
+
+stateSaveBtn.addEventListener('click', async () => {
+    const json = JSON.stringify(await sim.getSnapshot());
+    downloadBlob(new Blob([json], { type: 'application/json' }), `fluid_simulation_state_seed${sim.seed}_step${sim.stepCount}.json`);
+});
+
+stateLoadBtn.addEventListener('click', () => {
+    stateFileInput.click();
+});
+
+stateFileInput.addEventListener('change', async () => {
+    const file = stateFileInput.files[0];
+    stateFileInput.value = '';
+    if (!file) return;
+
+    try {
+        await loadSimulationState(JSON.parse(await file.text()), file.name);
+    } catch (err) {
+        stateStatus.textContent = t('error.load', { message: err.message });
+    }
+});
+
+function readAutosave() {
+    try {
+        const text = storage.getItem(AUTOSAVE_CONFIG.key);
+        return text ? JSON.parse(text) : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function updateAutosaveButton() {
+    const saved = storage ? readAutosave() : null;
+    autosaveRestoreBtn.disabled = !saved;
+    autosaveRestoreBtn.textContent = saved
+        ? t('autosave.restoreAt', { time: new Date(saved.savedAt).toLocaleTimeString(languageState.lang) })
+        : t('autosave.restore');
+}
+
+async function autosave() {
+    if (!autosaveToggle.checked || sim.replaying) return;
+    try {
+        const state = await sim.getSnapshot();
+        storage.setItem(AUTOSAVE_CONFIG.key, JSON.stringify({ savedAt: Date.now(), state }));
+        updateAutosaveButton();
+    } catch (err) {
+        // Usually the storage quota (a few MB) with many long chains
+        stateStatus.textContent = t('autosave.failed', { message: err.message });
+    }
+}
+
+if (storage) {
+    autosaveToggle.checked = storage.getItem(AUTOSAVE_CONFIG.enabledKey) === 'true';
+    autosaveToggle.addEventListener('change', () => {
+        storage.setItem(AUTOSAVE_CONFIG.enabledKey, String(autosaveToggle.checked));
+        autosave();
+    });
+    autosaveRestoreBtn.addEventListener('click', async () => {
+        const saved = readAutosave();
+        if (!saved) return;
+        try {
+            await loadSimulationState(saved.state, t('autosave.name'));
+        } catch (err) {
+            stateStatus.textContent = t('error.restore', { message: err.message });
+        }
+    });
+    updateAutosaveButton();
+    setInterval(autosave, AUTOSAVE_CONFIG.intervalMs);
+} else {
+    autosaveToggle.disabled = true;
+}
+
+// --- Advanced Settings ---
+// The CONFIG fields without a slider of their own (SimCore.PHYSICS_KEYS):
+// bond constraint, friction and temperature of the Langevin noise, drift,
+// constraint solver and the excluded-volume parameters. They apply from the
+// next step and are logged in replays. The constraint diagnostics show per
+// frame how far the solver left the bonds from segmentLength and how many
+// bond angles are still sharper than minAngleDeg.
+
+const physicsParamsContainer = document.getElementById('physicsParams');
+const physicsResetBtn = document.getElementById('physicsResetBtn');
+const constraintSolverSelect = document.getElementById('constraintSolverSelect');
+const constraintDiagnosticsToggle = document.getElementById('constraintDiagnosticsToggle');
+
+// Input limits of the advanced fields (labels are physics.<key>)
+const PHYSICS_PARAMS = {
+    k_stiffness: { min: 0.05, max: 1, step: 0.05 },
+    drag: { min: 0.1, max: 20, step: 0.1 },
+    temperature: { min: 0, max: 5, step: 0.05 },
+    driftSpeed: { min: 0, max: 10, step: 0.1 },
+    angularConstraintIterations: { min: 1, max: 50, step: 1 },
+    minAngleDeg: { min: 0, max: 170, step: 5 },
+    constraintTolerance: { min: 0.0001, max: 0.1, step: 0.001 },
+    maxConstraintIterations: { min: 1, max: 500, step: 1 },
+    excludedRadius: { min: 0.5, max: 10, step: 0.5 },
+    excludedStiffness: { min: 0, max: 1, step: 0.05 },
+    contactDistance: { min: 1, max: 20, step: 0.5 },
+    excludedVolumeBudget: { min: 10000, max: 2000000, step: 10000 }
+};
+
+function buildPhysicsParams() {
+    physicsParamsContainer.innerHTML = '';
+    for (const key of PHYSICS_KEYS) {
+        const p = PHYSICS_PARAMS[key];
+        const label = document.createElement('label');
+        label.textContent = t(`physics.${key}`);
+        label.title = key;
+        label.htmlFor = `physicsParam_${key}`;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = `physicsParam_${key}`;
+        input.className = 'text-input';
+        input.min = p.min;
+        input.max = p.max;
+        input.step = p.step;
+        input.value = sim.config[key];
+        input.addEventListener('change', () => {
+            const value = normalizeSetting(key, input.value);
+            if (value === undefined) {
+                input.value = sim.config[key];
+                return;
+            }
+            input.value = value;
+            stopReplay();
+            sim.setPhysics({ [key]: value });
+            showTemperature();
+        });
+
+        physicsParamsContainer.appendChild(label);
+        physicsParamsContainer.appendChild(input);
+    }
+}
+
+for (const id of Object.keys(CONSTRAINT_SOLVERS)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.dataset.i18n = `constraintSolver.${id}`;
+    constraintSolverSelect.appendChild(option);
+}
+
+constraintSolverSelect.addEventListener('change', () => {
+    stopReplay();
+    sim.setConstraintSolver(constraintSolverSelect.value);
+});
+
+function showPhysics() {
+    constraintSolverSelect.value = sim.config.constraintSolver;
+    for (const key of PHYSICS_KEYS) {
+        const input = document.getElementById(`physicsParam_${key}`);
+        if (input && document.activeElement !== input) input.value = sim.config[key];
+    }
+}
+
+physicsResetBtn.addEventListener('click', () => {
+    stopReplay();
+    sim.setPhysics(Object.fromEntries(PHYSICS_KEYS.map(key => [key, DEFAULT_CONFIG[key]])));
+    sim.setConstraintSolver(DEFAULT_CONFIG.constraintSolver);
+    showPhysics();
+    showTemperature();
+});
+
+// Constraint errors of the last step, top left of the simulation box
+function drawConstraintDiagnostics(ctx) {
+    const c = sim.constraints;
+    if (!c) return;
+    const cap = sim.config.constraintSolver === 'tolerance' ? sim.config.maxConstraintIterations : sim.config.angularConstraintIterations;
+    const lines = [
+        t('diagnostics.bonds', { max: (c.maxBondError * 100).toFixed(2), rms: (c.rmsBondError * 100).toFixed(2) }),
+        t('diagnostics.angles', {
+            minAngle: sim.config.minAngleDeg,
+            count: c.angleViolations,
+            total: c.angles,
+            sharpest: c.sharpestAngleDeg === null ? '—' : c.sharpestAngleDeg.toFixed(0)
+        }),
+        t('diagnostics.passes', { mean: c.meanPasses.toFixed(1), max: c.maxPasses, cap })
+    ];
+    if (sim.config.constraintSolver === 'tolerance') {
+        lines.push(c.unconverged
+            ? t('diagnostics.unconverged', { count: c.unconverged, total: sim.polymers.length })
+            : t('diagnostics.converged'));
+    }
+
+    ctx.font = '12px Noto Sans JP';
+    const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 16;
+    ctx.fillStyle = 'rgba(13, 17, 23, 0.8)';
+    ctx.fillRect(8, 8, boxWidth, lines.length * 16 + 8);
+    ctx.fillStyle = '#e6edf3';
+    ctx.textAlign = 'left';
+    lines.forEach((line, i) => ctx.fillText(line, 16, 24 + i * 16));
+}
+
+buildPhysicsParams();
+
+// --- Settings, Presets & Permalinks ---
+// Every simulation parameter as one flat settings object: the seed, the
+// slider values and the config fields. It round-trips through the URL hash
+// (#shearRate=40&polymerCount=100&...), so a link reproduces a setup, and
+// through named presets: built-in ones below and user-defined ones kept in
+// localStorage. Applying settings regenerates the chains.
+
+const SETTINGS_CONFIG = {
+    presetsKey: 'pseudoplasticSim.presets'
+};
+
+// Config fields in a settings object, after the seed, shearRate and speed
+const SETTINGS_CONFIG_KEYS = [
+    'polymerCount', 'segmentCount', 'flowGeometry', 'excludedVolume', 'bendingStiffness',
+    ...TOPOLOGY_KEYS, 'constraintSolver', ...PHYSICS_KEYS
+];
+const SETTINGS_KEYS = ['seed', 'shearRate', 'speed', ...SETTINGS_CONFIG_KEYS];
+const INTEGER_SETTINGS = ['seed', 'polymerCount', 'segmentCount', 'armCount', 'branchCount', 'angularConstraintIterations', 'maxConstraintIterations', 'excludedVolumeBudget'];
+
+// Allowed values of the string settings
+const SETTINGS_CHOICES = {
+    flowGeometry: FLOW_GEOMETRIES,
+    architecture: ARCHITECTURES,
+    lengthDistribution: LENGTH_DISTRIBUTIONS,
+    constraintSolver: CONSTRAINT_SOLVERS
+};
+
+// Built-in presets; unlisted parameters take their defaults, and the seed is kept
+const SETTINGS_PRESETS = {
+    dilute: { polymerCount: 20, segmentCount: 60 },
+    melt: { polymerCount: 250, segmentCount: 80 },
+    oligomers: { polymerCount: 200, segmentCount: 10 }
+};
+
+const settingsPresetSelect = document.getElementById('settingsPresetSelect');
+const settingsApplyBtn = document.getElementById('settingsApplyBtn');
+const settingsNameInput = document.getElementById('settingsNameInput');
+const settingsSaveBtn = document.getElementById('settingsSaveBtn');
+const settingsDeleteBtn = document.getElementById('settingsDeleteBtn');
+const permalinkBtn = document.getElementById('permalinkBtn');
+const settingsStatus = document.getElementById('settingsStatus');
+
+function defaultSettings() {
+    const settings = { shearRate: 0, speed: 1 };
+    for (const key of SETTINGS_CONFIG_KEYS) settings[key] = DEFAULT_CONFIG[key];
+    return settings;
+}
+
+function currentSettings() {
+    const settings = { seed: sim.seed, shearRate: sim.shearRate, speed: stepClock.speed };
+    for (const key of SETTINGS_CONFIG_KEYS) settings[key] = sim.config[key];
+    return settings;
+}
+
+// Input limits of a numeric setting: the slider or parameter input that sets it
+function settingLimits(key) {
+    const sliders = {
+        shearRate: shearSlider,
+        speed: speedSlider,
+        polymerCount: countSlider,
+        segmentCount: lengthSlider,
+        bendingStiffness: stiffnessSlider
+    };
+    if (key === 'seed') return { min: 0, max: 4294967295 };
+    if (sliders[key]) return { min: parseFloat(sliders[key].min), max: parseFloat(sliders[key].max) };
+    return PHYSICS_PARAMS[key] || TOPOLOGY_PARAMS[key];
+}
+
+// Value of setting `key` from a string (URL hash, input) or a stored value,
+// clamped to its limits; undefined when it does not parse
+function normalizeSetting(key, value) {
+    const type = key in DEFAULT_CONFIG ? typeof DEFAULT_CONFIG[key] : 'number';
+    if (type === 'boolean') {
+        if (value === true || value === 'true' || value === '1') return true;
+        if (value === false || value === 'false' || value === '0') return false;
+        return undefined;
+    }
+    if (type === 'string') return SETTINGS_CHOICES[key][value] ? value : undefined;
+
+    const number = typeof value === 'number' ? value : (value === '' ? NaN : Number(value));
+    if (!Number.isFinite(number)) return undefined;
+    const { min, max } = settingLimits(key);
+    const clamped = Math.min(Math.max(number, min), max);
+    return INTEGER_SETTINGS.includes(key) ? Math.round(clamped) : clamped;
+}
+
+// Known, valid entries of a settings-like object; the rest is dropped
+function readSettings(entries) {
+    const settings = {};
+    for (const [key, value] of entries) {
+        if (!SETTINGS_KEYS.includes(key)) continue;
+        const normalized = normalizeSetting(key, value);
+        if (normalized !== undefined) settings[key] = normalized;
+    }
+    return settings;
+}
+
+function encodeSettings(settings) {
+    return new URLSearchParams(Object.entries(settings).map(([key, value]) => [key, String(value)])).toString();
+}
+
+// Sets every parameter in `settings` and regenerates the chains (with
+// settings.seed when given, the current seed otherwise)
+function applySettings(settings) {
+    stopReplay();
+    stopProtocol();
+    isAutoPlaying = false;
+    autoPlayBtn.textContent = t('autoPlay.start');
+
+    if (settings.speed !== undefined) {
+        stepClock.speed = settings.speed;
+        speedSlider.value = settings.speed;
+        speedValDisplay.textContent = settings.speed.toFixed(1);
+    }
+    if (settings.flowGeometry !== undefined) sim.setFlowGeometry(settings.flowGeometry);
+    if (settings.excludedVolume !== undefined) sim.setExcludedVolume(settings.excludedVolume);
+    if (settings.bendingStiffness !== undefined) sim.setBendingStiffness(settings.bendingStiffness);
+    if (settings.constraintSolver !== undefined) sim.setConstraintSolver(settings.constraintSolver);
+
+    const pick = (keys) => Object.fromEntries(keys.filter(key => settings[key] !== undefined).map(key => [key, settings[key]]));
+    sim.setPhysics(pick(PHYSICS_KEYS));
+    sim.setChainTopology(pick(TOPOLOGY_KEYS));
+    if (settings.segmentCount !== undefined) sim.setSegmentCount(settings.segmentCount);
+    if (settings.polymerCount !== undefined) sim.setPolymerCount(settings.polymerCount);
+    if (settings.shearRate !== undefined) sim.setShearRate(settings.shearRate);
+
+    if (settings.seed !== undefined) seedInput.value = settings.seed;
+    initPolymers();
+    syncControls();
+}
+
+// Applies the settings in the URL hash, if any; returns whether it did
+function applyPermalink() {
+    const settings = readSettings(new URLSearchParams(location.hash.slice(1)));
+    if (Object.keys(settings).length === 0) return false;
+    applySettings(settings);
+    settingsStatus.textContent = t('settings.fromLink');
+    return true;
+}
+
+function readUserPresets() {
+    try {
+        const text = storage ? storage.getItem(SETTINGS_CONFIG.presetsKey) : null;
+        return text ? JSON.parse(text) : {};
+    } catch (err) {
+        return {};
+    }
+}
+
+// Built-in presets by id, user presets by name (option values
+// 'builtin:<id>' and 'user:<name>')
+function buildSettingsPresets() {
+    const selected = settingsPresetSelect.value;
+    settingsPresetSelect.innerHTML = '';
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = t('settings.choosePreset');
+    settingsPresetSelect.appendChild(placeholder);
+
+    const builtIn = document.createElement('optgroup');
+    builtIn.label = t('settings.builtIn');
+    for (const id of Object.keys(SETTINGS_PRESETS)) {
+        const option = document.createElement('option');
+        option.value = `builtin:${id}`;
+        option.textContent = t(`settingsPreset.${id}`);
+        builtIn.appendChild(option);
+    }
+    settingsPresetSelect.appendChild(builtIn);
+
+    const names = Object.keys(readUserPresets());
+    if (names.length) {
+        const user = document.createElement('optgroup');
+        user.label = t('settings.userDefined');
+        for (const name of names) {
+            const option = document.createElement('option');
+            option.value = `user:${name}`;
+            option.textContent = name;
+            user.appendChild(option);
+        }
+        settingsPresetSelect.appendChild(user);
+    }
+    settingsPresetSelect.value = selected;
+    if (settingsPresetSelect.value !== selected) settingsPresetSelect.value = '';
+    showSettingsPresetButtons();
+}
+
+function showSettingsPresetButtons() {
+    settingsApplyBtn.disabled = !settingsPresetSelect.value;
+    settingsDeleteBtn.disabled = !settingsPresetSelect.value.startsWith('user:');
+    settingsSaveBtn.disabled = !storage;
+}
+
+settingsPresetSelect.addEventListener('change', showSettingsPresetButtons);
+
+settingsApplyBtn.addEventListener('click', () => {
+    const [kind, id] = settingsPresetSelect.value.split(/:(.*)/);
+    if (kind === 'builtin') {
+        applySettings({ ...defaultSettings(), ...SETTINGS_PRESETS[id] });
+        settingsStatus.textContent = t('settings.applied', { name: t(`settingsPreset.${id}`) });
+    } else if (kind === 'user') {
+        const preset = readUserPresets()[id];
+        if (!preset) return;
+        applySettings(readSettings(Object.entries(preset)));
+        settingsStatus.textContent = t('settings.applied', { name: id });
+    }
+});
+
+// Saves every parameter except the seed, so a preset applies to any run
+settingsSaveBtn.addEventListener('click', () => {
+    const name = settingsNameInput.value.trim();
+    if (!name) {
+        settingsStatus.textContent = t('settings.nameRequired');
+        return;
+    }
+    const { seed, ...settings } = currentSettings();
+    const presets = readUserPresets();
+    presets[name] = settings;
+    storage.setItem(SETTINGS_CONFIG.presetsKey, JSON.stringify(presets));
+    buildSettingsPresets();
+    settingsPresetSelect.value = `user:${name}`;
+    showSettingsPresetButtons();
+    settingsStatus.textContent = t('settings.saved', { name });
+});
+
+settingsDeleteBtn.addEventListener('click', () => {
+    const name = settingsPresetSelect.value.replace(/^user:/, '');
+    const presets = readUserPresets();
+    delete presets[name];
+    storage.setItem(SETTINGS_CONFIG.presetsKey, JSON.stringify(presets));
+    settingsPresetSelect.value = '';
+    buildSettingsPresets();
+    settingsStatus.textContent = t('settings.deleted', { name });
+});
+
+// Writes the current settings into the address bar and copies the link
+permalinkBtn.addEventListener('click', async () => {
+    const url = `${location.href.split('#')[0]}#${encodeSettings(currentSettings())}`;
+    history.replaceState(null, '', url);
+    try {
+        await navigator.clipboard.writeText(url);
+        settingsStatus.textContent = t('settings.linkCopied');
+    } catch (err) {
+        settingsStatus.textContent = t('settings.linkReady'); // No clipboard access (file://, permissions)
+    }
+});
+
+window.addEventListener('hashchange', applyPermalink);
+
+buildSettingsPresets();
+
+// --- Embedding API ---
+// window.PseudoplasticSim drives the simulator from a script on the page:
+// each call acts like the matching sidebar control and updates it. Inside an
+// iframe the parent page reaches the same methods by postMessage and gets
+// the metrics as periodic 'frame' events (message format in the README).
+
+const EMBED_CONFIG = {
+    source: 'pseudoplasticSim', // `source` field of the messages both ways
+    allowedOrigins: [],         // Parent origins besides the page's own, e.g. 'https://lab.example.org'
+    frameIntervalMs: 250        // Minimum time between 'frame' events to the parent
+};
+
+const embedState = {
+    embedded: window.parent !== window,
+    // Only these parents may call methods, and only they receive messages.
+    // Opaque origins ('null': file:// pages, sandboxed frames) are never trusted.
+    origins: [location.origin, ...EMBED_CONFIG.allowedOrigins].filter(origin => origin && origin !== 'null'),
+    frameListeners: [],
+    lastFrameAt: -Infinity
+};
+
+// Value of setting `key` for an API call; throws when it does not parse
+function requireSetting(key, value) {
+    const normalized = normalizeSetting(key, value);
+    if (normalized === undefined) throw new Error(`Invalid value for ${key}: ${value}`);
+    return normalized;
+}
+
+const PseudoplasticSim = {
+    setShearRate(rate) {
+        const value = requireSetting('shearRate', rate);
+        setAutoPlay(false); // Would overwrite the rate on the next step
+        sim.setShearRate(value);
+        syncControls();
+    },
+
+    setPolymerCount(count) {
+        stopReplay();
+        sim.setPolymerCount(requireSetting('polymerCount', count));
+        syncControls();
+    },
+
+    setSegmentCount(count) {
+        const value = requireSetting('segmentCount', count);
+        if (sim.config.segmentCount === value) return;
+        stopReplay();
+        sim.setSegmentCount(value);
+        resetMetrics();
+        syncControls();
+    },
+
+    // Any subset of the permalink settings (see getSettings); unknown keys
+    // and invalid values are ignored. Regenerates the chains.
+    setSettings(settings) {
+        applySettings(readSettings(Object.entries(settings)));
+    },
+
+    getSettings() {
+        return currentSettings();
+    },
+
+    // Regenerates the chains, with `seed` when given
+    reset(seed) {
+        if (seed !== undefined) seedInput.value = requireSetting('seed', seed);
+        initPolymers();
+    },
+
+    startAutoPlay() {
+        setAutoPlay(true);
+    },
+
+    stopAutoPlay() {
+        setAutoPlay(false);
+    },
+
+    // The time-series row of the latest step (null before the first)
+    getMetrics() {
+        return sim.conformation ? currentMetrics() : null;
+    },
+
+    // Calls listener(metrics) whenever a batch of steps arrives; returns a
+    // function that removes it
+    onFrame(listener) {
+        embedState.frameListeners.push(listener);
+        return () => {
+            const index = embedState.frameListeners.indexOf(listener);
+            if (index >= 0) embedState.frameListeners.splice(index, 1);
+        };
+    }
+};
+
+// Methods callable by postMessage (onFrame takes a function, which cannot be
+// sent; the parent gets 'frame' events instead)
+const EMBED_METHODS = Object.keys(PseudoplasticSim).filter(name => name !== 'onFrame');
+
+window.PseudoplasticSim = PseudoplasticSim;
+
+// To `origin`, or to whichever allowed origin the parent has: the browser
+// drops messages whose target origin does not match the parent
+function postToParent(message, origin) {
+    for (const target of origin ? [origin] : embedState.origins) {
+        window.parent.postMessage({ source: EMBED_CONFIG.source, ...message }, target);
+    }
+}
+
+// Parent → frame: { source, id, method, args }; the frame answers
+// { source, type: 'result', id, result } or { source, type: 'error', id, message }
+window.addEventListener('message', (e) => {
+    const message = e.data;
+    if (!embedState.embedded || e.source !== window.parent) return;
+    if (!embedState.origins.includes(e.origin)) return;
+    if (!message || message.source !== EMBED_CONFIG.source || message.method === undefined) return;
+
+    try {
+        if (!EMBED_METHODS.includes(message.method)) throw new Error(`Unknown method: ${message.method}`);
+        const args = Array.isArray(message.args) ? message.args : [];
+        const result = PseudoplasticSim[message.method](...args);
+        postToParent({ type: 'result', id: message.id, result: result === undefined ? null : result }, e.origin);
+    } catch (err) {
+        postToParent({ type: 'error', id: message.id, message: err.message }, e.origin);
+    }
+});
+
+sim.on('step', () => {
+    const now = performance.now();
+    const toParent = embedState.embedded && now - embedState.lastFrameAt >= EMBED_CONFIG.frameIntervalMs;
+    if (!toParent && embedState.frameListeners.length === 0) return;
+
+    const metrics = currentMetrics();
+    for (const listener of embedState.frameListeners) listener(metrics);
+    if (toParent) {
+        embedState.lastFrameAt = now;
+        postToParent({ type: 'frame', metrics, settings: currentSettings() });
+    }
+});
+
+// Ends a replay; the simulation keeps running live from its current state
+function stopReplay() {
+    if (!sim.replaying) return;
+    sim.stopReplay();
+    endReplay();
+}
+
+function endReplay() {
+    replayStatus.textContent = '';
+    sim.resize(width, height);
+}
+
+// Mirrors the simulation parameters into the sidebar controls
+function syncControls() {
+    shearSlider.value = sim.shearRate;
+    shearValDisplay.textContent = Math.floor(sim.shearRate);
+    countSlider.value = sim.config.polymerCount;
+    countValDisplay.textContent = sim.config.polymerCount;
+    lengthSlider.value = sim.config.segmentCount;
+    lengthValDisplay.textContent = sim.config.segmentCount;
+    seedInput.value = sim.seed;
+    excludedVolumeToggle.checked = sim.config.excludedVolume;
+    showFlowGeometry();
+    showTopology();
+    showPhysics();
+    showTemperature();
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    document.body.appendChild(a);
+    a.style = 'display: none';
+    a.href = url;
+    a.download = filename;
+    a.click();
+    a.remove();
+    window.URL.revokeObjectURL(url);
+}
+
+// Status thresholds on the measured (smoothed) conformation metrics; `key`
+// names the status text
+const STATUS_LEVELS = [
+    { minOrder: 0.3, minExtension: 0.4, key: 'status.aligned' },
+    { minOrder: 0.3, minExtension: 0, key: 'status.aligning' },
+    { minOrder: 0.1, minExtension: 0, key: 'status.loosening' },
+    { minOrder: 0, minExtension: 0, key: 'status.entangled' }
+];
+
+function updateStatus() {
+    const conf = smoothedConformation;
+    if (!conf) return;
 
-    stateIndicator.textContent = text;
-    viscosityValue.textContent = visc;
+    const level = STATUS_LEVELS.find(l => conf.order >= l.minOrder && conf.extension >= l.minExtension);
 
-    // Adjust global parameters based on shear
-    // High shear -> Less random noise (relative to flow)
-    // Actually we keep brownian constant, but flow force scales up.
+    stateIndicator.textContent = `${t(level.key)} (S = ${conf.order.toFixed(2)}, Ree/L = ${conf.extension.toFixed(2)})`;
 }
 
 // Start
-initPolymers();
+applyLanguage(languageState.lang);
+if (!applyPermalink()) initPolymers();
 loop();
+if (embedState.embedded) postToParent({ type: 'ready', methods: EMBED_METHODS });
@@ -0,0 +1,520 @@
+/**
+ * Simulation Host / Client
+ *
+ * Runs a SimCore Simulation behind a message interface so the physics can
+ * live in a Web Worker (sim-worker.js) while the page only draws:
+ * - createHost(post): the worker side. Receives control messages, steps
+ *   the simulation and posts a frame per step with the node arrays as
+ *   transferable Float32Array copies. The chain topology only travels when
+ *   the chains change, and bond tensions only while the client asks for them.
+ * - SimClient: the page side. Mirrors the last frame under the same names
+ *   the Simulation uses (time, stress, polymers, ...), so drawing and
+ *   analysis code reads it like a local simulation. Without Worker support
+ *   (or when the worker cannot load, e.g. from file://) it runs the host in
+ *   the page thread instead.
+ *
+ * Loaded by the browser UI and the worker (as `SimHost`) and usable from
+ * Node via require.
+ */
+(function (root, factory) {
+    const isNode = typeof module === 'object' && module.exports;
+    const api = factory(isNode ? require('./simulation.js') : root.SimCore);
+    if (isNode) module.exports = api;
+    else root.SimHost = api;
+})(typeof self !== 'undefined' ? self : this, function (SimCore) {
+    'use strict';
+
+    const { DEFAULT_CONFIG, Simulation, ReplayPlayer, randomSeed } = SimCore;
+
+    // Controls the client can change with a 'set' message
+    const SETTERS = {
+        shearRate: (sim, value) => sim.setShearRate(value),
+        polymerCount: (sim, value) => sim.setPolymerCount(value),
+        segmentCount: (sim, value) => sim.setSegmentCount(value),
+        excludedVolume: (sim, value) => sim.setExcludedVolume(value),
+        flowGeometry: (sim, value) => sim.setFlowGeometry(value),
+        chainTopology: (sim, value) => sim.setChainTopology(value),
+        bendingStiffness: (sim, value) => sim.setBendingStiffness(value),
+        physics: (sim, value) => sim.setPhysics(value),
+        constraintSolver: (sim, value) => sim.setConstraintSolver(value),
+        drag: (sim, value) => sim.setDrag(value)
+    };
+
+    // Controls that regenerate or add chains
+    const RESHAPING = ['polymerCount', 'segmentCount', 'chainTopology'];
+
+    // Frame fields owned by the client's controls: a frame only overwrites
+    // them once the host has seen the client's latest control message
+    const CONTROL_FIELDS = ['shearRate', 'width', 'height', 'config'];
+    const STATE_FIELDS = ['seed', 'time', 'strain', 'boxOffset', 'stepCount', 'lastDt', 'stress', 'conformation', 'contacts', 'constraints'];
+
+    // --- Host ---
+
+    // Message handlers; `post(message, transfer)` sends to the client.
+    // Every message carries the client's control sequence number and reset
+    // generation, which the host echoes in its frames.
+    function createHost(post) {
+        let sim = null;
+        let player = null; // Active ReplayPlayer while a loaded run is replayed
+        let seq = 0;
+        let generation = 0;
+        let sentChains = null;    // Polymers whose topology the client has
+        let sentGeneration = -1;  // Generation of the frame that carried it
+        let streamTension = false;
+
+        // The client drops frames of an older generation, so the topology is
+        // sent again after every reset it asked for, besides when chains change
+        function chainsChanged() {
+            const { polymers } = sim;
+            if (generation !== sentGeneration || polymers.length !== sentChains.length) return true;
+            return polymers.some((p, k) => p !== sentChains[k]);
+        }
+
+        // `steps`: steps integrated since the last frame (0 after a reset)
+        function sendFrame(steps) {
+            const nodes = sim.nodes;
+            const arrays = ['x', 'y', 'vx', 'vy'].map(key => nodes[key].slice(0, nodes.count));
+            const state = {};
+            for (const key of [...STATE_FIELDS, ...CONTROL_FIELDS]) state[key] = sim[key];
+            state.config = { ...sim.config }; // The page-thread host shares objects with its client
+
+            let chains = null;
+            if (chainsChanged()) {
+                chains = sim.polymers.map(p => ({
+                    start: p.start,
+                    count: p.count,
+                    color: p.color,
+                    strands: p.strands,
+                    ends: p.ends,
+                    contour: p.contour,
+                    bonds: p.bonds
+                }));
+                sentChains = sim.polymers.slice();
+                sentGeneration = generation;
+            }
+            const tensions = streamTension ? sim.polymers.map(p => Float32Array.from(p.bondTension)) : null;
+
+            const transfer = arrays.map(a => a.buffer);
+            if (tensions) transfer.push(...tensions.map(a => a.buffer));
+            post({
+                type: 'frame',
+                steps,
+                seq,
+                generation,
+                replaying: player !== null,
+                state,
+                flowCurve: sim.getMeasuredFlowCurve(),
+                chains,
+                tensions,
+                x: arrays[0],
+                y: arrays[1],
+                vx: arrays[2],
+                vy: arrays[3]
+            }, transfer);
+        }
+
+        // Each handler returns the reply data, and whether the chains changed
+        // enough (regenerated, restored) to need a frame without a step
+        const handlers = {
+            create({ width, height, config, seed, shearRate }) {
+                sim = new Simulation({ width, height, config, seed, shearRate });
+                return { reshaped: true };
+            },
+            init({ seed }) {
+                player = null;
+                sim.init(seed);
+                return { reshaped: true };
+            },
+            set({ name, value }) {
+                if (!SETTERS[name]) throw new Error(`Unknown control: ${name}`);
+                SETTERS[name](sim, value);
+                return { reshaped: RESHAPING.includes(name) };
+            },
+            resize({ width, height }) {
+                sim.resize(width, height);
+                return {};
+            },
+            // `count` steps of length dt, then one frame
+            step({ dt, count }) {
+                for (let k = 0; k < count; k++) {
+                    if (player) {
+                        player.step();
+                        if (player.done) player = null; // Continue live from the replayed state
+                    } else {
+                        sim.step(dt);
+                    }
+                }
+                sendFrame(count);
+                return {};
+            },
+            restore({ snapshot }) {
+                const restored = Simulation.fromSnapshot(snapshot); // Throws on an invalid file
+                player = null;
+                sim = restored;
+                return { reshaped: true };
+            },
+            loadReplay({ replay }) {
+                player = new ReplayPlayer(replay);
+                sim = player.sim;
+                return { reshaped: true };
+            },
+            stopReplay() {
+                player = null;
+                return {};
+            },
+            frameOptions({ tension }) {
+                streamTension = tension;
+                return {};
+            },
+            snapshot() {
+                return { data: sim.getSnapshot() };
+            },
+            replay() {
+                return { data: sim.getReplay() };
+            }
+        };
+
+        return function receive(message) {
+            seq = message.seq;
+            generation = message.generation;
+            let result;
+            try {
+                const handler = handlers[message.type];
+                if (!handler) throw new Error(`Unknown message: ${message.type}`);
+                result = handler(message);
+            } catch (err) {
+                // Messages without a reply (steps, controls) still report the
+                // failure, so the client does not wait for a frame forever
+                if (message.id === undefined) post({ type: 'error', request: message.type, error: err.message });
+                else post({ type: 'response', id: message.id, error: err.message });
+                return;
+            }
+            if (result.reshaped) sendFrame(0);
+            if (message.id !== undefined) post({ type: 'response', id: message.id, data: result.data });
+        };
+    }
+
+    // --- Client ---
+
+    class SimClient {
+        constructor({ width, height, config = {}, seed = randomSeed(), shearRate = 0, workerUrl = 'sim-worker.js' } = {}) {
+            // Mirror of the last frame (same names as Simulation)
+            this.config = { ...DEFAULT_CONFIG, ...config };
+            this.width = width;
+            this.height = height;
+            this.seed = seed >>> 0;
+            this.shearRate = shearRate;
+            this.time = 0;
+            this.strain = 0;
+            this.boxOffset = 0;
+            this.stepCount = 0;
+            this.lastDt = null;
+            this.stress = { xx: 0, xy: 0, yy: 0 };
+            this.conformation = null;
+            this.contacts = { partners: 0, pairs: 0, crossings: 0 };
+            this.constraints = null;
+            this.flowCurve = [];
+            this.polymers = []; // { start, count, color, strands, ends, contour, bonds, tension } into the node arrays
+            this.tensionStreamed = false; // Frames carry the bond tensions (see streamTension)
+            this.nodes = { x: new Float32Array(0), y: new Float32Array(0), vx: new Float32Array(0), vy: new Float32Array(0) };
+            this.replaying = false;
+
+            this.busy = false;    // A step is in flight
+            this.seq = 0;         // Control messages sent
+            this.generation = 0;  // Resets (init, restore, replay) sent
+            this.nextId = 0;
+            this.pending = new Map();
+            this.listeners = { step: [], replayend: [], error: [] };
+
+            this.worker = null;
+            this.connect(workerUrl);
+            this.send({ type: 'create', width, height, config: this.config, seed: this.seed, shearRate });
+        }
+
+        // Starts the worker; messages are kept until it first answers, so they
+        // can be replayed into a page-thread host if it fails to load. The
+        // fallback runs the same host code, so it is not reported
+        connect(workerUrl) {
+            if (typeof Worker === 'function') {
+                try {
+                    const worker = new Worker(workerUrl);
+                    let unconfirmed = [];
+                    worker.onmessage = (e) => {
+                        unconfirmed = null;
+                        this.receive(e.data);
+                    };
+                    worker.onerror = (e) => {
+                        if (!unconfirmed) return;
+                        e.preventDefault();
+                        worker.terminate();
+                        const queued = unconfirmed;
+                        this.worker = null;
+                        this.connectLocal();
+                        queued.forEach(message => this.post(message));
+                    };
+                    this.post = (message) => {
+                        if (unconfirmed) unconfirmed.push(message);
+                        worker.postMessage(message);
+                    };
+                    this.worker = worker;
+                    return;
+                } catch (err) {
+                    // Fall through to the page-thread host
+                }
+            }
+            this.connectLocal();
+        }
+
+        connectLocal() {
+            const host = createHost((message) => this.receive(message));
+            this.post = (message) => host(message);
+        }
+
+        // Stops the worker; the client sends nothing afterwards
+        close() {
+            if (this.worker) this.worker.terminate();
+            this.worker = null;
+            this.post = () => {};
+        }
+
+        send(message) {
+            this.post({ ...message, seq: this.seq, generation: this.generation });
+        }
+
+        // Sends a message that expects a reply; resolves with its data
+        request(message) {
+            const id = this.nextId++;
+            return new Promise((resolve, reject) => {
+                this.pending.set(id, { resolve, reject });
+                this.send({ ...message, id });
+            });
+        }
+
+        on(type, listener) {
+            this.listeners[type].push(listener);
+        }
+
+        emit(type, ...args) {
+            for (const listener of this.listeners[type]) listener(...args);
+        }
+
+        receive(message) {
+            if (message.type === 'response') {
+                const { resolve, reject } = this.pending.get(message.id);
+                this.pending.delete(message.id);
+                if (message.error) reject(new Error(message.error));
+                else resolve(message.data);
+                return;
+            }
+            if (message.type === 'error') {
+                if (message.request === 'step') this.busy = false;
+                this.emit('error', new Error(message.error));
+                return;
+            }
+
+            // frame
+            if (message.steps > 0) this.busy = false;
+            // Answers a command that a later reset has overtaken
+            if (message.generation !== this.generation) return;
+
+            const { state } = message;
+            for (const key of STATE_FIELDS) this[key] = state[key];
+            const current = message.seq === this.seq;
+            if (current) {
+                for (const key of CONTROL_FIELDS) this[key] = state[key];
+            }
+            this.flowCurve = message.flowCurve;
+            if (message.chains) this.polymers = message.chains;
+            const { tensions } = message;
+            this.polymers.forEach((p, k) => { p.tension = tensions ? tensions[k] : null; });
+            this.nodes = { x: message.x, y: message.y, vx: message.vx, vy: message.vy };
+
+            if (message.steps > 0) this.emit('step', message.steps);
+            if (current && this.replaying && !message.replaying) {
+                this.replaying = false;
+                this.emit('replayend');
+            }
+        }
+
+        // --- Controls (mirrored at once, applied by the host in order) ---
+
+        control(name, value) {
+            this.seq++;
+            this.send({ type: 'set', name, value });
+        }
+
+        setShearRate(rate) {
+            if (this.shearRate === rate) return;
+            this.shearRate = rate;
+            this.control('shearRate', rate);
+        }
+
+        setPolymerCount(count) {
+            if (this.config.polymerCount === count) return;
+            this.config.polymerCount = count;
+            this.control('polymerCount', count);
+        }
+
+        setSegmentCount(count) {
+            if (this.config.segmentCount === count) return;
+            this.config.segmentCount = count;
+            this.generation++; // Regenerates every chain
+            this.control('segmentCount', count);
+        }
+
+        // Architecture and length distribution; changes regenerate every chain
+        setChainTopology(changes) {
+            if (Object.keys(changes).every(key => this.config[key] === changes[key])) return;
+            Object.assign(this.config, changes);
+            this.generation++;
+            this.control('chainTopology', changes);
+        }
+
+        setBendingStiffness(value) {
+            if (this.config.bendingStiffness === value) return;
+            this.config.bendingStiffness = value;
+            this.control('bendingStiffness', value);
+        }
+
+        // Any of SimCore.PHYSICS_KEYS; applies from the next step
+        setPhysics(changes) {
+            if (Object.keys(changes).every(key => this.config[key] === changes[key])) return;
+            Object.assign(this.config, changes);
+            this.control('physics', changes);
+        }
+
+        // Key of SimCore.CONSTRAINT_SOLVERS; applies from the next step
+        setConstraintSolver(id) {
+            if (this.config.constraintSolver === id) return;
+            this.config.constraintSolver = id;
+            this.control('constraintSolver', id);
+        }
+
+        // Bond tensions cost a copy per frame, so frames only carry them
+        // while something reads them; p.tension is null otherwise
+        streamTension(enabled) {
+            if (this.tensionStreamed === enabled) return;
+            this.tensionStreamed = enabled;
+            this.send({ type: 'frameOptions', tension: enabled });
+        }
+
+        // { chain, node, x, y } to hold a node at (x, y), null to let go
+        setDrag(drag) {
+            this.control('drag', drag);
+        }
+
+        setExcludedVolume(enabled) {
+            if (this.config.excludedVolume === enabled) return;
+            this.config.excludedVolume = enabled;
+            this.control('excludedVolume', enabled);
+        }
+
+        setFlowGeometry(id) {
+            if (this.config.flowGeometry === id) return;
+            this.config.flowGeometry = id;
+            this.control('flowGeometry', id);
+        }
+
+        resize(width, height) {
+            if (this.width === width && this.height === height) return;
+            this.width = width;
+            this.height = height;
+            this.seq++;
+            this.send({ type: 'resize', width, height });
+        }
+
+        init(seed = this.seed) {
+            this.seed = seed >>> 0;
+            this.replaying = false;
+            this.generation++;
+            this.seq++;
+            this.send({ type: 'init', seed: this.seed });
+        }
+
+        // Integrates `count` steps of length dt in the host; the 'step'
+        // listeners run once their frame arrives. Callers wait for !busy
+        // before sending more.
+        step(dt = 0.1, count = 1) {
+            this.busy = true;
+            this.send({ type: 'step', dt, count });
+        }
+
+        // --- Replay and saved state (asynchronous: the data lives in the host) ---
+
+        getSnapshot() {
+            return this.request({ type: 'snapshot' });
+        }
+
+        getReplay() {
+            return this.request({ type: 'replay' });
+        }
+
+        // Rejects (and keeps the current run) on an invalid snapshot
+        restore(snapshot) {
+            this.generation++;
+            this.seq++;
+            return this.request({ type: 'restore', snapshot }).then(() => {
+                this.replaying = false;
+            });
+        }
+
+        loadReplay(replay) {
+            this.generation++;
+            this.seq++;
+            return this.request({ type: 'loadReplay', replay }).then(() => {
+                this.replaying = true;
+            });
+        }
+
+        stopReplay() {
+            if (!this.replaying) return;
+            this.replaying = false;
+            this.seq++;
+            this.send({ type: 'stopReplay' });
+        }
+
+        // --- Read access (from the mirrored frame) ---
+
+        getMeasuredFlowCurve() {
+            return this.flowCurve;
+        }
+
+        // Same shape as Simulation.getState(), for the exporters
+        getState() {
+            const { x, y, vx, vy } = this.nodes;
+            return {
+                seed: this.seed,
+                time: this.time,
+                stepCount: this.stepCount,
+                shearRate: this.shearRate,
+                strain: this.strain,
+                boxOffset: this.boxOffset,
+                width: this.width,
+                height: this.height,
+                config: { ...this.config },
+                stress: { ...this.stress },
+                conformation: this.conformation ? { ...this.conformation } : null,
+                periodic: { x: this.flowGeometry().periodicX, y: this.flowGeometry().periodicY },
+                polymers: this.polymers.map(p => {
+                    const nodes = [];
+                    for (let i = p.start; i < p.start + p.count; i++) nodes.push({ x: x[i], y: y[i], vx: vx[i], vy: vy[i] });
+                    return { color: p.color, bonds: Array.from(p.bonds), nodes };
+                })
+            };
+        }
+    }
+
+    // The flow field only depends on the mirrored clock, strain, rate, box and
+    // configuration (and the dispersity on the chain lengths, the minimum
+    // image on the box, the orientation field and the velocity profile on
+    // the nodes and bonds), so the client evaluates them with the
+    // Simulation's methods
+    for (const name of ['shearGradient', 'turbulenceAt', 'flowGeometry', 'flowVelocity', 'measureDispersity', 'minimumImage', 'measureOrientationField', 'measureVelocityProfile']) {
+        SimClient.prototype[name] = Simulation.prototype[name];
+    }
+
+    return {
+        createHost,
+        SimClient
+    };
+});
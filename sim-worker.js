@@ -0,0 +1,10 @@
+/**
+ * Simulation Worker
+ *
+ * Runs the physics off the page thread: SimCore behind the SimHost message
+ * interface (see sim-host.js for the messages).
+ */
+importScripts('simulation.js', 'sim-host.js');
+
+const receive = SimHost.createHost((message, transfer) => self.postMessage(message, transfer));
+self.onmessage = (e) => receive(e.data);
@@ -0,0 +1,2012 @@
+/**
+ * Pseudoplastic Fluid Simulation Core
+ *
+ * Physics only: no DOM, canvas or animation loop. The same file is loaded by
+ * the browser UI (as `SimCore`) and by the Node CLI (via require).
+ *
+ * - NodeStore / Polymer: constrained bead chains (linear, ring, star, comb or
+ *   block copolymer, see ARCHITECTURES) driven by Brownian noise
+ *   and the imposed flow field (a Langevin integrator with a real timestep);
+ *   bead positions and velocities live in struct-of-arrays Float32Arrays.
+ *
+ * Units: lengths in pixels, time in the flow-field clock (Simulation.time),
+ * velocities in pixels per unit time, unit bead mass.
+ * - Simulation: owns the box (a sheared periodic Lees–Edwards box, a walled
+ *   channel or an extensional cell, see FLOW_GEOMETRIES), the chains,
+ *   inter-chain excluded volume and the measurements (polymer stress
+ *   tensor, conformation and contacts).
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) module.exports = api;
+    else root.SimCore = api;
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Default configuration (copied per Simulation instance)
+    const DEFAULT_CONFIG = {
+        segmentCount: 50,  // Number of segments per polymer
+        segmentLength: 5,   // Length of each link
+        polymerCount: 100,    // Initial number of polymers
+        k_stiffness: 0.5,   // Spring constant for distance constraint
+        drag: 2.1,          // Friction rate γ towards the local flow velocity (1 / time)
+        temperature: 0.7,   // kT per unit bead mass; sets the Brownian noise (fluctuation–dissipation)
+        driftSpeed: 2.5,    // Uniform flow velocity along x (turbulent geometry)
+        flowGeometry: 'turbulent', // Key of FLOW_GEOMETRIES
+        angularConstraintIterations: 10, // Iterations to solve constraints (Increased to ensure constant length)
+        minAngleDeg: 90,
+        constraintSolver: 'fixed',    // Key of CONSTRAINT_SOLVERS
+        constraintTolerance: 0.01,    // Relative bond-length error at which the tolerance solver stops
+        maxConstraintIterations: 100, // Cap on the passes of the tolerance solver
+        bendingStiffness: 0,    // Straightening per bond angle and iteration (0 = flexible, 0.5 = stiff)
+        architecture: 'linear', // Key of ARCHITECTURES
+        armCount: 4,            // Arms per star
+        branchCount: 4,         // Side chains per comb
+        blockFraction: 0.5,     // Share of block A in a block copolymer
+        lengthDistribution: 'monodisperse', // Key of LENGTH_DISTRIBUTIONS; segmentCount is the number average
+        pdi: 1.5,               // Dispersity Mw / Mn of the polydisperse distributions
+        excludedVolume: true,   // Segments of different chains repel each other
+        excludedRadius: 3,      // Closest allowed distance between segments of different chains
+        excludedStiffness: 0.5, // Fraction of an overlap removed per step
+        contactDistance: 5,     // Segments of different chains closer than this are in contact
+        excludedVolumeBudget: 300000 // Pair tests per step; dense systems rotate through bond windows
+    };
+
+    // Config fields read afresh every step, so setPhysics() can change them
+    // on a running simulation without regenerating the chains
+    const PHYSICS_KEYS = [
+        'k_stiffness', 'drag', 'temperature', 'driftSpeed', 'angularConstraintIterations', 'minAngleDeg',
+        'constraintTolerance', 'maxConstraintIterations',
+        'excludedRadius', 'excludedStiffness', 'contactDistance', 'excludedVolumeBudget'
+    ];
+
+    // Bond and angle constraint solvers (Polymer.solveConstraints): a fixed
+    // number of passes, or passes until every bond length is within
+    // constraintTolerance of segmentLength
+    const CONSTRAINT_SOLVERS = {
+        fixed: { untilTolerance: false },
+        tolerance: { untilTolerance: true }
+    };
+
+    // Saved simulation state (Simulation.getSnapshot / restore) and replay
+    // logs. Version 2: Langevin integrator; version 1 files ran the older
+    // per-frame dynamics and would not reproduce.
+    const SNAPSHOT_FORMAT = 'pseudoplastic-fluid-sim-state';
+    const SNAPSHOT_VERSION = 2;
+    const REPLAY_VERSION = 2;
+
+    // Stress sampling for the measured flow curve
+    const STRESS_CONFIG = {
+        settleFrames: 60, // Samples skipped after a jump in shear rate
+        jumpThreshold: 1  // Rate change per step that counts as a jump
+    };
+
+    // --- Random Numbers ---
+
+    // Mulberry32: small, fast 32-bit PRNG. Same seed -> same sequence on every engine.
+    // getState() / setState() expose the 32-bit state for saved simulations.
+    function createRng(seed) {
+        let a = seed >>> 0;
+        const random = function random() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        random.getState = () => a;
+        random.setState = (state) => {
+            a = state >>> 0;
+        };
+        return random;
+    }
+
+    // Fresh 32-bit seed for runs started without one
+    function randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    // --- Flow Geometries ---
+    // The imposed flow and the boundaries of the box. The shear-rate slider
+    // sets the shear rate of the laminar part (turbulent, Couette), the wall
+    // shear rate (Poiseuille) or the extension rate (planar extension), via
+    // Simulation.shearGradient(). periodicX / periodicY mark periodic
+    // directions; walls are no-slip plates at y = 0 and y = H that nodes
+    // cannot cross; leesEdwards slides the periodic images with the shear.
+    // profile is the velocity component that varies across y and its shape
+    // per unit velocity gradient, for the measured velocity profile.
+
+    // Velocity gradient of the imposed flow at slider rate 100, per unit time
+    const SHEAR_GRADIENT = 0.25;
+
+    const FLOW_GEOMETRIES = {
+        turbulent: {
+            name: '乱流 (Turbulent shear)',
+            description: '周期境界 (Lees–Edwards) の単純せん断 + 乱流場',
+            periodicX: true,
+            periodicY: true,
+            walls: false,
+            leesEdwards: true,
+            velocity(sim, x, y, out) {
+                sim.turbulenceAt(x, y, out);
+                out.vx += sim.config.driftSpeed + sim.shearGradient() * (y - sim.height / 2);
+            },
+            profile: { component: 'vx', shape: (sim, y) => y - sim.height / 2 }
+        },
+        couette: {
+            name: 'クエット流 (Plane Couette)',
+            description: '上下の壁が ±γ̇H/2 で逆向きに移動、直線速度分布',
+            periodicX: true,
+            periodicY: false,
+            walls: true,
+            leesEdwards: false,
+            velocity(sim, x, y, out) {
+                out.vx = sim.shearGradient() * (y - sim.height / 2);
+                out.vy = 0;
+            },
+            profile: { component: 'vx', shape: (sim, y) => y - sim.height / 2 }
+        },
+        poiseuille: {
+            name: 'ポアズイユ流 (Poiseuille)',
+            description: '静止壁の間の圧力流、放物線分布 (γ̇ は壁面せん断速度)',
+            periodicX: true,
+            periodicY: false,
+            walls: true,
+            leesEdwards: false,
+            // u = γ̇w y (H - y) / H: zero at both walls, wall shear rate γ̇w
+            velocity(sim, x, y, out) {
+                out.vx = sim.shearGradient() * y * (sim.height - y) / sim.height;
+                out.vy = 0;
+            },
+            profile: { component: 'vx', shape: (sim, y) => y * (sim.height - y) / sim.height }
+        },
+        extension: {
+            name: '平面伸長流 (Planar extension)',
+            description: '中央のよどみ点へ上下から流入し左右へ流出 (伸長速度 ε̇ = γ̇ / 4)',
+            periodicX: false,
+            periodicY: true,
+            walls: false,
+            leesEdwards: false,
+            // ε̇ = γ̇ / 4 puts the coil–stretch transition inside the slider range
+            velocity(sim, x, y, out) {
+                const rate = sim.shearGradient() / 4;
+                out.vx = rate * (x - sim.width / 2);
+                out.vy = -rate * (y - sim.height / 2);
+            },
+            profile: { component: 'vy', shape: (sim, y) => -(y - sim.height / 2) / 4 }
+        }
+    };
+
+    // Mean velocity per slab with its standard error, from the sums of
+    // Simulation.measureVelocityProfile (possibly added up over several
+    // frames), and the shear rate (slider units) that fits the node
+    // velocities: mean = a·shape + b, least squares weighted by node count.
+    // The error of the rate assumes independent samples, so it is a lower
+    // bound for time-correlated frames. rate is null without a gradient.
+    function velocityProfileStats(profile) {
+        const { count, sum, sumSq, imposed, shape, height } = profile;
+        const bins = [];
+        for (let k = 0; k < count.length; k++) {
+            const n = count[k];
+            if (n === 0) continue;
+            const mean = sum[k] / n;
+            const variance = Math.max(sumSq[k] / n - mean * mean, 0);
+            bins.push({
+                y: (k + 0.5) * height / count.length,
+                count: n,
+                mean,
+                error: Math.sqrt(variance / n),
+                imposed: imposed[k] / n,
+                shape: shape[k] / n
+            });
+        }
+
+        let total = 0;
+        let shapeMean = 0;
+        let valueMean = 0;
+        for (const b of bins) {
+            total += b.count;
+            shapeMean += b.count * b.shape;
+            valueMean += b.count * b.mean;
+        }
+        shapeMean /= total || 1;
+        valueMean /= total || 1;
+        let sxx = 0;
+        let sxy = 0;
+        let varianceSum = 0;
+        for (const b of bins) {
+            const ds = b.count * (b.shape - shapeMean);
+            sxx += ds * (b.shape - shapeMean);
+            sxy += ds * (b.mean - valueMean);
+            varianceSum += ds * ds * b.error * b.error;
+        }
+        const toRate = 100 / SHEAR_GRADIENT;
+        const fitted = sxx > 0;
+        return {
+            component: profile.component,
+            bins,
+            rate: fitted ? sxy / sxx * toRate : null,
+            rateError: fitted ? Math.sqrt(varianceSum) / sxx * toRate : null
+        };
+    }
+
+    const INITIAL_COLORS = ['#ff0055', '#3366ff']; // Red and Blue
+    const ADDED_COLORS = ['#00f2ff', '#00ff9d', '#ff0055', '#ffe600', '#bd00ff'];
+
+    // --- Node Storage ---
+
+    const NODE_FIELDS = ['x', 'y', 'vx', 'vy'];
+
+    // Struct-of-arrays bead storage: positions and velocities of every node in
+    // Float32Arrays shared by all chains, chain by chain. The arrays are
+    // replaced when they grow, so read them from the store after adding chains
+    // instead of holding on to them.
+    class NodeStore {
+        constructor(capacity = 1024) {
+            this.count = 0;
+            for (const key of NODE_FIELDS) this[key] = new Float32Array(capacity);
+        }
+
+        // Reserves n nodes at the end and returns the index of the first
+        allocate(n) {
+            const needed = this.count + n;
+            let capacity = this.x.length;
+            if (needed > capacity) {
+                while (capacity < needed) capacity *= 2;
+                for (const key of NODE_FIELDS) {
+                    const grown = new Float32Array(capacity);
+                    grown.set(this[key].subarray(0, this.count));
+                    this[key] = grown;
+                }
+            }
+            const start = this.count;
+            this.count = needed;
+            return start;
+        }
+
+        // Drops every node from index `count` on
+        truncate(count) {
+            this.count = count;
+        }
+    }
+
+    // --- Chain Architectures ---
+    // Every chain is a set of strands: runs of consecutive nodes, optionally
+    // attached by a bond to a node of an earlier strand (star arms, comb
+    // branches, the second block) or closed into a ring. Bonds and bending
+    // angles follow from the strands; a strand that runs `through` its
+    // attachment (the block junction) also keeps the bend there. Indices are
+    // local to the chain. `ends` are the two nodes whose distance is the
+    // chain's end-to-end vector, `contour` the number of bonds between them;
+    // `params` lists the config keys an architecture reads.
+
+    const ARCHITECTURE_COLORS = {
+        ring: '#ffd166',
+        star: '#06d6a0',
+        combBackbone: '#3366ff',
+        combBranch: '#ef476f',
+        blockA: '#ff0055',
+        blockB: '#39d0d8'
+    };
+
+    // Split `total` nodes into `parts` runs whose lengths differ by at most one
+    function splitEvenly(total, parts) {
+        const sizes = [];
+        for (let k = 0; k < parts; k++) sizes.push(Math.floor(total / parts) + (k < total % parts ? 1 : 0));
+        return sizes;
+    }
+
+    const ARCHITECTURES = {
+        linear: {
+            name: '直鎖 (Linear)',
+            minNodes: 2,
+            params: [],
+            strands: (n, config, color) => ({
+                strands: [{ attach: -1, from: 0, to: n, closed: false, color }],
+                ends: [0, n - 1],
+                contour: n - 1
+            })
+        },
+        ring: {
+            name: '環状 (Ring)',
+            minNodes: 4, // Smaller rings cannot open their bond angles to minAngleDeg
+            params: [],
+            // End-to-end vector: across the ring, between opposite nodes
+            strands: (n) => ({
+                strands: [{ attach: -1, from: 0, to: n, closed: true, color: ARCHITECTURE_COLORS.ring }],
+                ends: [0, Math.floor(n / 2)],
+                contour: Math.floor(n / 2)
+            })
+        },
+        star: {
+            name: '星型 (Star)',
+            minNodes: 2,
+            params: ['armCount'],
+            // Node 0 is the core, at the root of the first arm; the other arms
+            // attach to it. The end-to-end vector spans the tips of the first
+            // two arms.
+            strands: (n, config) => {
+                const arms = splitEvenly(n - 1, Math.max(1, Math.min(Math.round(config.armCount), n - 1)));
+                const strands = [];
+                let from = 1;
+                for (const size of arms) {
+                    const root = from === 1;
+                    strands.push({
+                        attach: root ? -1 : 0,
+                        from: root ? 0 : from,
+                        to: from + size,
+                        closed: false,
+                        color: ARCHITECTURE_COLORS.star
+                    });
+                    from += size;
+                }
+                if (arms.length === 1) return { strands, ends: [0, n - 1], contour: n - 1 };
+                return { strands, ends: [arms[0], arms[0] + arms[1]], contour: arms[0] + arms[1] };
+            }
+        },
+        comb: {
+            name: '櫛型 (Comb)',
+            minNodes: 2,
+            params: ['branchCount'],
+            // About half the nodes form the backbone; the rest are branchCount
+            // equal side chains at evenly spaced backbone nodes
+            strands: (n, config) => {
+                const teeth = Math.max(0, Math.round(config.branchCount));
+                const toothLength = teeth > 0 ? Math.floor(n / (2 * teeth)) : 0;
+                if (toothLength < 1) return ARCHITECTURES.linear.strands(n, config, ARCHITECTURE_COLORS.combBackbone);
+
+                const backbone = n - teeth * toothLength;
+                const strands = [{ attach: -1, from: 0, to: backbone, closed: false, color: ARCHITECTURE_COLORS.combBackbone }];
+                for (let k = 0; k < teeth; k++) {
+                    const from = backbone + k * toothLength;
+                    const attach = Math.min(Math.round((k + 1) * backbone / (teeth + 1)), backbone - 1);
+                    strands.push({ attach, from, to: from + toothLength, closed: false, color: ARCHITECTURE_COLORS.combBranch });
+                }
+                return { strands, ends: [0, backbone - 1], contour: backbone - 1 };
+            }
+        },
+        block: {
+            name: 'ブロック共重合体 (Block A-B)',
+            minNodes: 2,
+            params: ['blockFraction'],
+            // A linear chain whose first blockFraction of nodes are block A
+            strands: (n, config) => {
+                const a = Math.min(Math.max(Math.round(n * config.blockFraction), 1), n - 1);
+                return {
+                    strands: [
+                        { attach: -1, from: 0, to: a, closed: false, color: ARCHITECTURE_COLORS.blockA },
+                        { attach: a - 1, from: a, to: n, closed: false, through: a >= 2, color: ARCHITECTURE_COLORS.blockB }
+                    ],
+                    ends: [0, n - 1],
+                    contour: n - 1
+                };
+            }
+        }
+    };
+
+    // Bond pairs and bending-angle triples (prev, centre, next) of a set of strands
+    function linkStrands({ strands, ends, contour }) {
+        const bonds = [];
+        const angles = [];
+        for (const s of strands) {
+            const path = [];
+            if (s.attach >= 0) {
+                if (s.through) path.push(s.attach - 1);
+                path.push(s.attach);
+            }
+            for (let i = s.from; i < s.to; i++) path.push(i);
+            if (s.closed) path.push(s.from, s.from + 1);
+
+            const firstBond = s.attach >= 0 && s.through ? 1 : 0;
+            const lastBond = s.closed ? path.length - 2 : path.length - 1;
+            for (let k = firstBond; k < lastBond; k++) bonds.push(path[k], path[k + 1]);
+            for (let k = 0; k + 2 < path.length; k++) angles.push(path[k], path[k + 1], path[k + 2]);
+        }
+        return {
+            strands,
+            ends,
+            contour,
+            bonds: Int32Array.from(bonds),
+            angles: Int32Array.from(angles)
+        };
+    }
+
+    // --- Chain Length Distributions ---
+    // Node counts with number average config.segmentCount and dispersity
+    // Mw / Mn = config.pdi.
+
+    const MAX_CHAIN_NODES = 2000;
+
+    // Config keys that define the chain topology (Simulation.setChainTopology)
+    const TOPOLOGY_KEYS = ['architecture', 'armCount', 'branchCount', 'blockFraction', 'lengthDistribution', 'pdi'];
+
+    // Standard normal deviate (Box–Muller)
+    function normalSample(random) {
+        return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    }
+
+    // Gamma(shape, 1) deviate (Marsaglia–Tsang; shapes below 1 by boosting)
+    function gammaSample(shape, random) {
+        if (shape < 1) return gammaSample(shape + 1, random) * Math.pow(1 - random(), 1 / shape);
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        for (;;) {
+            let z, v;
+            do {
+                z = normalSample(random);
+                v = 1 + c * z;
+            } while (v <= 0);
+            v = v * v * v;
+            if (Math.log(1 - random()) < 0.5 * z * z + d - d * v + d * Math.log(v)) return d * v;
+        }
+    }
+
+    const LENGTH_DISTRIBUTIONS = {
+        monodisperse: {
+            name: '単分散 (Monodisperse)',
+            sample: (mean) => mean
+        },
+        // Number distribution Gamma(k, Nn / k) with k = 1 / (PDI - 1)
+        schulzZimm: {
+            name: 'Schulz–Zimm',
+            sample: (mean, pdi, random) => {
+                if (pdi <= 1) return mean;
+                const k = 1 / (pdi - 1);
+                return gammaSample(k, random) * mean / k;
+            }
+        },
+        // ln N normal with σ² = ln PDI and mean ln Nn - σ² / 2
+        logNormal: {
+            name: '対数正規 (Log-normal)',
+            sample: (mean, pdi, random) => {
+                const s2 = Math.log(Math.max(pdi, 1));
+                return mean * Math.exp(Math.sqrt(s2) * normalSample(random) - s2 / 2);
+            }
+        }
+    };
+
+    // Node count of a new chain
+    function sampleChainLength(config, random) {
+        const distribution = LENGTH_DISTRIBUTIONS[config.lengthDistribution];
+        const n = Math.round(distribution.sample(config.segmentCount, config.pdi, random));
+        return Math.min(Math.max(n, ARCHITECTURES[config.architecture].minNodes), MAX_CHAIN_NODES);
+    }
+
+    // --- Physics Classes ---
+
+    // A bead chain: nodes [start, start + count) of the simulation's
+    // NodeStore, connected as the configured architecture (see ARCHITECTURES)
+    class Polymer {
+        constructor(sim, x, y, color) {
+            this.sim = sim;
+            this.color = color;
+
+            const config = sim.config;
+            const random = sim.random;
+
+            this.count = sampleChainLength(config, random);
+            this.start = sim.nodes.allocate(this.count);
+            this.setTopology();
+            const nodes = sim.nodes;
+            nodes.vx.fill(0, this.start, this.end);
+            nodes.vy.fill(0, this.start, this.end);
+
+            // Initialize strands in a somewhat random coil, each growing from
+            // its attachment node; rings start as circles
+            for (const strand of this.strands) {
+                if (strand.closed) {
+                    this.placeRing(strand, x, y);
+                    continue;
+                }
+                let currentX = x;
+                let currentY = y;
+                const walk = () => {
+                    // Random walk initialization
+                    const angle = random() * Math.PI * 2;
+                    currentX += Math.cos(angle) * config.segmentLength;
+                    currentY += Math.sin(angle) * config.segmentLength;
+                };
+                if (strand.attach >= 0) {
+                    currentX = nodes.x[this.start + strand.attach];
+                    currentY = nodes.y[this.start + strand.attach];
+                    walk();
+                }
+                for (let i = this.start + strand.from; i < this.start + strand.to; i++) {
+                    nodes.x[i] = currentX;
+                    nodes.y[i] = currentY;
+                    walk();
+                }
+            }
+        }
+
+        // Nodes of a closed strand on a circle around (cx, cy) whose chords
+        // are one segment long
+        placeRing(strand, cx, cy) {
+            const { x, y } = this.sim.nodes;
+            const n = strand.to - strand.from;
+            const radius = this.sim.config.segmentLength / (2 * Math.sin(Math.PI / n));
+            for (let k = 0; k < n; k++) {
+                const angle = 2 * Math.PI * k / n;
+                x[this.start + strand.from + k] = cx + Math.cos(angle) * radius;
+                y[this.start + strand.from + k] = cy + Math.sin(angle) * radius;
+            }
+        }
+
+        // Strands, bonds (local node pairs), bond angles (local triples), ends
+        // and contour of the configured architecture for this chain's length
+        setTopology() {
+            const { config } = this.sim;
+            const topology = linkStrands(ARCHITECTURES[config.architecture].strands(this.count, config, this.color));
+            this.strands = topology.strands;
+            this.bonds = topology.bonds;
+            this.angles = topology.angles;
+            this.ends = topology.ends;
+            this.contour = topology.contour;
+            this.bondTension = new Float64Array(this.bonds.length / 2); // Constraint tension per bond, set by each solve
+        }
+
+        // Rebuilds a chain from saved [x, y, vx, vy] nodes without drawing
+        // random numbers (the constructor's random walk would advance the PRNG)
+        static restore(sim, { color, nodes }) {
+            const polymer = Object.create(Polymer.prototype);
+            polymer.sim = sim;
+            polymer.color = color;
+            polymer.count = nodes.length;
+            polymer.start = sim.nodes.allocate(nodes.length);
+
+            const { x, y, vx, vy } = sim.nodes;
+            nodes.forEach(([px, py, pvx, pvy], i) => {
+                const k = polymer.start + i;
+                x[k] = px;
+                y[k] = py;
+                vx[k] = pvx;
+                vy[k] = pvy;
+            });
+            polymer.setTopology();
+            return polymer;
+        }
+
+        get end() {
+            return this.start + this.count;
+        }
+
+        // One BAOAB Langevin step of length dt. Bonds, bond angles and excluded
+        // volume are constraints solved after the step, so the force (B) parts
+        // are empty and the splitting reduces to A-O-A: half a drift, an exact
+        // Ornstein–Uhlenbeck update of the velocity relative to the local flow,
+        // another half drift. The noise amplitude follows from the
+        // fluctuation–dissipation theorem, so velocities relative to the flow
+        // have variance kT per component for any dt.
+        update(dt) {
+            const sim = this.sim;
+            const { config, random } = sim;
+            const { x, y, vx, vy } = sim.nodes;
+
+            const geometry = sim.flowGeometry();
+            const c1 = Math.exp(-config.drag * dt);
+            const c2 = Math.sqrt((1 - c1 * c1) * config.temperature);
+            const half = dt / 2;
+            const flow = { vx: 0, vy: 0 };
+
+            for (let i = this.start; i < this.end; i++) {
+                // A: half drift
+                x[i] += vx[i] * half;
+                y[i] += vy[i] * half;
+
+                // Local velocity of the imposed flow (see FLOW_GEOMETRIES)
+                geometry.velocity(sim, x[i], y[i], flow);
+                const flowVx = flow.vx;
+                const flowVy = flow.vy;
+
+                // O: relax towards the flow plus Brownian noise (Box–Muller normals)
+                const r = Math.sqrt(-2 * Math.log(1 - random()));
+                const angle = random() * Math.PI * 2;
+                vx[i] = flowVx + c1 * (vx[i] - flowVx) + c2 * r * Math.cos(angle);
+                vy[i] = flowVy + c1 * (vy[i] - flowVy) + c2 * r * Math.sin(angle);
+
+                // A: half drift
+                x[i] += vx[i] * half;
+                y[i] += vy[i] * half;
+            }
+
+            this.wrap();
+        }
+
+        // Periodic boundaries, applied to whole chains so bonds never need
+        // wrapping: the centroid is kept in the primary box. With Lees–Edwards
+        // boundaries, leaving through the top or bottom maps the chain onto the
+        // sliding image, shifted by the box offset in x and by the
+        // flow-velocity jump. Walls reflect single nodes instead, and chains
+        // leaving the extensional cell are recycled.
+        wrap() {
+            const { width, height, boxOffset } = this.sim;
+            const geometry = this.sim.flowGeometry();
+            const centroid = this.getCentroid();
+
+            let ky = 0;
+            if (geometry.walls) {
+                this.confine();
+            } else {
+                ky = Math.floor(centroid.y / height);
+                if (ky !== 0) this.shift(-ky * boxOffset, -ky * height);
+                if (ky !== 0 && geometry.leesEdwards) {
+                    const dv = -ky * this.sim.shearGradient() * height;
+                    const vx = this.sim.nodes.vx;
+                    for (let i = this.start; i < this.end; i++) vx[i] += dv;
+                }
+            }
+
+            if (geometry.periodicX) {
+                const kx = Math.floor((centroid.x - ky * boxOffset) / width);
+                if (kx !== 0) this.shift(-kx * width, 0);
+            } else if (centroid.x < 0 || centroid.x >= width) {
+                this.recycle();
+            }
+        }
+
+        // No-slip walls at y = 0 and y = H: nodes that crossed are mirrored
+        // back into the channel and stop moving outwards
+        confine() {
+            const { height } = this.sim;
+            const { y, vy } = this.sim.nodes;
+            for (let i = this.start; i < this.end; i++) {
+                if (y[i] < 0) {
+                    y[i] = Math.min(-y[i], height);
+                    vy[i] = Math.abs(vy[i]);
+                } else if (y[i] > height) {
+                    y[i] = Math.max(2 * height - y[i], 0);
+                    vy[i] = -Math.abs(vy[i]);
+                }
+            }
+        }
+
+        // Planar extension: a chain carried out through the left or right
+        // (outflow) edge re-enters near the top or bottom (inflow) edge, close
+        // to the inflow axis, moving with the local flow
+        recycle() {
+            const sim = this.sim;
+            const { width, height, random } = sim;
+            const geometry = sim.flowGeometry();
+            const centroid = this.getCentroid();
+
+            const targetX = width / 2 + (random() - 0.5) * width * 0.2;
+            const targetY = random() < 0.5 ? height * 0.05 : height * 0.95;
+            this.shift(targetX - centroid.x, targetY - centroid.y);
+
+            const { x, y, vx, vy } = sim.nodes;
+            const flow = { vx: 0, vy: 0 };
+            for (let i = this.start; i < this.end; i++) {
+                geometry.velocity(sim, x[i], y[i], flow);
+                vx[i] = flow.vx;
+                vy[i] = flow.vy;
+            }
+        }
+
+        // 3. Constraints Solver (run by Simulation after inter-chain excluded volume)
+        // Passes of distance then angle correction: angularConstraintIterations
+        // of them with the fixed solver. The tolerance solver stops once every
+        // bond is within constraintTolerance (relative to segmentLength) after
+        // a pass, or after maxConstraintIterations passes. Returns the passes
+        // run and whether the tolerance was reached (always true when fixed).
+        //
+        // The constraint tension of a bond is the length the solver removed
+        // from it over the whole solve, per unit time. Unlike a sum over the
+        // passes it does not grow with their number, and it does not depend
+        // on dt.
+        solveConstraints(dt) {
+            const {
+                angularConstraintIterations, constraintSolver, constraintTolerance,
+                maxConstraintIterations, segmentLength
+            } = this.sim.config;
+            const { untilTolerance } = CONSTRAINT_SOLVERS[constraintSolver];
+            const maxPasses = untilTolerance ? maxConstraintIterations : angularConstraintIterations;
+            const tolerance = constraintTolerance * segmentLength;
+            const tension = this.bondTension;
+
+            for (let b = 0; b < this.bonds.length; b += 2) tension[b >> 1] = this.bondLength(b);
+
+            let passes = 0;
+            let converged = !untilTolerance;
+            while (passes < maxPasses) {
+                this.resolveDistanceConstraints();
+                this.resolveAngularConstraints();
+                passes++;
+                if (untilTolerance && this.maxBondError() <= tolerance) {
+                    converged = true;
+                    break;
+                }
+            }
+            if (this.sim.flowGeometry().walls) this.confine();
+
+            for (let b = 0; b < this.bonds.length; b += 2) {
+                tension[b >> 1] = (tension[b >> 1] - this.bondLength(b)) / dt;
+            }
+            return { passes, converged };
+        }
+
+        // Length of the bond at offset b of `bonds`
+        bondLength(b) {
+            const { x, y } = this.sim.nodes;
+            const i = this.start + this.bonds[b];
+            const j = this.start + this.bonds[b + 1];
+            return Math.hypot(x[j] - x[i], y[j] - y[i]);
+        }
+
+        // Largest |length - segmentLength| over the chain's bonds
+        maxBondError() {
+            const { segmentLength } = this.sim.config;
+            let maxError = 0;
+            for (let b = 0; b < this.bonds.length; b += 2) {
+                maxError = Math.max(maxError, Math.abs(this.bondLength(b) - segmentLength));
+            }
+            return maxError;
+        }
+
+        getCentroid() {
+            const { x, y } = this.sim.nodes;
+            let cx = 0, cy = 0;
+            for (let i = this.start; i < this.end; i++) { cx += x[i]; cy += y[i]; }
+            return { x: cx / this.count, y: cy / this.count };
+        }
+
+        shift(dx, dy) {
+            const { x, y } = this.sim.nodes;
+            for (let i = this.start; i < this.end; i++) {
+                x[i] += dx;
+                y[i] += dy;
+            }
+        }
+
+        // One pass over the bonds, moving both ends of each towards segmentLength
+        resolveDistanceConstraints() {
+            const { segmentLength } = this.sim.config;
+            const { x, y } = this.sim.nodes;
+            const { bonds, start } = this;
+
+            for (let b = 0; b < bonds.length; b += 2) {
+                const i = start + bonds[b];
+                const j = start + bonds[b + 1];
+                const dx = x[j] - x[i];
+                const dy = y[j] - y[i];
+                const dist = Math.sqrt(dx * dx + dy * dy);
+
+                if (dist === 0) continue;
+
+                const diff = dist - segmentLength;
+                const correction = diff / dist * 0.5;
+
+                const offX = dx * correction;
+                const offY = dy * correction;
+
+                x[i] += offX;
+                y[i] += offY;
+                x[j] -= offX;
+                y[j] -= offY;
+            }
+        }
+
+        // Adds the chain's relative bond-length errors and its bond angles
+        // sharper than minAngleDeg to `out` (see Simulation.measureConstraints)
+        addConstraintErrors(out) {
+            const { segmentLength, minAngleDeg } = this.sim.config;
+            const { x, y } = this.sim.nodes;
+            const { bonds, angles, start } = this;
+            const minAngleCos = Math.cos(minAngleDeg * Math.PI / 180);
+
+            for (let b = 0; b < bonds.length; b += 2) {
+                const i = start + bonds[b];
+                const j = start + bonds[b + 1];
+                const error = Math.abs(Math.hypot(x[j] - x[i], y[j] - y[i]) - segmentLength) / segmentLength;
+                out.sumSq += error * error;
+                if (error > out.maxError) out.maxError = error;
+                out.bonds++;
+            }
+
+            for (let a = 0; a < angles.length; a += 3) {
+                const prev = start + angles[a];
+                const i = start + angles[a + 1];
+                const next = start + angles[a + 2];
+                const ax = x[prev] - x[i];
+                const ay = y[prev] - y[i];
+                const bx = x[next] - x[i];
+                const by = y[next] - y[i];
+                const lengths = Math.sqrt((ax * ax + ay * ay) * (bx * bx + by * by));
+                if (lengths === 0) continue;
+
+                const cos = (ax * bx + ay * by) / lengths;
+                if (cos > minAngleCos + 1e-9) out.violations++;
+                if (cos > out.maxCos) out.maxCos = cos;
+                out.angles++;
+            }
+        }
+
+        // Bond virial (Kramers form): adds sum of r_b ⊗ F_b over the bonds to `out`.
+        // F_b follows the constraint tension of the last solve (solveConstraints).
+        addStress(out) {
+            const { k_stiffness } = this.sim.config;
+            const { x, y } = this.sim.nodes;
+            const { bonds, start } = this;
+
+            for (let b = 0; b < bonds.length; b += 2) {
+                const i = start + bonds[b];
+                const j = start + bonds[b + 1];
+                const dx = x[j] - x[i];
+                const dy = y[j] - y[i];
+                const dist = Math.sqrt(dx * dx + dy * dy);
+
+                if (dist === 0) continue;
+
+                const f = k_stiffness * this.bondTension[b >> 1] / dist;
+                out.xx += f * dx * dx;
+                out.xy += f * dx * dy;
+                out.yy += f * dy * dy;
+            }
+        }
+
+        // Squared radius of gyration and end-to-end vector of the chain (between
+        // the architecture's two end nodes)
+        getConformation() {
+            const { x, y } = this.sim.nodes;
+            const c = this.getCentroid();
+            let rg2 = 0;
+            for (let i = this.start; i < this.end; i++) {
+                const dx = x[i] - c.x;
+                const dy = y[i] - c.y;
+                rg2 += dx * dx + dy * dy;
+            }
+            const first = this.start + this.ends[0];
+            const last = this.start + this.ends[1];
+            return {
+                rg2: rg2 / this.count,
+                endX: x[last] - x[first],
+                endY: y[last] - y[first]
+            };
+        }
+
+        // Adds cos(2θ) and sin(2θ) of every bond to `out` for the 2D nematic tensor
+        addBondOrder(out) {
+            const { x, y } = this.sim.nodes;
+            const { bonds, start } = this;
+            for (let b = 0; b < bonds.length; b += 2) {
+                const dx = x[start + bonds[b + 1]] - x[start + bonds[b]];
+                const dy = y[start + bonds[b + 1]] - y[start + bonds[b]];
+                const len2 = dx * dx + dy * dy;
+                if (len2 === 0) continue;
+
+                // Double-angle identities avoid calling atan2 per bond
+                out.c += (dx * dx - dy * dy) / len2;
+                out.s += (2 * dx * dy) / len2;
+                out.count++;
+            }
+        }
+
+        // Opens bond angles sharper than minAngleDeg; with bending stiffness
+        // every angle is also pulled part of the way towards straight
+        resolveAngularConstraints() {
+            const { minAngleDeg, segmentLength, bendingStiffness } = this.sim.config;
+            const { x, y } = this.sim.nodes;
+            const { angles, start } = this;
+            const minAngleCos = Math.cos(minAngleDeg * Math.PI / 180);
+
+            for (let a = 0; a < angles.length; a += 3) {
+                const prev = start + angles[a];
+                const i = start + angles[a + 1];
+                const next = start + angles[a + 2];
+
+                let ax = x[prev] - x[i];
+                let ay = y[prev] - y[i];
+                const aLen = Math.sqrt(ax * ax + ay * ay);
+
+                let bx = x[next] - x[i];
+                let by = y[next] - y[i];
+                const bLen = Math.sqrt(bx * bx + by * by);
+
+                if (aLen < 0.001 || bLen < 0.001) continue;
+
+                const uax = ax / aLen;
+                const uay = ay / aLen;
+                const ubx = bx / bLen;
+                const uby = by / bLen;
+
+                const dot = uax * ubx + uay * uby;
+
+                if (dot > minAngleCos) {
+                    const pnx = x[next] - x[prev];
+                    const pny = y[next] - y[prev];
+                    const pnLen = Math.sqrt(pnx * pnx + pny * pny);
+
+                    if (pnLen > 0) {
+                        const pushFactor = 0.05 * (dot - minAngleCos);
+
+                        const pushX = (pnx / pnLen) * pushFactor * segmentLength;
+                        const pushY = (pny / pnLen) * pushFactor * segmentLength;
+
+                        x[prev] -= pushX;
+                        y[prev] -= pushY;
+                        x[next] += pushX;
+                        y[next] += pushY;
+                    }
+                }
+
+                // Bending: moves the centre node a fraction of the way towards the
+                // midpoint of its neighbours and the neighbours the opposite way
+                // (centre of mass kept), which straightens without stretching
+                if (bendingStiffness > 0) {
+                    const cx = bendingStiffness * ((x[prev] + x[next]) / 2 - x[i]) / 3;
+                    const cy = bendingStiffness * ((y[prev] + y[next]) / 2 - y[i]) / 3;
+                    x[i] += 2 * cx;
+                    y[i] += 2 * cy;
+                    x[prev] -= cx;
+                    y[prev] -= cy;
+                    x[next] -= cx;
+                    y[next] -= cy;
+                }
+            }
+        }
+    }
+
+    // --- Periodic Box Helpers ---
+
+    function positiveMod(value, period) {
+        return ((value % period) + period) % period;
+    }
+
+    // Nearest wave number that fits a whole number of periods into `length`
+    function periodicWavenumber(k, length) {
+        const periods = Math.max(1, Math.round(k * length / (2 * Math.PI)));
+        return 2 * Math.PI * periods / length;
+    }
+
+    // --- Segment Geometry ---
+
+    // Closest points between segments p0-p1 and q0-q1 (Ericson, Real-Time
+    // Collision Detection 5.1.9). Writes the parameters s, t in [0, 1] and the
+    // squared distance into `out`.
+    function closestSegmentPoints(p0, p1, q0, q1, out) {
+        const d1x = p1.x - p0.x, d1y = p1.y - p0.y;
+        const d2x = q1.x - q0.x, d2y = q1.y - q0.y;
+        const rx = p0.x - q0.x, ry = p0.y - q0.y;
+        const a = d1x * d1x + d1y * d1y;
+        const e = d2x * d2x + d2y * d2y;
+        const f = d2x * rx + d2y * ry;
+        const eps = 1e-12;
+        const clamp01 = v => (v < 0 ? 0 : v > 1 ? 1 : v);
+
+        let s, t;
+        if (a <= eps && e <= eps) {
+            s = 0;
+            t = 0;
+        } else if (a <= eps) {
+            s = 0;
+            t = clamp01(f / e);
+        } else {
+            const c = d1x * rx + d1y * ry;
+            if (e <= eps) {
+                t = 0;
+                s = clamp01(-c / a);
+            } else {
+                const b = d1x * d2x + d1y * d2y;
+                const denom = a * e - b * b;
+                s = denom !== 0 ? clamp01((b * f - c * e) / denom) : 0;
+                t = (b * s + f) / e;
+                if (t < 0) {
+                    t = 0;
+                    s = clamp01(-c / a);
+                } else if (t > 1) {
+                    t = 1;
+                    s = clamp01((b - c) / a);
+                }
+            }
+        }
+
+        const dx = (p0.x + d1x * s) - (q0.x + d2x * t);
+        const dy = (p0.y + d1y * s) - (q0.y + d2y * t);
+        out.s = s;
+        out.t = t;
+        out.dist2 = dx * dx + dy * dy;
+    }
+
+    // True when the segments properly intersect (strict orientation test)
+    function segmentsCross(p0, p1, q0, q1) {
+        const cross = (ax, ay, bx, by) => ax * by - ay * bx;
+        const dpx = p1.x - p0.x, dpy = p1.y - p0.y;
+        const dqx = q1.x - q0.x, dqy = q1.y - q0.y;
+        const o1 = cross(dpx, dpy, q0.x - p0.x, q0.y - p0.y);
+        const o2 = cross(dpx, dpy, q1.x - p0.x, q1.y - p0.y);
+        const o3 = cross(dqx, dqy, p0.x - q0.x, p0.y - q0.y);
+        const o4 = cross(dqx, dqy, p1.x - q0.x, p1.y - q0.y);
+        return o1 * o2 < 0 && o3 * o4 < 0;
+    }
+
+    // Moves the point at parameter s on the bond from node i to node j by
+    // (dx, dy), splitting the displacement between both nodes (position-based
+    // weighting).
+    function pushBond(nodes, i, j, s, dx, dy) {
+        const { x, y } = nodes;
+        const w0 = 1 - s;
+        const w1 = s;
+        const norm = w0 * w0 + w1 * w1;
+        x[i] += dx * w0 / norm;
+        y[i] += dy * w0 / norm;
+        x[j] += dx * w1 / norm;
+        y[j] += dy * w1 / norm;
+    }
+
+    // --- Simulation ---
+
+    class Simulation {
+        constructor({ width, height, config = {}, seed = randomSeed(), shearRate = 0 } = {}) {
+            this.config = { ...DEFAULT_CONFIG, ...config };
+            this.width = width;
+            this.height = height;
+
+            this.seed = seed >>> 0;
+            this.random = createRng(this.seed);
+
+            this.shearRate = shearRate; // 0 to 100 effectively
+            this.time = 0;      // Clock of the flow field
+            this.strain = 0;    // Accumulated shear strain (integral of shearGradient over time)
+            this.boxOffset = 0; // Lees–Edwards image offset in x, strain * height mod width (0 without Lees–Edwards)
+            this.stepCount = 0; // Steps since the last init()
+            this.drag = null;   // Node held by the mouse: { chain, node (index in the chain), x, y }
+            this.nodes = new NodeStore();
+            this.polymers = [];
+
+            // Replay log: starting conditions of the run plus every control input
+            // tagged with the step at which it was applied.
+            this.replayHeader = null;
+            this.inputLog = [];
+            this.lastDt = null;
+
+            this.stress = { xx: 0, xy: 0, yy: 0 }; // Polymer stress tensor of the last step
+            this.conformation = null;               // Conformation metrics of the last step
+            this.contacts = { partners: 0, pairs: 0, crossings: 0 }; // Inter-chain contacts of the last step
+            this.constraints = null;                // Constraint diagnostics of the last step
+
+            // Cell-list buffers for the excluded-volume pass (grown on demand)
+            this.cellHead = new Int32Array(0);
+            this.bondNext = new Int32Array(0);
+            this.bondChain = new Int32Array(0);
+            this.bondNode = new Int32Array(0);
+            this.bondOther = new Int32Array(0);
+            this.evCursor = 0; // Start of the next excluded-volume window
+
+            // Measured flow curve: rounded shear rate -> { sum, sumSq, count } of tau_xy
+            this.stressStats = new Map();
+            this.lastStressRate = 0;
+            this.settleCounter = 0;
+
+            this.init();
+        }
+
+        // Regenerate all chains in clusters (the initial entangled state).
+        // Reseeds the generator, so the same seed always yields the same run.
+        init(seed = this.seed) {
+            const { width, height, config } = this;
+            this.seed = seed >>> 0;
+            this.random = createRng(this.seed);
+            const random = this.random;
+
+            this.time = 0;
+            this.strain = 0;
+            this.boxOffset = 0;
+            this.stepCount = 0;
+            this.evCursor = 0;
+            this.drag = null;
+            this.nodes.truncate(0);
+            this.polymers = [];
+            this.resetStressStats();
+            this.conformation = null;
+            this.constraints = null;
+
+            this.replayHeader = {
+                seed: this.seed,
+                width,
+                height,
+                shearRate: this.shearRate,
+                config: { ...config }
+            };
+            this.inputLog = [];
+            this.lastDt = null;
+
+            // Create cluster centers (e.g., 50 clusters)
+            const clusterCount = 50;
+            const clusters = [];
+            for (let k = 0; k < clusterCount; k++) {
+                clusters.push({
+                    x: width * 0.15 + random() * width * 0.7,
+                    y: height * 0.2 + random() * height * 0.6
+                });
+            }
+
+            for (let i = 0; i < config.polymerCount; i++) {
+                // Distribute among clusters
+                const cluster = clusters[i % clusterCount];
+
+                // Random placement around the cluster center (radius ~100px)
+                const angle = random() * Math.PI * 2;
+                const dist = random() * 80;
+
+                const x = cluster.x + Math.cos(angle) * dist;
+                const y = cluster.y + Math.sin(angle) * dist;
+
+                const color = INITIAL_COLORS[i % INITIAL_COLORS.length];
+                this.polymers.push(new Polymer(this, x, y, color));
+            }
+        }
+
+        logInput(type, value) {
+            this.inputLog.push({ step: this.stepCount, type, value });
+        }
+
+        resize(width, height) {
+            if (this.width === width && this.height === height) return;
+            this.width = width;
+            this.height = height;
+            this.updateBoxOffset();
+            this.logInput('resize', { width, height });
+        }
+
+        flowGeometry() {
+            return FLOW_GEOMETRIES[this.config.flowGeometry];
+        }
+
+        // Velocity of the imposed flow at (x, y); writes { vx, vy } to `out`
+        flowVelocity(x, y, out) {
+            this.flowGeometry().velocity(this, x, y, out);
+        }
+
+        updateBoxOffset() {
+            this.boxOffset = this.flowGeometry().leesEdwards ? positiveMod(this.strain * this.height, this.width) : 0;
+        }
+
+        // Velocity gradient of the imposed shear flow, per unit time (slider 0-100)
+        shearGradient() {
+            return (this.shearRate / 100) * SHEAR_GRADIENT;
+        }
+
+        // Turbulent part of the flow field (no mean shear). Wave numbers are
+        // rounded to whole periods of the box, and x-dependent terms use
+        // sheared coordinates x - (y - H/2)·strain, so the field matches its
+        // Lees–Edwards images. The sheared coordinates are remapped every 2W/H
+        // of strain (which keeps the pattern from tilting without bound); two
+        // copies, staggered by W/H, are cross-faded so the remap never shows.
+        turbulenceAt(x, y, out) {
+            // |shearRate| 0-100 controls turbulence intensity (negative rates shear the other way)
+            const intensity = Math.abs(this.shearRate) * 0.75; // Boosted turbulence
+            if (intensity === 0) {
+                out.vx = 0;
+                out.vy = 0;
+                return;
+            }
+
+            const { width, height, time } = this;
+            const scale = 0.005; // Scale for noise frequency
+            const kxSlow = periodicWavenumber(scale * 0.5, width);
+            const kxFast = periodicWavenumber(scale, width);
+            const kySlow = periodicWavenumber(scale * 0.5, height);
+            const kyFast = periodicWavenumber(scale, height);
+
+            const period = 2 * width / height;
+            const strain1 = positiveMod(this.strain, period);
+            const strain2 = positiveMod(this.strain + period / 2, period);
+            const w1 = Math.sin(Math.PI * strain1 / period) ** 2;
+            const w2 = 1 - w1;
+            const yc = y - height / 2;
+            const xs1 = x - yc * strain1;
+            const xs2 = x - yc * strain2;
+
+            out.vx = intensity * (
+                Math.sin(y * kyFast + time) +
+                w1 * Math.cos(xs1 * kxSlow + time * 0.7) +
+                w2 * Math.cos(xs2 * kxSlow + time * 0.7)
+            );
+            out.vy = intensity * (
+                w1 * Math.sin(xs1 * kxFast - time * 0.5) +
+                w2 * Math.sin(xs2 * kxFast - time * 0.5) +
+                Math.cos(y * kySlow + time)
+            );
+        }
+
+        // Minimum image of the displacement (dx, dy) along the periodic
+        // directions (Lees–Edwards across the top/bottom edge); writes it to `out`
+        minimumImage(dx, dy, out) {
+            const { periodicX, periodicY } = this.flowGeometry();
+            if (periodicY) {
+                const ky = Math.round(dy / this.height);
+                dy -= ky * this.height;
+                dx -= ky * this.boxOffset;
+            }
+            if (periodicX) dx -= Math.round(dx / this.width) * this.width;
+            out.x = dx;
+            out.y = dy;
+        }
+
+        setShearRate(rate) {
+            if (this.shearRate === rate) return;
+            this.shearRate = rate;
+            this.logInput('shearRate', rate);
+        }
+
+        // Adds chains at random positions or removes the most recent ones
+        setPolymerCount(count) {
+            if (this.config.polymerCount === count) return;
+            this.config.polymerCount = count;
+            this.logInput('polymerCount', count);
+            this.resetStressStats(); // Measured curve belongs to the old concentration
+
+            if (count > this.polymers.length) {
+                const needed = count - this.polymers.length;
+                for (let k = 0; k < needed; k++) {
+                    this.polymers.push(new Polymer(
+                        this,
+                        this.random() * this.width,
+                        this.random() * this.height,
+                        ADDED_COLORS[this.polymers.length % ADDED_COLORS.length]
+                    ));
+                }
+            } else {
+                this.polymers.splice(count);
+                this.nodes.truncate(count > 0 ? this.polymers[count - 1].end : 0);
+                if (this.drag && this.drag.chain >= count) this.drag = null;
+            }
+        }
+
+        setExcludedVolume(enabled) {
+            if (this.config.excludedVolume === enabled) return;
+            this.config.excludedVolume = enabled;
+            this.logInput('excludedVolume', enabled);
+        }
+
+        // Switches the flow and boundaries; chains are kept and brought inside
+        // the new boundaries by the next step
+        setFlowGeometry(id) {
+            if (this.config.flowGeometry === id) return;
+            if (!FLOW_GEOMETRIES[id]) throw new Error(`Unknown flow geometry: ${id}`);
+            this.config.flowGeometry = id;
+            this.logInput('flowGeometry', id);
+            this.updateBoxOffset();
+            this.resetStressStats(); // Measured curve belongs to the old flow
+        }
+
+        // Switches between the CONSTRAINT_SOLVERS from the next step
+        setConstraintSolver(id) {
+            if (this.config.constraintSolver === id) return;
+            if (!CONSTRAINT_SOLVERS[id]) throw new Error(`Unknown constraint solver: ${id}`);
+            this.config.constraintSolver = id;
+            this.logInput('constraintSolver', id);
+            this.resetStressStats(); // Measured curve belongs to the old solver
+        }
+
+        // Chain length changes require regenerating every chain
+        setSegmentCount(count) {
+            if (this.config.segmentCount === count) return;
+            this.config.segmentCount = count;
+            this.init();
+        }
+
+        // Architecture and length distribution (any of TOPOLOGY_KEYS); like the
+        // chain length, a new topology regenerates every chain
+        setChainTopology(changes) {
+            for (const key of Object.keys(changes)) {
+                if (!TOPOLOGY_KEYS.includes(key)) throw new Error(`Unknown topology setting: ${key}`);
+            }
+            if (changes.architecture !== undefined && !ARCHITECTURES[changes.architecture]) {
+                throw new Error(`Unknown architecture: ${changes.architecture}`);
+            }
+            if (changes.lengthDistribution !== undefined && !LENGTH_DISTRIBUTIONS[changes.lengthDistribution]) {
+                throw new Error(`Unknown length distribution: ${changes.lengthDistribution}`);
+            }
+            if (Object.keys(changes).every(key => this.config[key] === changes[key])) return;
+            Object.assign(this.config, changes);
+            this.init();
+        }
+
+        // Holds node `node` of chain `chain` at (x, y) from the next step on,
+        // or releases it (null). Logged like the other controls, so replays
+        // repeat the pulls.
+        setDrag(drag) {
+            if (drag && !(drag.chain >= 0 && drag.chain < this.polymers.length
+                && drag.node >= 0 && drag.node < this.polymers[drag.chain].count)) {
+                throw new Error('No such node to drag');
+            }
+            if (!drag && !this.drag) return;
+            this.drag = drag ? { chain: drag.chain, node: drag.node, x: drag.x, y: drag.y } : null;
+            this.logInput('drag', this.drag ? { ...this.drag } : null);
+        }
+
+        // Moves the held node onto the nearest image of the drag point and
+        // lets it move with the local flow; the constraint solver then pulls
+        // the rest of the chain after it (and the bond tension enters the
+        // stress)
+        applyDrag() {
+            const drag = this.drag;
+            if (!drag) return;
+            const i = this.polymers[drag.chain].start + drag.node;
+            const { x, y, vx, vy } = this.nodes;
+            const image = { x: 0, y: 0 };
+            this.minimumImage(drag.x - x[i], drag.y - y[i], image);
+            x[i] += image.x;
+            y[i] += image.y;
+
+            const flow = { vx: 0, vy: 0 };
+            this.flowVelocity(x[i], y[i], flow);
+            vx[i] = flow.vx;
+            vy[i] = flow.vy;
+        }
+
+        setBendingStiffness(value) {
+            if (this.config.bendingStiffness === value) return;
+            this.config.bendingStiffness = value;
+            this.logInput('bendingStiffness', value);
+        }
+
+        // Spring, friction, noise, constraint and excluded-volume parameters
+        // (any of PHYSICS_KEYS); they apply from the next step
+        setPhysics(changes) {
+            for (const [key, value] of Object.entries(changes)) {
+                if (!PHYSICS_KEYS.includes(key)) throw new Error(`Unknown physics setting: ${key}`);
+                if (!Number.isFinite(value)) throw new Error(`Invalid value for ${key}: ${value}`);
+            }
+            if (Object.keys(changes).every(key => this.config[key] === changes[key])) return;
+            Object.assign(this.config, changes);
+            this.logInput('physics', { ...changes });
+            this.resetStressStats(); // Measured curve belongs to the old physics
+        }
+
+        // Advances the flow-field clock by dt and integrates one Langevin step
+        // of that length, then samples stress and conformation.
+        step(dt = 0.1) {
+            if (dt !== this.lastDt) {
+                this.logInput('dt', dt);
+                this.lastDt = dt;
+            }
+            this.time += dt;
+            this.stepCount++;
+
+            // Slide the Lees–Edwards images with the imposed flow
+            this.strain += this.shearGradient() * dt;
+            this.updateBoxOffset();
+
+            for (let p of this.polymers) {
+                p.update(dt);
+            }
+            this.applyDrag();
+
+            this.resolveExcludedVolume();
+
+            const solve = { passes: 0, maxPasses: 0, unconverged: 0 };
+            for (let p of this.polymers) {
+                const { passes, converged } = p.solveConstraints(dt);
+                solve.passes += passes;
+                solve.maxPasses = Math.max(solve.maxPasses, passes);
+                if (!converged) solve.unconverged++;
+            }
+
+            this.stress = this.measureStress();
+            this.recordStressSample(this.stress);
+            this.conformation = this.measureConformation();
+            this.constraints = this.measureConstraints(solve);
+        }
+
+        // --- Constraint Diagnostics ---
+        // How well the solver held the chains this step: the largest and RMS
+        // bond-length error relative to segmentLength, the bond angles still
+        // sharper than minAngleDeg (and the sharpest angle), the solver
+        // passes per chain and the chains the tolerance solver left
+        // unconverged at its pass cap
+        measureConstraints({ passes, maxPasses, unconverged }) {
+            const out = { bonds: 0, sumSq: 0, maxError: 0, angles: 0, violations: 0, maxCos: -1 };
+            for (const p of this.polymers) p.addConstraintErrors(out);
+            return {
+                maxBondError: out.maxError,
+                rmsBondError: out.bonds ? Math.sqrt(out.sumSq / out.bonds) : 0,
+                angles: out.angles,
+                angleViolations: out.violations,
+                sharpestAngleDeg: out.angles ? Math.acos(Math.min(out.maxCos, 1)) * 180 / Math.PI : null,
+                meanPasses: this.polymers.length ? passes / this.polymers.length : 0,
+                maxPasses,
+                unconverged
+            };
+        }
+
+        // --- Excluded Volume ---
+        // Bonds of different chains may not come closer than excludedRadius.
+        // Bonds are binned by their midpoint (wrapped into the box) into a cell
+        // list whose cells are at least segmentLength + reach wide, so only the
+        // 3x3 neighbouring cells can hold a partner. Rows across a periodic
+        // top/bottom edge are looked up around the Lees–Edwards shifted column,
+        // and pair distances use the minimum image; along walled or open
+        // directions the outermost cells also hold what lies beyond. The same
+        // pass counts contacts and crossings (also when the repulsion itself
+        // is switched off) for the entanglement metric.
+        //
+        // Dense systems cost O(contacts), so a step stops taking new bonds once
+        // excludedVolumeBudget pair tests are used up; the next step continues
+        // from there, rotating through all bonds. Counts from a window covering
+        // fraction f of the bonds see each pair with probability 2f - f², and
+        // are scaled back by that factor.
+        resolveExcludedVolume() {
+            const {
+                segmentLength, excludedVolume, excludedRadius, excludedStiffness,
+                contactDistance, excludedVolumeBudget
+            } = this.config;
+            const polymers = this.polymers;
+            const reach = Math.max(excludedRadius, contactDistance);
+            const cellSize = segmentLength + reach;
+            const { width, height, boxOffset } = this;
+            const { periodicX, periodicY } = this.flowGeometry();
+            const nx = Math.max(3, Math.floor(width / cellSize));
+            const ny = Math.max(3, Math.floor(height / cellSize));
+            const cellW = width / nx;
+            const cellH = height / ny;
+
+            let bondCount = 0;
+            for (let p of polymers) bondCount += p.bonds.length / 2;
+
+            if (this.cellHead.length < nx * ny) this.cellHead = new Int32Array(nx * ny);
+            if (this.bondNext.length < bondCount) {
+                this.bondNext = new Int32Array(bondCount);
+                this.bondChain = new Int32Array(bondCount);
+                this.bondNode = new Int32Array(bondCount);
+                this.bondOther = new Int32Array(bondCount);
+            }
+            const { cellHead, bondNext, bondChain, bondNode, bondOther, nodes } = this;
+            const { x, y } = nodes;
+            cellHead.fill(-1, 0, nx * ny);
+
+            // Bond b joins the global nodes bondNode[b] and bondOther[b]
+            const clampCell = (k, n) => Math.min(Math.max(k, 0), n - 1);
+            const column = px => (periodicX ? positiveMod(Math.floor(px / cellW), nx) : clampCell(Math.floor(px / cellW), nx));
+            const rowOf = py => clampCell(Math.floor(py / cellH), ny);
+            const wrapped = { x: 0, y: 0 };
+            const wrapMidpoint = (i, j) => {
+                const my = (y[i] + y[j]) / 2;
+                const ky = periodicY ? Math.floor(my / height) : 0;
+                const mx = (x[i] + x[j]) / 2 - ky * boxOffset;
+                wrapped.x = periodicX ? positiveMod(mx, width) : mx;
+                wrapped.y = my - ky * height;
+            };
+
+            let b = 0;
+            for (let c = 0; c < polymers.length; c++) {
+                const { bonds, start } = polymers[c];
+                for (let k = 0; k < bonds.length; k += 2, b++) {
+                    const i = start + bonds[k];
+                    const j = start + bonds[k + 1];
+                    wrapMidpoint(i, j);
+                    const cell = column(wrapped.x) + rowOf(wrapped.y) * nx;
+                    bondChain[b] = c;
+                    bondNode[b] = i;
+                    bondOther[b] = j;
+                    bondNext[b] = cellHead[cell];
+                    cellHead[cell] = b;
+                }
+            }
+
+            const reach2 = reach * reach;
+            const midReach2 = cellSize * cellSize;
+            const contact2 = contactDistance * contactDistance;
+            const closest = { s: 0, t: 0, dist2: 0 };
+            const image = { x: 0, y: 0 };
+            const a0 = { x: 0, y: 0 }; // Current end points of bond A
+            const a1 = { x: 0, y: 0 };
+            const b0s = { x: 0, y: 0 }; // Partner bond moved to its nearest image
+            const b1s = { x: 0, y: 0 };
+            const partnerPairs = new Set();
+            let lastPair = -1; // Consecutive bonds usually share a partner chain; skips Set lookups
+            let pairs = 0;
+            let crossings = 0;
+
+            const windowStart = bondCount > 0 ? this.evCursor % bondCount : 0;
+            let windowSize = 0;
+            let tests = 0;
+
+            for (let k = 0; k < bondCount && tests < excludedVolumeBudget; k++, windowSize++) {
+                const a = (windowStart + k) % bondCount;
+                const chainA = bondChain[a];
+                const ia = bondNode[a];
+                const ja = bondOther[a];
+                const amx = (x[ia] + x[ja]) / 2;
+                const amy = (y[ia] + y[ja]) / 2;
+                wrapMidpoint(ia, ja);
+                const wx = wrapped.x;
+                const cy = rowOf(wrapped.y);
+
+                for (let oy = -1; oy <= 1; oy++) {
+                    const r = cy + oy;
+                    if (!periodicY && (r < 0 || r >= ny)) continue;
+                    // Beyond the bottom/top edge sits the image shifted by ±boxOffset
+                    const cx = r < 0 ? column(wx + boxOffset) : r >= ny ? column(wx - boxOffset) : column(wx);
+                    const row = positiveMod(r, ny) * nx;
+                    for (let ox = -1; ox <= 1; ox++) {
+                        const c = cx + ox;
+                        if (!periodicX && (c < 0 || c >= nx)) continue;
+                        for (let o = cellHead[row + positiveMod(c, nx)]; o !== -1; o = bondNext[o]) {
+                            // Each pair once (skip bonds already handled in this
+                            // window), never within the same chain
+                            if (o === a || bondChain[o] === chainA) continue;
+                            if ((o - windowStart + bondCount) % bondCount < k) continue;
+                            tests++;
+
+                            const ib = bondNode[o];
+                            const jb = bondOther[o];
+                            const rawDx = (x[ib] + x[jb]) / 2 - amx;
+                            const rawDy = (y[ib] + y[jb]) / 2 - amy;
+                            this.minimumImage(rawDx, rawDy, image);
+                            const mdx = image.x;
+                            const mdy = image.y;
+                            if (mdx * mdx + mdy * mdy > midReach2) continue;
+
+                            // Earlier pushes in this pass may have moved bond A
+                            a0.x = x[ia];
+                            a0.y = y[ia];
+                            a1.x = x[ja];
+                            a1.y = y[ja];
+                            b0s.x = x[ib] + mdx - rawDx;
+                            b0s.y = y[ib] + mdy - rawDy;
+                            b1s.x = x[jb] + mdx - rawDx;
+                            b1s.y = y[jb] + mdy - rawDy;
+
+                            closestSegmentPoints(a0, a1, b0s, b1s, closest);
+                            if (closest.dist2 > reach2) continue;
+
+                            // Crossing bonds have (numerically) coincident closest points
+                            const crossing = closest.dist2 < 1e-6 && segmentsCross(a0, a1, b0s, b1s);
+                            if (crossing) crossings++;
+                            if (closest.dist2 < contact2) {
+                                pairs++;
+                                const pair = chainA * polymers.length + bondChain[o];
+                                if (pair !== lastPair) {
+                                    partnerPairs.add(pair);
+                                    lastPair = pair;
+                                }
+                            }
+
+                            if (!excludedVolume) continue;
+
+                            const dist = Math.sqrt(closest.dist2);
+                            if (!crossing && dist >= excludedRadius) continue;
+
+                            // Separation direction: between the closest points, or for
+                            // crossing bonds the normal of A towards B's midpoint
+                            let nxDir, nyDir, overlap;
+                            if (crossing || dist < 1e-6) {
+                                const ex = a1.x - a0.x;
+                                const ey = a1.y - a0.y;
+                                const len = Math.sqrt(ex * ex + ey * ey) || 1;
+                                const side = ex * mdy - ey * mdx >= 0 ? 1 : -1;
+                                nxDir = -ey / len * side;
+                                nyDir = ex / len * side;
+                                overlap = excludedRadius;
+                            } else {
+                                const { s: sa, t: tb } = closest;
+                                nxDir = ((b0s.x + (b1s.x - b0s.x) * tb) - (a0.x + (a1.x - a0.x) * sa)) / dist;
+                                nyDir = ((b0s.y + (b1s.y - b0s.y) * tb) - (a0.y + (a1.y - a0.y) * sa)) / dist;
+                                overlap = excludedRadius - dist;
+                            }
+
+                            // Half the correction per bond, shared between its two
+                            // nodes by the position of the closest point
+                            const corr = overlap * excludedStiffness * 0.5;
+                            pushBond(nodes, ia, ja, closest.s, -nxDir * corr, -nyDir * corr);
+                            pushBond(nodes, ib, jb, closest.t, nxDir * corr, nyDir * corr);
+                        }
+                    }
+                }
+            }
+
+            this.evCursor = windowStart + windowSize;
+
+            const f = bondCount > 0 ? windowSize / bondCount : 1;
+            const scale = 1 / (2 * f - f * f);
+            this.contacts = {
+                partners: polymers.length > 0 ? (2 * partnerPairs.size * scale) / polymers.length : 0,
+                pairs: pairs * scale,
+                crossings: crossings * scale
+            };
+        }
+
+        // Maps the nodes of a chain to plain values with make(x, y, vx, vy)
+        nodeList(polymer, make) {
+            const { x, y, vx, vy } = this.nodes;
+            const list = [];
+            for (let i = polymer.start; i < polymer.end; i++) list.push(make(x[i], y[i], vx[i], vy[i]));
+            return list;
+        }
+
+        // Plain snapshot of the simulation (safe to serialise)
+        getState() {
+            return {
+                seed: this.seed,
+                time: this.time,
+                stepCount: this.stepCount,
+                shearRate: this.shearRate,
+                strain: this.strain,
+                boxOffset: this.boxOffset,
+                width: this.width,
+                height: this.height,
+                config: { ...this.config },
+                stress: { ...this.stress },
+                conformation: this.conformation ? { ...this.conformation } : null,
+                periodic: { x: this.flowGeometry().periodicX, y: this.flowGeometry().periodicY },
+                polymers: this.polymers.map(p => ({
+                    color: p.color,
+                    bonds: Array.from(p.bonds),
+                    nodes: this.nodeList(p, (x, y, vx, vy) => ({ x, y, vx, vy }))
+                }))
+            };
+        }
+
+        // --- Saved State ---
+        // A snapshot holds everything step() reads, including the PRNG state, so
+        // a restored simulation continues exactly as the original would have.
+
+        getSnapshot() {
+            return {
+                format: SNAPSHOT_FORMAT,
+                version: SNAPSHOT_VERSION,
+                seed: this.seed,
+                rngState: this.random.getState(),
+                width: this.width,
+                height: this.height,
+                config: { ...this.config },
+                shearRate: this.shearRate,
+                time: this.time,
+                strain: this.strain,
+                stepCount: this.stepCount,
+                lastDt: this.lastDt,
+                evCursor: this.evCursor,
+                stress: { ...this.stress },
+                conformation: this.conformation ? { ...this.conformation } : null,
+                contacts: { ...this.contacts },
+                stressStats: {
+                    bins: [...this.stressStats].map(([rate, bin]) => [rate, { ...bin }]),
+                    lastRate: this.lastStressRate,
+                    settleCounter: this.settleCounter
+                },
+                polymers: this.polymers.map(p => ({
+                    color: p.color,
+                    nodes: this.nodeList(p, (x, y, vx, vy) => [x, y, vx, vy])
+                }))
+            };
+        }
+
+        // Replaces the whole state with a snapshot. The replay log restarts
+        // here, with the snapshot as its starting point.
+        restore(snapshot) {
+            if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) throw new Error('Not a saved simulation state');
+            if (snapshot.version !== SNAPSHOT_VERSION) throw new Error(`Unsupported state version: ${snapshot.version}`);
+
+            this.config = { ...DEFAULT_CONFIG, ...snapshot.config };
+            this.width = snapshot.width;
+            this.height = snapshot.height;
+            this.seed = snapshot.seed >>> 0;
+            this.random = createRng(this.seed);
+            this.random.setState(snapshot.rngState);
+
+            this.shearRate = snapshot.shearRate;
+            this.time = snapshot.time;
+            this.strain = snapshot.strain;
+            this.updateBoxOffset();
+            this.stepCount = snapshot.stepCount;
+            this.lastDt = snapshot.lastDt;
+            this.evCursor = snapshot.evCursor;
+            this.drag = null; // A restored run starts with no node held
+
+            this.stress = { ...snapshot.stress };
+            this.conformation = snapshot.conformation ? { ...snapshot.conformation } : null;
+            this.contacts = { ...snapshot.contacts };
+            this.constraints = null;
+            this.stressStats = new Map(snapshot.stressStats.bins.map(([rate, bin]) => [rate, { ...bin }]));
+            this.lastStressRate = snapshot.stressStats.lastRate;
+            this.settleCounter = snapshot.stressStats.settleCounter;
+
+            this.nodes.truncate(0);
+            this.polymers = snapshot.polymers.map(p => Polymer.restore(this, p));
+
+            this.replayHeader = {
+                seed: this.seed,
+                width: this.width,
+                height: this.height,
+                shearRate: this.shearRate,
+                config: { ...this.config },
+                initialState: snapshot
+            };
+            this.inputLog = [];
+        }
+
+        static fromSnapshot(snapshot) {
+            const sim = new Simulation({ width: snapshot.width, height: snapshot.height, config: snapshot.config });
+            sim.restore(snapshot);
+            return sim;
+        }
+
+        // Everything needed to replay this run frame for frame (JSON-safe).
+        // Runs continued from a saved state carry it as `initialState`.
+        getReplay() {
+            return {
+                version: REPLAY_VERSION,
+                ...this.replayHeader,
+                config: { ...this.replayHeader.config },
+                steps: this.stepCount,
+                inputs: this.inputLog.map(e => ({ ...e }))
+            };
+        }
+
+        // --- Stress Measurement ---
+        // The polymer stress tensor is summed from the bond virial of every chain and
+        // divided by the box area (in segment-length units). Samples of tau_xy are
+        // averaged per integer shear rate to build the measured flow curve.
+
+        measureStress() {
+            const stress = { xx: 0, xy: 0, yy: 0 };
+            for (let p of this.polymers) p.addStress(stress);
+
+            const { segmentLength } = this.config;
+            const area = (this.width * this.height) / (segmentLength * segmentLength);
+            stress.xx /= area;
+            stress.xy /= area;
+            stress.yy /= area;
+            return stress;
+        }
+
+        recordStressSample(stress) {
+            const rate = this.shearRate;
+            if (Math.abs(rate - this.lastStressRate) > STRESS_CONFIG.jumpThreshold) {
+                this.settleCounter = 0;
+            }
+            this.lastStressRate = rate;
+
+            // Let the chains relax towards the new rate before sampling; the flow
+            // curve only covers forward shear
+            if (rate < 0) return;
+            if (this.settleCounter < STRESS_CONFIG.settleFrames) {
+                this.settleCounter++;
+                return;
+            }
+
+            const key = Math.round(rate);
+            let bin = this.stressStats.get(key);
+            if (!bin) {
+                bin = { sum: 0, sumSq: 0, count: 0 };
+                this.stressStats.set(key, bin);
+            }
+            bin.sum += stress.xy;
+            bin.sumSq += stress.xy * stress.xy;
+            bin.count++;
+        }
+
+        resetStressStats() {
+            this.stressStats.clear();
+            this.settleCounter = 0;
+        }
+
+        // Number- and weight-average chain length (in nodes) and the dispersity
+        // Mw / Mn of the current chains
+        measureDispersity() {
+            let sum = 0;
+            let sumSq = 0;
+            for (const p of this.polymers) {
+                sum += p.count;
+                sumSq += p.count * p.count;
+            }
+            if (sum === 0) return null;
+            const mn = sum / this.polymers.length;
+            const mw = sumSq / sum;
+            return { mn, mw, pdi: mw / mn };
+        }
+
+        // Mean and standard error of tau_xy for every sampled shear rate
+        getMeasuredFlowCurve() {
+            const points = [];
+            for (const [rate, bin] of this.stressStats) {
+                const mean = bin.sum / bin.count;
+                const variance = Math.max(bin.sumSq / bin.count - mean * mean, 0);
+                points.push({ rate, stress: mean, error: Math.sqrt(variance / bin.count), count: bin.count });
+            }
+            points.sort((a, b) => a.rate - b.rate);
+            return points;
+        }
+
+        // --- Conformation Analytics ---
+        // Per-step averages over all chains. The order parameter is the largest
+        // eigenvalue of the 2D nematic tensor of bond directions (0 = isotropic,
+        // 1 = perfectly aligned); the chain angle is the director of the end-to-end
+        // vectors measured from the flow (x) direction.
+
+        measureConformation() {
+            let rgSum = 0;
+            let reeSum = 0;
+            let extensionSum = 0;
+            let endC = 0;
+            let endS = 0;
+            const bonds = { c: 0, s: 0, count: 0 };
+
+            for (let p of this.polymers) {
+                const conf = p.getConformation();
+                rgSum += Math.sqrt(conf.rg2);
+
+                const ree = Math.sqrt(conf.endX * conf.endX + conf.endY * conf.endY);
+                reeSum += ree;
+                extensionSum += ree / (p.contour * this.config.segmentLength);
+                if (ree > 0) {
+                    endC += (conf.endX * conf.endX - conf.endY * conf.endY) / (ree * ree);
+                    endS += (2 * conf.endX * conf.endY) / (ree * ree);
+                }
+
+                p.addBondOrder(bonds);
+            }
+
+            const count = this.polymers.length || 1;
+            return {
+                rg: rgSum / count,
+                ree: reeSum / count,
+                extension: extensionSum / count, // Ree over the contour length between the ends
+                order: bonds.count > 0 ? Math.sqrt(bonds.c * bonds.c + bonds.s * bonds.s) / bonds.count : 0,
+                angle: 0.5 * Math.atan2(endS, endC) * 180 / Math.PI,
+                entanglement: this.contacts.partners, // Distinct chains in contact, per chain
+                crossings: this.contacts.crossings    // Inter-chain bond crossings this step
+            };
+        }
+
+        // Node velocities binned by y into `bins` slabs across the box: per
+        // slab the node count and the sums of the geometry's profile
+        // component (vx across the gap; vy for planar extension), its square,
+        // the imposed velocity and the profile shape at the same nodes. Nodes
+        // outside the box (on chains straddling a periodic boundary) are
+        // skipped. See velocityProfileStats.
+        measureVelocityProfile(bins) {
+            const geometry = this.flowGeometry();
+            const { component, shape: shapeAt } = geometry.profile;
+            const profile = {
+                component,
+                height: this.height,
+                count: new Float64Array(bins),
+                sum: new Float64Array(bins),
+                sumSq: new Float64Array(bins),
+                imposed: new Float64Array(bins),
+                shape: new Float64Array(bins)
+            };
+            const { x, y } = this.nodes;
+            const v = this.nodes[component];
+            const flow = { vx: 0, vy: 0 };
+            for (const p of this.polymers) {
+                for (let i = p.start; i < p.start + p.count; i++) {
+                    const k = Math.floor(y[i] / this.height * bins);
+                    if (k < 0 || k >= bins) continue;
+                    geometry.velocity(this, x[i], y[i], flow);
+                    profile.count[k]++;
+                    profile.sum[k] += v[i];
+                    profile.sumSq[k] += v[i] * v[i];
+                    profile.imposed[k] += flow[component];
+                    profile.shape[k] += shapeAt(this, y[i]);
+                }
+            }
+            return profile;
+        }
+
+        // Local nematic order on a grid of cellSize cells: bond midpoints are
+        // binned (wrapped into the box along the periodic directions) and the
+        // 2D order tensor of each cell gives the order parameter S and the
+        // director angle θ (degrees from the flow direction, y down). count
+        // is the number of bonds per cell; S of sparse cells is noisy.
+        measureOrientationField(cellSize) {
+            const columns = Math.max(Math.ceil(this.width / cellSize), 1);
+            const rows = Math.max(Math.ceil(this.height / cellSize), 1);
+            const sumC = new Float64Array(columns * rows);
+            const sumS = new Float64Array(columns * rows);
+            const count = new Uint32Array(columns * rows);
+            const { periodicX, periodicY } = this.flowGeometry();
+            const { x, y } = this.nodes;
+
+            for (const p of this.polymers) {
+                const { bonds, start } = p;
+                for (let b = 0; b < bonds.length; b += 2) {
+                    const i = start + bonds[b];
+                    const j = start + bonds[b + 1];
+                    const dx = x[j] - x[i];
+                    const dy = y[j] - y[i];
+                    const len2 = dx * dx + dy * dy;
+                    if (len2 === 0) continue;
+
+                    let mx = (x[i] + x[j]) / 2;
+                    let my = (y[i] + y[j]) / 2;
+                    if (periodicY) {
+                        const ky = Math.floor(my / this.height);
+                        my -= ky * this.height;
+                        mx -= ky * this.boxOffset;
+                    }
+                    if (periodicX) mx -= Math.floor(mx / this.width) * this.width;
+                    const column = Math.min(Math.max(Math.floor(mx / cellSize), 0), columns - 1);
+                    const row = Math.min(Math.max(Math.floor(my / cellSize), 0), rows - 1);
+                    const k = row * columns + column;
+                    sumC[k] += (dx * dx - dy * dy) / len2;
+                    sumS[k] += (2 * dx * dy) / len2;
+                    count[k]++;
+                }
+            }
+
+            const order = new Float32Array(columns * rows);
+            const angle = new Float32Array(columns * rows);
+            for (let k = 0; k < count.length; k++) {
+                if (count[k] === 0) continue;
+                order[k] = Math.sqrt(sumC[k] * sumC[k] + sumS[k] * sumS[k]) / count[k];
+                angle[k] = 0.5 * Math.atan2(sumS[k], sumC[k]) * 180 / Math.PI;
+            }
+            return { columns, rows, cellSize, order, angle, count };
+        }
+    }
+
+    // --- Replay ---
+    // Rebuilds a Simulation from a replay log and re-applies the recorded inputs
+    // at the recorded steps. step() returns false once the log is exhausted.
+    class ReplayPlayer {
+        constructor(replay) {
+            if (!replay || !Array.isArray(replay.inputs)) throw new Error('Unsupported replay format');
+            if (replay.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${replay.version}`);
+
+            this.replay = replay;
+            this.index = 0;
+            if (replay.initialState) {
+                this.sim = Simulation.fromSnapshot(replay.initialState);
+                this.dt = replay.initialState.lastDt || 0.1;
+                return;
+            }
+            this.sim = new Simulation({
+                width: replay.width,
+                height: replay.height,
+                config: replay.config,
+                seed: replay.seed,
+                shearRate: replay.shearRate
+            });
+            this.dt = 0.1;
+        }
+
+        get done() {
+            return this.sim.stepCount >= this.replay.steps;
+        }
+
+        applyInputs() {
+            const inputs = this.replay.inputs;
+            while (this.index < inputs.length && inputs[this.index].step <= this.sim.stepCount) {
+                const { type, value } = inputs[this.index++];
+                if (type === 'shearRate') this.sim.setShearRate(value);
+                else if (type === 'polymerCount') this.sim.setPolymerCount(value);
+                else if (type === 'excludedVolume') this.sim.setExcludedVolume(value);
+                else if (type === 'flowGeometry') this.sim.setFlowGeometry(value);
+                else if (type === 'bendingStiffness') this.sim.setBendingStiffness(value);
+                else if (type === 'physics') this.sim.setPhysics(value);
+                else if (type === 'constraintSolver') this.sim.setConstraintSolver(value);
+                else if (type === 'drag') this.sim.setDrag(value);
+                else if (type === 'resize') this.sim.resize(value.width, value.height);
+                else if (type === 'dt') this.dt = value;
+            }
+        }
+
+        step() {
+            if (this.done) return false;
+            this.applyInputs();
+            this.sim.step(this.dt);
+            return true;
+        }
+    }
+
+    return {
+        DEFAULT_CONFIG,
+        FLOW_GEOMETRIES,
+        ARCHITECTURES,
+        ARCHITECTURE_COLORS,
+        LENGTH_DISTRIBUTIONS,
+        TOPOLOGY_KEYS,
+        PHYSICS_KEYS,
+        CONSTRAINT_SOLVERS,
+        velocityProfileStats,
+        NodeStore,
+        Polymer,
+        Simulation,
+        ReplayPlayer,
+        createRng,
+        randomSeed
+    };
+});